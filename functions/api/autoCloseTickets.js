@@ -0,0 +1,57 @@
+/**
+ * Auto Close Tickets
+ * Scheduled function that closes the tickets that sat in Pending customer or Solved longer than their
+ * knowledgebase allows (ticketLifecycle settings, see ticketStatusHelpers)
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { transitionTicketStatus } = require('./helpers/ticketStatusHelpers');
+
+// Tickets handled per run, the rest waits for the next run
+const MAX_TICKETS_PER_RUN = 500;
+
+/**
+ * Scheduled function that runs every hour
+ */
+exports.autoCloseTickets = onSchedule('every 1 hours', async () => {
+  const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+  if (FUNCTIONS_MODE === 'test') {
+    console.log('FUNCTIONS_MODE is test, skipping autoCloseTickets');
+    return;
+  }
+
+  const now = new Date();
+
+  // autoCloseAt is only set while a ticket is in an auto-closed status
+  // (collection group index on autoCloseAt in firestore.indexes.json)
+  const snapshot = await db.collectionGroup('tickets')
+    .where('autoCloseAt', '<=', now)
+    .orderBy('autoCloseAt')
+    .limit(MAX_TICKETS_PER_RUN)
+    .get();
+
+  let closed = 0;
+  for (const ticketDoc of snapshot.docs) {
+    try {
+      const result = await transitionTicketStatus(ticketDoc.ref, 'Closed', {
+        fromStatuses: ['Pending customer', 'Solved'],
+        by: 'system',
+        reason: 'autoClose',
+        // The ticket may have moved on since the query
+        check: (ticket) => ticket.autoCloseAt && ticket.autoCloseAt.toDate() <= now,
+      });
+      if (result.changed) {
+        closed++;
+      }
+    } catch (error) {
+      console.error(`Error auto-closing ticket ${ticketDoc.ref.path}:`, error);
+    }
+  }
+
+  console.log(`Auto-closed ${closed} of ${snapshot.size} due tickets`);
+});
@@ -0,0 +1,99 @@
+/**
+ * Check SLA Breaches
+ * Scheduled function that warns about tickets whose first response or resolution is about to be due and flags
+ * the ones past due (see slaHelpers). The ticket's assignee (or the knowledgebase owner) gets a push notification for each.
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getSlaSettings, checkTicketSla, recordSlaMetrics } = require('./helpers/slaHelpers');
+const { sendNotificationToUser } = require('./helpers/notificationHelpers');
+const { getNotificationUid } = require('./helpers/routingHelpers');
+
+// Tickets handled per run, the rest waits for the next run
+const MAX_TICKETS_PER_RUN = 500;
+
+const CLOCK_LABELS = {
+  firstResponse: 'First response',
+  resolution: 'Resolution'
+};
+
+/**
+ * Scheduled function that runs every 5 minutes
+ */
+exports.checkSlaBreaches = onSchedule('every 5 minutes', async () => {
+  const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+  if (FUNCTIONS_MODE === 'test') {
+    console.log('FUNCTIONS_MODE is test, skipping checkSlaBreaches');
+    return;
+  }
+
+  const now = new Date();
+
+  // slaCheckAt is the next warning or due time of the running clocks of a ticket
+  // (collection group index on slaCheckAt in firestore.indexes.json)
+  const snapshot = await db.collectionGroup('tickets')
+    .where('slaCheckAt', '<=', now)
+    .orderBy('slaCheckAt')
+    .limit(MAX_TICKETS_PER_RUN)
+    .get();
+
+  // Settings per knowledgebase, read once per run
+  const settingsByKnowledgebase = new Map();
+  let flagged = 0;
+
+  for (const ticketDoc of snapshot.docs) {
+    // Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}
+    const [, uid, , selectedCompany] = ticketDoc.ref.path.split('/');
+
+    try {
+      const { ticket, events } = await checkTicketSla(ticketDoc.ref, now);
+      if (events.length === 0) {
+        continue;
+      }
+      flagged += events.length;
+
+      await recordSlaMetrics(uid, selectedCompany, events);
+
+      const key = `${uid}/${selectedCompany}`;
+      if (!settingsByKnowledgebase.has(key)) {
+        settingsByKnowledgebase.set(key, await getSlaSettings(uid, selectedCompany));
+      }
+      if (!settingsByKnowledgebase.get(key).notify) {
+        continue;
+      }
+
+      for (const { clock, event, dueAt } of events) {
+        const ticketName = ticket.ticketDisplayNumber ? `#${ticket.ticketDisplayNumber}` : ticket.subject || ticketDoc.id;
+        const title = event === 'breach'
+          ? `SLA breached: ${ticketName}`
+          : `SLA due soon: ${ticketName}`;
+        const body = event === 'breach'
+          ? `${CLOCK_LABELS[clock]} was due ${dueAt.toISOString()} - ${ticket.subject || 'No subject'}`
+          : `${CLOCK_LABELS[clock]} is due ${dueAt.toISOString()} - ${ticket.subject || 'No subject'}`;
+
+        const notificationResult = await sendNotificationToUser(getNotificationUid(uid, ticket), title, body, {
+          ticketId: ticketDoc.id,
+          selectedCompany,
+          ownerUid: uid,
+          subject: ticket.subject || '',
+          slaClock: clock,
+          slaEvent: event,
+          dueAt: dueAt.toISOString(),
+          timestamp: Date.now().toString(),
+        });
+        if (!notificationResult.success) {
+          console.log(`Failed to send SLA notification: ${notificationResult.error || notificationResult.message || 'Unknown error'}`);
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking SLA of ticket ${ticketDoc.ref.path}:`, error);
+    }
+  }
+
+  console.log(`Flagged ${flagged} SLA warnings/breaches on ${snapshot.size} due tickets`);
+});
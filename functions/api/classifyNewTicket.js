@@ -0,0 +1,94 @@
+/**
+ * Classify New Ticket
+ * Firestore trigger that classifies new tickets through the employee respond API (priority, category, tags,
+ * sentiment, language, see classificationHelpers), routes the ones waiting on their category (see routingHelpers)
+ * and runs the ticket_classified actions
+ */
+
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+
+const { getClassificationSettings, classifyTicket, storeClassification } = require('./helpers/classificationHelpers');
+const { getConversationHistory } = require('./helpers/ticketHelpers');
+const { runActionTriggers } = require('./helpers/actionTriggerHelper');
+const { routeClassifiedTicket, notifyAssignee } = require('./helpers/routingHelpers');
+
+/**
+ * Firestore trigger that listens for new tickets
+ */
+exports.classifyNewTicket = onDocumentCreated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping classifyNewTicket');
+      return;
+    }
+
+    const snapshot = event.data;
+    if (!snapshot) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const ticketData = snapshot.data();
+
+    // Spam is not worth an AI call
+    if (ticketData.isSpam) {
+      console.log('Ticket flagged as spam - skipping classification');
+      return;
+    }
+
+    try {
+      const settings = await getClassificationSettings(uid, companyId);
+      if (!settings.enabled) {
+        console.log('Ticket classification is turned off');
+        return;
+      }
+
+      const classification = await classifyTicket(uid, companyId, {
+        ticketId,
+        subject: ticketData.subject || '',
+        body: ticketData.lastMessage || '',
+        from: ticketData.from || '',
+      }, settings);
+
+      const fields = classification ? await storeClassification(snapshot.ref, classification, settings) : null;
+
+      // Routing waits on the category, without one only the other rules and the default strategy apply
+      const assignee = await routeClassifiedTicket(snapshot.ref, uid, companyId, fields ? fields.category : null);
+      if (assignee) {
+        console.log(`Ticket ${ticketId} assigned to ${assignee.id}`);
+        await notifyAssignee(uid, companyId, ticketId, ticketData, assignee);
+      }
+
+      if (!fields) {
+        return;
+      }
+      console.log(`Ticket ${ticketId} classified:`, fields);
+
+      const conversationHistory = await getConversationHistory(ticketId, uid, companyId);
+      await runActionTriggers({
+        uid,
+        companyId,
+        triggerType: 'ticket_classified',
+        triggerData: {
+          ticketId,
+          ticketSubject: ticketData.subject || '',
+          ticketFrom: ticketData.from || '',
+          messageBody: ticketData.lastMessage || '',
+          priority: fields.priority || '',
+          category: fields.category || '',
+          tags: fields.tags || [],
+          sentiment: fields.sentiment || '',
+          language: fields.language || ticketData.language || '',
+        },
+        conversationHistory,
+      });
+    } catch (error) {
+      console.error('Error classifying ticket:', error);
+    }
+  }
+);
@@ -7,8 +7,12 @@
 // This should be set via environment variable or default to localhost for development
 const BASE_URL = process.env.API_BASE_URL || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000';
 
+// Domain of the helpdesk mailboxes (<subdomain>@ourkd.help)
+const HELPDESK_EMAIL_DOMAIN = 'ourkd.help';
+
 module.exports = {
   BASE_URL,
+  HELPDESK_EMAIL_DOMAIN,
   ENDPOINTS: {
     EMPLOYEE_RESPOND: '/api/employee/respond',
     INBOX_EMAILS_SEND: '/api/inbox/emails/send',
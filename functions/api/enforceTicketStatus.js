@@ -0,0 +1,90 @@
+/**
+ * Enforce Ticket Status
+ * Firestore trigger that enforces the ticket lifecycle (see ticketStatusHelpers): invalid status changes are
+ * reverted, valid ones are written to the statusHistory subcollection, schedule the auto-close of
+ * Pending customer / Solved tickets, pause, resume or complete the SLA clocks (see slaHelpers) and keep the
+ * open ticket count of the customer's contact
+ */
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+
+const {
+  getTicketStatus,
+  isValidStatusTransition,
+  getLifecycleSettings,
+  getAutoCloseAt,
+  buildStatusChange,
+  recordStatusHistory
+} = require('./helpers/ticketStatusHelpers');
+const { getSlaSettings, applySlaStatusChange, recordSlaMetrics } = require('./helpers/slaHelpers');
+const { updateContactOpenTickets } = require('./helpers/contactHelpers');
+
+/**
+ * Firestore trigger that listens for ticket updates
+ */
+exports.enforceTicketStatus = onDocumentUpdated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping enforceTicketStatus');
+      return;
+    }
+
+    if (!event.data) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const before = event.data.before.data() || {};
+    const after = event.data.after.data() || {};
+    const ticketRef = event.data.after.ref;
+
+    const from = getTicketStatus(before);
+    const to = getTicketStatus(after);
+    if (from === to) {
+      return;
+    }
+
+    // A new marker means the change was made through ticketStatusHelpers, otherwise by an agent
+    const markerChanged = after.statusChange && (!before.statusChange || after.statusChange.id !== before.statusChange.id);
+    const change = markerChanged ? after.statusChange : { by: 'agent', reason: null };
+
+    // A revert puts back the status (and auto-close time) the ticket had, there is nothing to record
+    if (change.reason === 'invalidTransition') {
+      return;
+    }
+
+    try {
+      if (!isValidStatusTransition(from, to)) {
+        console.log(`Ticket ${ticketId}: invalid status change ${from} -> ${to}, reverting`);
+        await recordStatusHistory(ticketRef, { from, to, by: change.by, reason: change.reason, rejected: true });
+        await ticketRef.update({ status: from, statusChange: buildStatusChange('system', 'invalidTransition') });
+        return;
+      }
+
+      const changedAt = new Date();
+      const settings = await getLifecycleSettings(uid, companyId);
+
+      await recordStatusHistory(ticketRef, { from, to, by: change.by, reason: change.reason });
+      await ticketRef.update({
+        statusChangedAt: changedAt,
+        autoCloseAt: getAutoCloseAt(to, settings, changedAt),
+      });
+
+      if (after.sla) {
+        const completed = await applySlaStatusChange(ticketRef, to, await getSlaSettings(uid, companyId), changedAt);
+        await recordSlaMetrics(uid, companyId, completed);
+      }
+
+      await updateContactOpenTickets(uid, companyId, after.contactId, from, to);
+
+      console.log(`Ticket ${ticketId}: status ${from} -> ${to} (${change.by}${change.reason ? `, ${change.reason}` : ''})`);
+    } catch (error) {
+      console.error('Error enforcing ticket status:', error);
+    }
+  }
+);
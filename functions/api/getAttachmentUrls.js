@@ -0,0 +1,68 @@
+/**
+ * Get Attachment URLs API endpoint
+ * Returns short-lived signed URLs for the attachments of a ticket message (or a parked unmatched reply)
+ * Requires a Firebase ID token of the user that owns the knowledgebase or of one of its active team members
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { signMessageAttachments } = require('./helpers/attachmentUrlHelpers');
+const { verifyFirebaseIdToken } = require('./helpers/requestAuthHelpers');
+const { isActiveTeamMember } = require('./helpers/routingHelpers');
+
+/**
+ * HTTP endpoint for getAttachmentUrls
+ * Parameters (query string or JSON body): uid, selectedCompany (default: 'default'), ticketId and
+ * messageDocId, or unmatchedId for a parked reply, and optionally storagePaths to sign only some files
+ * Responds with { status: 1, expiresAt, attachments: [{ storagePath, type, fileName, mimeType, size, url }] }
+ */
+exports.getAttachmentUrls = onRequest({ cors: true, invoker: 'public' }, async (req, res) => {
+  try {
+    const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+    const { uid, ticketId, messageDocId, unmatchedId } = params;
+    const selectedCompany = params.selectedCompany || 'default';
+    const storagePaths = params.storagePaths == null ? null : [].concat(params.storagePaths).map(String);
+
+    const decodedToken = await verifyFirebaseIdToken(req);
+    if (!decodedToken) {
+      res.status(401).send({ status: 0, error: 'unauthenticated', message: 'A valid Firebase ID token is required' });
+      return;
+    }
+
+    const ids = [uid, selectedCompany, ...(unmatchedId ? [unmatchedId] : [ticketId, messageDocId])];
+    if (ids.some((id) => typeof id !== 'string' || id === '' || id.includes('/'))) {
+      res.status(400).send({ status: 0, error: 'invalid_request', message: 'uid, ticketId and messageDocId (or unmatchedId) are required' });
+      return;
+    }
+
+    // Knowledgebases live under the owner's user document, team members sign in with their own account
+    if (decodedToken.uid !== uid && !(await isActiveTeamMember(uid, selectedCompany, decodedToken.uid))) {
+      console.log('[GET ATTACHMENT URLS] Forbidden:', { caller: decodedToken.uid, uid });
+      res.status(403).send({ status: 0, error: 'forbidden', message: 'You do not have access to this knowledgebase' });
+      return;
+    }
+
+    const helpdeskPath = `Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default`;
+    const messageDoc = await db.doc(unmatchedId
+      ? `${helpdeskPath}/unmatched/${unmatchedId}`
+      : `${helpdeskPath}/tickets/${ticketId}/messages/${messageDocId}`).get();
+
+    if (!messageDoc.exists) {
+      res.status(404).send({ status: 0, error: 'not_found', message: 'Message not found' });
+      return;
+    }
+
+    const { expiresAt, attachments } = await signMessageAttachments(messageDoc.data(), storagePaths);
+    res.status(200).send({ status: 1, expiresAt: expiresAt.toISOString(), attachments });
+  } catch (error) {
+    console.error('getAttachmentUrls error:', error);
+    res.status(500).send({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = {
+  getAttachmentUrls: exports.getAttachmentUrls
+};
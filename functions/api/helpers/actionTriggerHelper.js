@@ -4,6 +4,37 @@ const axios = require('axios');
 const db = getFirestore();
 const { BASE_URL } = require('../constants');
 
+/**
+ * Trigger types actions can be set up for:
+ * - new_ticket / ticket_reply: a customer message on a ticket
+ * - question_answered: an answer to a question
+ * - ticket_classified: a new ticket was classified (priority, category, tags, sentiment, language)
+ */
+const ACTION_TRIGGER_TYPES = ['new_ticket', 'ticket_reply', 'question_answered', 'ticket_classified'];
+
+/**
+ * Whether the trigger data meets the conditions of an action
+ * Conditions are lists of accepted values per trigger data field, e.g. { category: ['billing'], priority: ['urgent', 'high'] };
+ * a list field such as tags matches if it has any of the values.
+ * @param {Object} conditions - The action conditions (optional)
+ * @param {Object} triggerData - The trigger data
+ * @returns {boolean}
+ */
+function matchesActionConditions(conditions, triggerData) {
+  if (!conditions || typeof conditions !== 'object') {
+    return true;
+  }
+
+  return Object.keys(conditions).every((field) => {
+    const accepted = [].concat(conditions[field]).filter((value) => value != null && value !== '');
+    if (accepted.length === 0) {
+      return true;
+    }
+    const values = [].concat(triggerData[field] == null ? [] : triggerData[field]);
+    return values.some((value) => accepted.includes(value));
+  });
+}
+
 /**
  * Trigger enabled actions for a given trigger type
  * @param {Object} params
@@ -42,6 +73,11 @@ async function runActionTriggers({
       const action = actionDoc.data();
       const actionId = actionDoc.id;
 
+      if (!matchesActionConditions(action.conditions, triggerData)) {
+        console.log(`[ACTIONS] Skipping action ${actionId}, conditions not met`);
+        continue;
+      }
+
       try {
         const eventRef = await db
           .collection('Users')
@@ -112,6 +148,8 @@ async function runActionTriggers({
 }
 
 module.exports = {
+  ACTION_TRIGGER_TYPES,
+  matchesActionConditions,
   runActionTriggers,
 };
 
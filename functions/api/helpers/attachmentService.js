@@ -0,0 +1,618 @@
+/**
+ * Attachment service
+ * Every inbound attachment, file or inline image, goes through here before it is linked to a ticket:
+ * per-file and per-message size limits, a MIME allow/deny policy on the sniffed content type,
+ * deduplication by content hash and the malware scanners. Flagged files are quarantined instead.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+
+const db = getFirestore();
+const storage = getStorage();
+
+const { uploadBufferToStorage } = require('./emailHelpers');
+const { extractAttachmentText } = require('./attachmentTextHelpers');
+const { getAttachmentStoragePath } = require('./attachmentUrlHelpers');
+
+const DEFAULT_ATTACHMENT_POLICY = {
+  maxFileBytes: 25 * 1024 * 1024,
+  maxMessageBytes: 50 * 1024 * 1024,
+  allowedMimeTypes: [],
+  // HTML and SVG would be served inline by the signed URLs and run in the browser of whoever opens them
+  deniedMimeTypes: [
+    'application/x-msdownload', 'application/x-executable', 'application/x-mach-binary', 'application/java-archive',
+    'application/javascript', 'text/javascript', 'application/x-sh', 'application/x-msi', 'image/svg+xml',
+    'text/html', 'application/xhtml+xml'
+  ],
+  deniedExtensions: [
+    'app', 'bat', 'cmd', 'com', 'cpl', 'dll', 'exe', 'hta', 'htm', 'html', 'jar', 'js', 'jse', 'lnk', 'msi', 'pif',
+    'ps1', 'reg', 'scr', 'sh', 'svg', 'vbe', 'vbs', 'wsf', 'xhtml'
+  ]
+};
+
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// Where the mail relay uploads the attachments it passes as downloadURLs
+const DEFAULT_ATTACHMENT_DOWNLOAD_HOSTS = ['firebasestorage.googleapis.com', 'storage.googleapis.com'];
+
+// Addresses attachments are never downloaded from: unspecified, private, loopback, link-local, shared, multicast and reserved
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+const CLAMD_TIMEOUT_MS = 60 * 1000;
+const CLAMD_CHUNK_BYTES = 64 * 1024;
+
+// The EICAR test file, recognized by every scanner
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Whether a buffer holds the given bytes at an offset
+ * @param {Buffer} buffer - The file contents
+ * @param {Array<number>} bytes - The expected bytes
+ * @param {number} offset - Where the bytes start (default: 0)
+ * @returns {boolean} - True if the bytes match
+ */
+function hasBytes(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+const ascii = (text) => Array.from(text, (character) => character.charCodeAt(0));
+
+// File signatures, checked in order
+const MAGIC_NUMBERS = [
+  { mimeType: 'image/png', match: (buffer) => hasBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeType: 'image/jpeg', match: (buffer) => hasBytes(buffer, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/gif', match: (buffer) => hasBytes(buffer, ascii('GIF87a')) || hasBytes(buffer, ascii('GIF89a')) },
+  { mimeType: 'image/webp', match: (buffer) => hasBytes(buffer, ascii('RIFF')) && hasBytes(buffer, ascii('WEBP'), 8) },
+  { mimeType: 'image/bmp', match: (buffer) => hasBytes(buffer, ascii('BM')) && buffer.length >= 26 && buffer.readUInt32LE(2) === buffer.length },
+  { mimeType: 'image/tiff', match: (buffer) => hasBytes(buffer, [0x49, 0x49, 0x2A, 0x00]) || hasBytes(buffer, [0x4D, 0x4D, 0x00, 0x2A]) },
+  { mimeType: 'image/x-icon', match: (buffer) => hasBytes(buffer, [0x00, 0x00, 0x01, 0x00]) },
+  { mimeType: 'image/heic', match: (buffer) => hasBytes(buffer, ascii('ftypheic'), 4) || hasBytes(buffer, ascii('ftypmif1'), 4) },
+  { mimeType: 'video/mp4', match: (buffer) => hasBytes(buffer, ascii('ftyp'), 4) },
+  { mimeType: 'audio/mpeg', match: (buffer) => hasBytes(buffer, ascii('ID3')) },
+  { mimeType: 'audio/wav', match: (buffer) => hasBytes(buffer, ascii('RIFF')) && hasBytes(buffer, ascii('WAVE'), 8) },
+  { mimeType: 'application/pdf', match: (buffer) => hasBytes(buffer, ascii('%PDF-')) },
+  { mimeType: 'application/zip', match: (buffer) => hasBytes(buffer, [0x50, 0x4B, 0x03, 0x04]) || hasBytes(buffer, [0x50, 0x4B, 0x05, 0x06]) },
+  { mimeType: 'application/x-cfb', match: (buffer) => hasBytes(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  { mimeType: 'application/gzip', match: (buffer) => hasBytes(buffer, [0x1F, 0x8B]) },
+  { mimeType: 'application/vnd.rar', match: (buffer) => hasBytes(buffer, ascii('Rar!\x1A\x07')) },
+  { mimeType: 'application/x-7z-compressed', match: (buffer) => hasBytes(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]) },
+  { mimeType: 'application/x-msdownload', match: (buffer) => hasBytes(buffer, ascii('MZ')) },
+  { mimeType: 'application/x-executable', match: (buffer) => hasBytes(buffer, [0x7F, 0x45, 0x4C, 0x46]) },
+  { mimeType: 'application/x-mach-binary', match: (buffer) => hasBytes(buffer, [0xCF, 0xFA, 0xED, 0xFE]) || hasBytes(buffer, [0xFE, 0xED, 0xFA, 0xCF]) },
+];
+
+// Container formats: a declared type in the list refines the sniffed container (a .docx is a zip)
+const CONTAINER_MIME_TYPES = {
+  'application/zip': /^application\/(vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.|vnd\.ms-[a-z]+\.[a-z]+\.macroenabled|epub\+zip|x-zip-compressed)/i,
+  'application/x-cfb': /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint|vnd\.ms-outlook|vnd\.visio)/i,
+  'text/plain': /^(text\/(?!javascript)[a-z0-9.+-]+|application\/(json|xml|[a-z0-9.+-]+\+(json|xml))|message\/rfc822)$/i,
+};
+
+/**
+ * Detects the content type of a file from its bytes
+ * The declared type is only used to refine a container format (zip, OLE, plain text).
+ * @param {Buffer} buffer - The file contents
+ * @param {string} declaredMimeType - The type the sender declared (optional)
+ * @returns {string} - The detected MIME type
+ */
+function sniffMimeType(buffer, declaredMimeType = '') {
+  const declared = String(declaredMimeType || '').split(';')[0].trim().toLowerCase();
+
+  let sniffed = (MAGIC_NUMBERS.find((signature) => signature.match(buffer)) || {}).mimeType;
+
+  if (!sniffed) {
+    const head = buffer.subarray(0, 8192);
+    if (!head.includes(0)) {
+      const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+      if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+        sniffed = 'image/svg+xml';
+      } else if (/^(<!doctype html|<html[\s>])/i.test(text)) {
+        sniffed = 'text/html';
+      } else if (/^#!/.test(text)) {
+        sniffed = 'application/x-sh';
+      } else {
+        sniffed = 'text/plain';
+      }
+    }
+  }
+
+  if (!sniffed) {
+    return 'application/octet-stream';
+  }
+
+  const refinement = CONTAINER_MIME_TYPES[sniffed];
+  return refinement && refinement.test(declared) ? declared : sniffed;
+}
+
+/**
+ * Gets the attachment policy of a knowledgebase
+ * Stored as attachmentPolicy: { maxFileBytes, maxMessageBytes, allowedMimeTypes, deniedMimeTypes, deniedExtensions }
+ * on the knowledgebase document. An empty allowedMimeTypes allows everything that is not denied,
+ * MIME entries may end in a wildcard ("image/*").
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The policy with defaults applied
+ */
+async function getAttachmentPolicy(uid, selectedCompany = 'default') {
+  let attachmentPolicy = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    attachmentPolicy = (doc.exists && doc.data().attachmentPolicy) || {};
+  } catch (error) {
+    console.error('Error getting attachment policy:', error);
+  }
+
+  const toList = (list, fallback) => (Array.isArray(list) ? list.map((entry) => String(entry).trim().toLowerCase().replace(/^\./, '')).filter(Boolean) : fallback);
+  const toBytes = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+
+  return {
+    maxFileBytes: toBytes(attachmentPolicy.maxFileBytes, DEFAULT_ATTACHMENT_POLICY.maxFileBytes),
+    maxMessageBytes: toBytes(attachmentPolicy.maxMessageBytes, DEFAULT_ATTACHMENT_POLICY.maxMessageBytes),
+    allowedMimeTypes: toList(attachmentPolicy.allowedMimeTypes, DEFAULT_ATTACHMENT_POLICY.allowedMimeTypes),
+    deniedMimeTypes: toList(attachmentPolicy.deniedMimeTypes, DEFAULT_ATTACHMENT_POLICY.deniedMimeTypes),
+    deniedExtensions: toList(attachmentPolicy.deniedExtensions, DEFAULT_ATTACHMENT_POLICY.deniedExtensions),
+  };
+}
+
+/**
+ * Whether a MIME type matches a list entry ("application/pdf" or "image/*")
+ * @param {string} mimeType - The MIME type
+ * @param {Array<string>} list - The list entries
+ * @returns {boolean} - True if the type is on the list
+ */
+function mimeTypeMatchesList(mimeType, list) {
+  return list.some((entry) => (entry.endsWith('/*') ? mimeType.startsWith(entry.slice(0, -1)) : entry === mimeType));
+}
+
+/**
+ * Checks a file against the type policy
+ * @param {string} mimeType - The sniffed MIME type
+ * @param {string} fileName - The file name
+ * @param {Object} policy - The policy from getAttachmentPolicy
+ * @returns {boolean} - True if the file type is allowed
+ */
+function isTypeAllowed(mimeType, fileName, policy) {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+  if (extension && policy.deniedExtensions.includes(extension)) {
+    return false;
+  }
+  if (mimeTypeMatchesList(mimeType, policy.deniedMimeTypes)) {
+    return false;
+  }
+  return policy.allowedMimeTypes.length === 0 || mimeTypeMatchesList(mimeType, policy.allowedMimeTypes);
+}
+
+/**
+ * Scans a buffer with a clamd daemon (INSTREAM command), configured with CLAMD_HOST / CLAMD_PORT
+ * @param {Buffer} buffer - The file contents
+ * @returns {Promise<Object>} - { infected, threat }
+ */
+function scanWithClamd(buffer) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: process.env.CLAMD_HOST, port: Number(process.env.CLAMD_PORT) || 3310 });
+    let response = '';
+
+    socket.setTimeout(CLAMD_TIMEOUT_MS, () => socket.destroy(new Error('clamd scan timed out')));
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CLAMD_CHUNK_BYTES) {
+        const chunk = buffer.subarray(offset, offset + CLAMD_CHUNK_BYTES);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      socket.end(Buffer.alloc(4));
+    });
+
+    socket.on('data', (data) => {
+      response += data.toString();
+    });
+
+    socket.on('error', reject);
+
+    socket.on('close', () => {
+      const result = response.replace(/\0/g, '').trim();
+      const found = result.match(/^stream: (.+) FOUND$/);
+
+      if (/^stream: OK$/.test(result)) {
+        resolve({ infected: false });
+      } else if (found) {
+        resolve({ infected: true, threat: found[1] });
+      } else {
+        reject(new Error(`Unexpected clamd response: ${result}`));
+      }
+    });
+  });
+}
+
+/**
+ * Malware scanners, run in order on every file: scan(buffer, meta) resolves to { infected, threat }
+ * The built-in signature scanner only knows the EICAR test file, a clamd scanner is added when
+ * CLAMD_HOST is set, others can be added with registerAttachmentScanner.
+ */
+const attachmentScanners = [
+  {
+    name: 'signature',
+    scan: async (buffer) => (buffer.includes(EICAR_SIGNATURE) ? { infected: true, threat: 'Eicar-Test-Signature' } : { infected: false })
+  },
+];
+
+if (process.env.CLAMD_HOST) {
+  attachmentScanners.push({ name: 'clamd', scan: scanWithClamd });
+}
+
+/**
+ * Adds a malware scanner
+ * @param {Object} scanner - { name, scan(buffer, meta) } where scan resolves to { infected, threat }
+ */
+function registerAttachmentScanner(scanner) {
+  attachmentScanners.push(scanner);
+}
+
+/**
+ * Runs a file through the scanners
+ * A scanner that fails counts as a detection, the file is quarantined rather than linked unscanned.
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} meta - { fileName, mimeType, sha256 }
+ * @returns {Promise<Object>} - { infected, threat, scanner }
+ */
+async function scanAttachment(buffer, meta) {
+  for (const scanner of attachmentScanners) {
+    try {
+      const result = await scanner.scan(buffer, meta);
+      if (result && result.infected) {
+        return { infected: true, threat: result.threat || 'unknown', scanner: scanner.name };
+      }
+    } catch (error) {
+      console.error(`Attachment scanner ${scanner.name} failed:`, error);
+      return { infected: true, threat: 'scanFailed', scanner: scanner.name };
+    }
+  }
+
+  return { infected: false };
+}
+
+/**
+ * Quarantines a flagged file: keeps it out of the attachments folder and records it for review
+ * at Helpdesk/default/quarantine/{sha256}
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} meta - { fileName, mimeType, sha256, size }
+ * @param {Object} scan - The result of scanAttachment
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @returns {Promise<string>} - The storage path of the quarantined file
+ */
+async function quarantineAttachment(buffer, meta, scan, uid, selectedCompany) {
+  const storagePath = `quarantine/${uid}/${meta.sha256}`;
+
+  await storage.bucket().file(storagePath).save(buffer, {
+    resumable: false,
+    metadata: {
+      contentType: 'application/octet-stream',
+      metadata: { threat: scan.threat, scanner: scan.scanner, fileName: meta.fileName, mimeType: meta.mimeType }
+    }
+  });
+
+  await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/quarantine/${meta.sha256}`).set({
+    sha256: meta.sha256,
+    fileName: meta.fileName,
+    mimeType: meta.mimeType,
+    size: meta.size,
+    threat: scan.threat,
+    scanner: scan.scanner,
+    storagePath,
+    occurrences: FieldValue.increment(1),
+    lastSeenAt: new Date()
+  }, { merge: true });
+
+  return storagePath;
+}
+
+/**
+ * Whether an address is loopback, private, link-local or otherwise not on the public internet (no fetching those)
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} - True for addresses that must not be fetched
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for the download agents: resolves the host and fails if any of its addresses is private,
+ * so a public name pointing at an internal address is refused before connecting
+ * @param {string} hostname - The host name
+ * @param {Object} options - The dns.lookup options
+ * @param {Function} callback - The dns.lookup callback
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Refusing to download attachment from private address: ${hostname} (${blocked ? blocked.address : 'no address'})`));
+    }
+
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const downloadAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+/**
+ * Gets the hosts attachments may be downloaded from, set with ATTACHMENT_DOWNLOAD_HOSTS (comma separated)
+ * @returns {Array<string>} - The lowercase host names
+ */
+function getAttachmentDownloadHosts() {
+  const hosts = String(process.env.ATTACHMENT_DOWNLOAD_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+  return hosts.length > 0 ? hosts : DEFAULT_ATTACHMENT_DOWNLOAD_HOSTS;
+}
+
+/**
+ * Downloads an attachment given as a URL
+ * Only https URLs on the download hosts are fetched, redirects are not followed and every address the host
+ * resolves to must be public.
+ * @param {string} url - The attachment URL
+ * @param {number} maxBytes - The largest download accepted
+ * @returns {Promise<Object>} - { content, mimeType }
+ */
+async function downloadAttachment(url, maxBytes) {
+  const { protocol, hostname } = new URL(url);
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (protocol !== 'https:' || !getAttachmentDownloadHosts().includes(host)) {
+    throw new Error(`Refusing to download attachment from a host that is not allowed: ${url}`);
+  }
+  // IP literals are connected to without a lookup
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`Refusing to download attachment from private address: ${url}`);
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxContentLength: maxBytes,
+    maxRedirects: 0,
+    proxy: false,
+    ...downloadAgents
+  });
+
+  return { content: Buffer.from(response.data), mimeType: response.headers['content-type'] || '' };
+}
+
+/**
+ * Returns a file name for an attachment given as a URL
+ * @param {string} url - The attachment URL
+ * @returns {string} - The last path segment, or 'attachment'
+ */
+function fileNameFromUrl(url) {
+  try {
+    const segment = new URL(url).pathname.split('/').pop();
+    return decodeURIComponent(segment) || 'attachment';
+  } catch (error) {
+    return 'attachment';
+  }
+}
+
+/**
+ * Normalizes the attachments passed to makeContact2 (downloadURLs) into items for processAttachment
+ * @param {Array} attachments - URLs, { url, fileName, mimeType, contentId } objects or parsed MIME
+ * attachments with a content buffer (see parseRawEmail)
+ * @returns {Array} - { type, fileName, mimeType, contentId, content, url, size }
+ */
+function normalizeAttachmentItems(attachments) {
+  return (Array.isArray(attachments) ? attachments : [])
+    .filter((item) => typeof item === 'string' || (item && typeof item === 'object'))
+    .map((item) => {
+      if (typeof item === 'string') {
+        return { type: 'attachment', fileName: fileNameFromUrl(item), mimeType: '', url: item };
+      }
+      return {
+        type: item.inline || item.type === 'inlineImage' ? 'inlineImage' : 'attachment',
+        fileName: item.fileName || (item.url ? fileNameFromUrl(item.url) : 'attachment'),
+        mimeType: item.mimeType || '',
+        contentId: item.contentId || null,
+        content: Buffer.isBuffer(item.content) ? item.content : null,
+        url: item.url || null,
+        size: item.size
+      };
+    });
+}
+
+/**
+ * Extracts the text of a stored file for the AI context (see attachmentTextHelpers)
+ * @param {Buffer} content - The file contents
+ * @param {string} mimeType - The sniffed MIME type
+ * @returns {Promise<Object>} - The fields to add to the attachment metadata, {} for unsupported types
+ */
+async function getAttachmentTextFields(content, mimeType) {
+  try {
+    const extracted = await extractAttachmentText(content, mimeType);
+    if (!extracted) {
+      return {};
+    }
+    return { textExtraction: 'extracted', extractedText: extracted.text, extractedTextTruncated: extracted.truncated };
+  } catch (error) {
+    console.error('Error extracting attachment text:', error.message);
+    return { textExtraction: 'failed' };
+  }
+}
+
+/**
+ * Runs one attachment through the pipeline and stores it
+ * @param {Object} item - An item from normalizeAttachmentItems
+ * @param {Object} context - { uid, selectedCompany, policy, usedBytes }, usedBytes is updated for stored files
+ * @returns {Promise<Object>} - { attachment } for a stored file or { rejected } with the reason
+ */
+async function processAttachment(item, context) {
+  const { uid, selectedCompany, policy } = context;
+  const reject = (reason, extra = {}) => ({
+    rejected: { type: item.type, fileName: item.fileName, mimeType: item.mimeType || null, size: item.size || null, reason, ...extra, ...(item.url ? { sourceUrl: item.url } : {}) }
+  });
+
+  let content = item.content;
+  let declaredMimeType = item.mimeType;
+
+  if (!content) {
+    try {
+      const download = await downloadAttachment(item.url, policy.maxFileBytes);
+      content = download.content;
+      declaredMimeType = declaredMimeType || download.mimeType;
+    } catch (error) {
+      console.error('Error downloading attachment:', error.message);
+      return reject(/maxContentLength/.test(error.message) ? 'tooLarge' : 'downloadFailed');
+    }
+  }
+
+  const size = content.length;
+  if (size > policy.maxFileBytes) {
+    return reject('tooLarge', { size });
+  }
+  if (context.usedBytes + size > policy.maxMessageBytes) {
+    return reject('messageTooLarge', { size });
+  }
+
+  const mimeType = sniffMimeType(content, declaredMimeType);
+  if (item.type === 'inlineImage' && !mimeType.startsWith('image/')) {
+    return reject('typeMismatch', { size, mimeType });
+  }
+  if (!isTypeAllowed(mimeType, item.fileName, policy)) {
+    return reject('typeNotAllowed', { size, mimeType });
+  }
+
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const meta = { fileName: item.fileName, mimeType, sha256, size };
+  const storagePath = getAttachmentStoragePath(uid, sha256);
+  const quarantinePath = `quarantine/${uid}/${sha256}`;
+
+  try {
+    // Files seen before were scanned before: known threats stay quarantined, clean files are reused
+    const [[quarantined], [stored]] = await Promise.all([
+      storage.bucket().file(quarantinePath).exists(),
+      storage.bucket().file(storagePath).exists()
+    ]);
+
+    if (quarantined) {
+      return reject('quarantined', { size, mimeType, sha256, storagePath: quarantinePath });
+    }
+
+    if (!stored) {
+      const scan = await scanAttachment(content, meta);
+      if (scan.infected) {
+        console.log(`Quarantining attachment ${item.fileName} (${sha256}): ${scan.threat}`);
+        const path = await quarantineAttachment(content, meta, scan, uid, selectedCompany);
+        return reject('quarantined', { size, mimeType, sha256, threat: scan.threat, storagePath: path });
+      }
+      await uploadBufferToStorage(content, mimeType, storagePath);
+    }
+
+    context.usedBytes += size;
+    const textFields = item.type === 'attachment' ? await getAttachmentTextFields(content, mimeType) : {};
+
+    return {
+      attachment: {
+        type: item.type,
+        fileName: item.fileName,
+        mimeType,
+        size,
+        storagePath,
+        sha256,
+        ...(item.contentId ? { contentId: item.contentId } : {}),
+        ...textFields
+      }
+    };
+  } catch (error) {
+    console.error('Error storing attachment:', error);
+    return reject('storeFailed', { size, mimeType, sha256 });
+  }
+}
+
+/**
+ * Stores the attachments and inline images of an inbound message
+ * Inline base64 images in the HTML are replaced by a cid: link to their stored attachment, which
+ * sanitizeEmailHtml resolves; rejected inline images are removed from the HTML.
+ * @param {Object} params
+ * @param {string} params.html - The HTML content
+ * @param {Array} params.attachments - The downloadURLs of the message (see normalizeAttachmentItems)
+ * @param {string} params.uid - The user UID
+ * @param {string} params.selectedCompany - The selected company
+ * @returns {Promise<Object>} - { html, attachments, rejectedAttachments }
+ */
+async function storeMessageAttachments({ html, attachments, uid, selectedCompany }) {
+  const policy = await getAttachmentPolicy(uid, selectedCompany);
+  const context = { uid, selectedCompany, policy, usedBytes: 0 };
+  const stored = [];
+  const rejectedAttachments = [];
+
+  for (const item of normalizeAttachmentItems(attachments)) {
+    const outcome = await processAttachment(item, context);
+    if (outcome.attachment) {
+      stored.push(outcome.attachment);
+    } else {
+      rejectedAttachments.push(outcome.rejected);
+    }
+  }
+
+  if (!html || typeof html !== 'string') {
+    return { html, attachments: stored, rejectedAttachments };
+  }
+
+  const dataUriRegex = /data:(image\/[a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/gi;
+  let cleanedHtml = html;
+  let inlineIndex = 0;
+
+  for (const match of Array.from(html.matchAll(dataUriRegex))) {
+    const item = { type: 'inlineImage', fileName: `inline-image-${++inlineIndex}`, mimeType: match[1], contentId: `inline-${inlineIndex}@evidah` };
+
+    // Skip decoding payloads that are over the limit anyway
+    const outcome = match[2].length * 0.75 > policy.maxFileBytes
+      ? { rejected: { type: item.type, fileName: item.fileName, mimeType: item.mimeType, size: Math.round(match[2].length * 0.75), reason: 'tooLarge' } }
+      : await processAttachment({ ...item, content: Buffer.from(match[2], 'base64') }, context);
+
+    if (outcome.attachment) {
+      stored.push(outcome.attachment);
+      cleanedHtml = cleanedHtml.replace(match[0], `cid:${item.contentId}`);
+    } else {
+      rejectedAttachments.push(outcome.rejected);
+      cleanedHtml = cleanedHtml.replace(match[0], '');
+    }
+  }
+
+  if (rejectedAttachments.length > 0) {
+    console.log('Rejected attachments:', JSON.stringify(rejectedAttachments));
+  }
+
+  return { html: cleanedHtml, attachments: stored, rejectedAttachments };
+}
+
+module.exports = {
+  DEFAULT_ATTACHMENT_POLICY,
+  sniffMimeType,
+  getAttachmentPolicy,
+  registerAttachmentScanner,
+  scanAttachment,
+  storeMessageAttachments
+};
@@ -0,0 +1,100 @@
+/**
+ * Attachment text extraction helper functions
+ * Extracts the text of PDF, DOCX and plain text / CSV attachments when a message is stored,
+ * so the AI context can include what customers attach
+ */
+
+// Required from lib/ directly, the package index runs a self test when it has no parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+// Longest text cached on an attachment, message documents are limited to 1 MiB
+const MAX_STORED_TEXT_CHARS = 10000;
+
+// Longest text per attachment and per conversation in the AI context
+const MAX_CONTEXT_CHARS_PER_ATTACHMENT = 2000;
+const MAX_CONTEXT_CHARS_PER_CONVERSATION = 8000;
+
+// PDFs can be long, only the first pages are read
+const MAX_PDF_PAGES = 50;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Text extractors by MIME type: extract(buffer) resolves to the text
+ */
+const textExtractors = [
+  {
+    name: 'pdf',
+    matches: (mimeType) => mimeType === 'application/pdf',
+    extract: async (buffer) => (await pdfParse(buffer, { max: MAX_PDF_PAGES })).text
+  },
+  {
+    name: 'docx',
+    matches: (mimeType) => mimeType === DOCX_MIME_TYPE,
+    extract: async (buffer) => (await mammoth.extractRawText({ buffer })).value
+  },
+  {
+    // Plain text, CSV, logs; HTML attachments are markup, not text
+    name: 'text',
+    matches: (mimeType) => mimeType.startsWith('text/') && mimeType !== 'text/html',
+    extract: async (buffer) => buffer.toString('utf8')
+  },
+];
+
+/**
+ * Extracts the text of an attachment, normalized and cut to MAX_STORED_TEXT_CHARS
+ * @param {Buffer} buffer - The file contents
+ * @param {string} mimeType - The sniffed MIME type
+ * @returns {Promise<Object|null>} - { text, truncated, extractor } or null for unsupported types
+ */
+async function extractAttachmentText(buffer, mimeType) {
+  const extractor = textExtractors.find((candidate) => candidate.matches(mimeType || ''));
+  if (!extractor) {
+    return null;
+  }
+
+  const text = String(await extractor.extract(buffer) || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text: text.substring(0, MAX_STORED_TEXT_CHARS),
+    truncated: text.length > MAX_STORED_TEXT_CHARS,
+    extractor: extractor.name
+  };
+}
+
+/**
+ * Builds the context text of the attachments of a message, within a character budget
+ * @param {Array} attachments - The attachments of a message, with their extractedText
+ * @param {number} budget - The characters left for attachment text in the conversation
+ * @returns {Object} - { text, used } where text is '' if no attachment has text
+ */
+function formatAttachmentContext(attachments, budget) {
+  const sections = [];
+  let used = 0;
+
+  for (const attachment of Array.isArray(attachments) ? attachments : []) {
+    if (!attachment || typeof attachment.extractedText !== 'string' || attachment.extractedText === '' || used >= budget) {
+      continue;
+    }
+
+    const limit = Math.min(MAX_CONTEXT_CHARS_PER_ATTACHMENT, budget - used);
+    const truncated = attachment.extractedTextTruncated || attachment.extractedText.length > limit;
+    const text = attachment.extractedText.substring(0, limit);
+    used += text.length;
+
+    sections.push(`[Attachment: ${attachment.fileName || 'attachment'}${attachment.mimeType ? ` (${attachment.mimeType})` : ''}]\n${text}${truncated ? '\n[...truncated]' : ''}`);
+  }
+
+  return { text: sections.join('\n\n'), used };
+}
+
+module.exports = {
+  MAX_CONTEXT_CHARS_PER_CONVERSATION,
+  extractAttachmentText,
+  formatAttachmentContext
+};
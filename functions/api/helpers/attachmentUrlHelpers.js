@@ -0,0 +1,296 @@
+/**
+ * Attachment URL helper functions
+ * Messages only store the storagePath of their attachments; readers get short-lived signed URLs
+ * from getAttachmentUrls. The helpers below also move old messages off the permanent URLs.
+ *
+ * Files are stored in private-attachments/{uid}/. The legacy folders had permanent (2099) signed URLs
+ * handed out, so their files are moved out and the folders are never written again: a signed URL
+ * stays valid for whatever object is at its path.
+ */
+
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+
+const db = getFirestore();
+const storage = getStorage();
+
+const { getSignedFileUrl } = require('./emailHelpers');
+
+// How long a signed attachment URL stays valid
+const ATTACHMENT_URL_TTL_MS = 15 * 60 * 1000;
+
+const BATCH_SIZE = 500;
+
+// Storage folder that holds the files of a uid
+const ATTACHMENT_STORAGE_FOLDER = 'private-attachments';
+
+// Folders files were stored in with permanent URLs (inline-attachments is the pre-attachmentService folder)
+const LEGACY_ATTACHMENT_FOLDERS = ['attachments', 'inline-attachments'];
+
+const ATTACHMENT_FOLDERS = [ATTACHMENT_STORAGE_FOLDER, ...LEGACY_ATTACHMENT_FOLDERS];
+
+// data-storage-path attributes written by the sanitizer and by rewriteMessageAttachmentUrls
+const STORAGE_PATH_ATTRIBUTE_REGEX = /\bdata-storage-path\s*=\s*(["'])([^"']+)\1/gi;
+
+// src/href attributes pointing at Cloud Storage or Firebase Storage
+const STORAGE_URL_ATTRIBUTE_REGEX = /\b(src|href)\s*=\s*(["'])(https:\/\/(?:storage|firebasestorage)\.googleapis\.com\/[^"']+)\2/gi;
+
+/**
+ * Returns the storage path of a file of a uid
+ * @param {string} uid - The user UID
+ * @param {string} fileName - The file name inside the uid's folder, e.g. the SHA-256 of the contents
+ * @returns {string} - The storage path
+ */
+function getAttachmentStoragePath(uid, fileName) {
+  return `${ATTACHMENT_STORAGE_FOLDER}/${uid}/${fileName}`;
+}
+
+/**
+ * Returns where a file of a legacy folder is moved to by migrateAttachmentUrls
+ * @param {string} storagePath - The storage path
+ * @param {string} uid - The user UID
+ * @returns {string} - The new storage path, or the path itself if it is not in a legacy folder of the uid
+ */
+function getRelocatedStoragePath(storagePath, uid) {
+  const folder = LEGACY_ATTACHMENT_FOLDERS.find((legacyFolder) => storagePath.startsWith(`${legacyFolder}/${uid}/`));
+  return folder ? getAttachmentStoragePath(uid, storagePath.substring(`${folder}/${uid}/`.length)) : storagePath;
+}
+
+/**
+ * Returns the storage paths of the attachments of a message
+ * @param {Object} messageData - The message document data
+ * @returns {Array<string>} - The storage paths
+ */
+function getAttachmentPaths(messageData) {
+  return (Array.isArray(messageData.attachments) ? messageData.attachments : [])
+    .filter((attachment) => attachment && typeof attachment === 'object' && typeof attachment.storagePath === 'string')
+    .map((attachment) => attachment.storagePath);
+}
+
+/**
+ * Signs short-lived read URLs for the attachments of a message
+ * @param {Object} messageData - The message document data
+ * @param {Array<string>} storagePaths - Only sign these paths (optional, default: all attachments)
+ * @returns {Promise<Object>} - { expiresAt, attachments: [{ storagePath, type, fileName, mimeType, size, url }] }
+ */
+async function signMessageAttachments(messageData, storagePaths = null) {
+  const expiresAt = new Date(Date.now() + ATTACHMENT_URL_TTL_MS);
+  const attachments = [];
+
+  for (const attachment of messageData.attachments || []) {
+    if (!attachment || typeof attachment !== 'object' || typeof attachment.storagePath !== 'string') {
+      continue;
+    }
+    if (storagePaths && !storagePaths.includes(attachment.storagePath)) {
+      continue;
+    }
+
+    attachments.push({
+      storagePath: attachment.storagePath,
+      type: attachment.type || 'attachment',
+      fileName: attachment.fileName || null,
+      mimeType: attachment.mimeType || null,
+      size: attachment.size || null,
+      url: await getSignedFileUrl(attachment.storagePath, expiresAt)
+    });
+  }
+
+  return { expiresAt, attachments };
+}
+
+/**
+ * Returns the storage path of a Cloud Storage / Firebase Storage URL of the default bucket
+ * @param {string} url - The URL, signed or with a download token
+ * @returns {string|null} - The storage path, or null for other URLs
+ */
+function getStoragePathFromUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).replace(/&amp;/g, '&'));
+  } catch (error) {
+    return null;
+  }
+
+  const bucketName = storage.bucket().name;
+  let path = null;
+
+  if (parsed.hostname === 'storage.googleapis.com' && parsed.pathname.startsWith(`/${bucketName}/`)) {
+    path = parsed.pathname.substring(bucketName.length + 2);
+  } else if (parsed.hostname === 'firebasestorage.googleapis.com' && parsed.pathname.startsWith(`/v0/b/${bucketName}/o/`)) {
+    path = parsed.pathname.substring(`/v0/b/${bucketName}/o/`.length);
+  }
+
+  try {
+    return path ? decodeURIComponent(path) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a storage path holds a file of the given uid
+ * @param {string} storagePath - The storage path
+ * @param {string} uid - The user UID
+ * @returns {boolean} - True for the uid's attachment folders
+ */
+function isUidAttachmentPath(storagePath, uid) {
+  return ATTACHMENT_FOLDERS.some((folder) => storagePath.startsWith(`${folder}/${uid}/`));
+}
+
+/**
+ * Rewrites a message document away from permanent attachment URLs:
+ * attachments keep their storagePath and lose the url, string URLs of our bucket become
+ * { type, fileName, storagePath } entries and storage URLs in the HTML become data-storage-path
+ * attributes. Paths in the legacy folders are changed to where migrateAttachmentUrls moves the files.
+ * URLs of other uids and external URLs are left alone.
+ * @param {Object} messageData - The message document data
+ * @param {string} uid - The user UID that owns the message
+ * @returns {Object|null} - The fields to update, or null if the message has no permanent URLs or legacy paths
+ */
+function rewriteMessageAttachmentUrls(messageData, uid) {
+  let changed = false;
+
+  const attachments = (Array.isArray(messageData.attachments) ? messageData.attachments : []).map((attachment) => {
+    const url = typeof attachment === 'string' ? attachment : (attachment && attachment.url);
+    const storagePath = (attachment && attachment.storagePath) || (url ? getStoragePathFromUrl(url) : null);
+
+    if (!storagePath || !isUidAttachmentPath(storagePath, uid)) {
+      return attachment;
+    }
+
+    const relocatedPath = getRelocatedStoragePath(storagePath, uid);
+    if (!url && relocatedPath === storagePath) {
+      return attachment;
+    }
+
+    changed = true;
+    if (typeof attachment === 'string') {
+      return { type: 'attachment', fileName: storagePath.split('/').pop(), storagePath: relocatedPath };
+    }
+    const rewritten = { ...attachment, storagePath: relocatedPath };
+    delete rewritten.url;
+    return rewritten;
+  });
+
+  const knownPaths = new Set(getAttachmentPaths({ attachments }));
+  let html = messageData.html;
+
+  if (typeof html === 'string') {
+    const escapePath = (storagePath) => storagePath.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+    html = html.replace(STORAGE_URL_ATTRIBUTE_REGEX, (match, attribute, quote, url) => {
+      const storagePath = getStoragePathFromUrl(url);
+      if (!storagePath || !isUidAttachmentPath(storagePath, uid)) {
+        return match;
+      }
+      const relocatedPath = getRelocatedStoragePath(storagePath, uid);
+
+      // getAttachmentUrls only signs paths listed on the message
+      if (!knownPaths.has(relocatedPath)) {
+        knownPaths.add(relocatedPath);
+        attachments.push({ type: attribute.toLowerCase() === 'src' ? 'inlineImage' : 'attachment', fileName: storagePath.split('/').pop(), storagePath: relocatedPath });
+      }
+
+      changed = true;
+      return `data-storage-path="${escapePath(relocatedPath)}"`;
+    });
+
+    html = html.replace(STORAGE_PATH_ATTRIBUTE_REGEX, (match, quote, value) => {
+      const storagePath = value.replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+      const relocatedPath = getRelocatedStoragePath(storagePath, uid);
+      if (relocatedPath === storagePath) {
+        return match;
+      }
+
+      changed = true;
+      return `data-storage-path="${escapePath(relocatedPath)}"`;
+    });
+  }
+
+  return changed ? { attachments, ...(typeof html === 'string' ? { html } : {}) } : null;
+}
+
+/**
+ * Moves a uid's files off the permanent attachment URLs:
+ * 1. copies every file of the legacy folders to private-attachments (without its Firebase download token)
+ * 2. rewrites every message of every knowledgebase of the uid (ticket messages and parked unmatched
+ *    replies) to the new paths, see rewriteMessageAttachmentUrls
+ * 3. deletes the originals, so the URLs handed out for them return 404
+ * Files are shared by the knowledgebases of a uid (deduplicated by content hash), so a uid is migrated as a whole.
+ * @param {string} uid - The user UID
+ * @param {Object} options - { dryRun } to only count the messages and files that would change
+ * @returns {Promise<Object>} - { scanned, rewritten, moved }
+ */
+async function migrateAttachmentUrls(uid, options = {}) {
+  const bucket = storage.bucket();
+  const knowledgebasesSnapshot = await db.collection(`Users/${uid}/knowledgebases`).get();
+
+  const collections = [];
+  for (const knowledgebaseDoc of knowledgebasesSnapshot.docs) {
+    const helpdeskRef = knowledgebaseDoc.ref.collection('Helpdesk').doc('default');
+    const ticketsSnapshot = await helpdeskRef.collection('tickets').get();
+    collections.push(...ticketsSnapshot.docs.map((ticketDoc) => ticketDoc.ref.collection('messages')), helpdeskRef.collection('unmatched'));
+  }
+
+  let scanned = 0;
+  const updates = [];
+
+  for (const collection of collections) {
+    const snapshot = await collection.get();
+    for (const messageDoc of snapshot.docs) {
+      scanned++;
+      const update = rewriteMessageAttachmentUrls(messageDoc.data(), uid);
+      if (update) {
+        updates.push({ ref: messageDoc.ref, update });
+      }
+    }
+  }
+
+  const legacyFiles = [];
+  for (const folder of LEGACY_ATTACHMENT_FOLDERS) {
+    const [files] = await bucket.getFiles({ prefix: `${folder}/${uid}/` });
+    legacyFiles.push(...files);
+  }
+
+  if (options.dryRun) {
+    return { scanned, rewritten: updates.length, moved: legacyFiles.length };
+  }
+
+  // Copy first, so the rewritten messages never point at a missing file
+  for (const [index, file] of legacyFiles.entries()) {
+    const destination = bucket.file(getRelocatedStoragePath(file.name, uid));
+    const [exists] = await destination.exists();
+    if (!exists) {
+      await file.copy(destination);
+      await destination.setMetadata({ metadata: { firebaseStorageDownloadTokens: null } });
+    }
+    if ((index + 1) % BATCH_SIZE === 0 || index === legacyFiles.length - 1) {
+      console.log(`Copied files 1 to ${index + 1} of ${legacyFiles.length}`);
+    }
+  }
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, update }) => {
+      batch.update(ref, { ...update, attachmentUrlsMigratedAt: new Date() });
+    });
+    await batch.commit();
+    console.log(`Rewrote messages ${i + 1} to ${Math.min(i + BATCH_SIZE, updates.length)} of ${updates.length}`);
+  }
+
+  for (const file of legacyFiles) {
+    await file.delete({ ignoreNotFound: true });
+  }
+  console.log(`Deleted ${legacyFiles.length} original files`);
+
+  return { scanned, rewritten: updates.length, moved: legacyFiles.length };
+}
+
+module.exports = {
+  ATTACHMENT_URL_TTL_MS,
+  getAttachmentStoragePath,
+  signMessageAttachments,
+  getStoragePathFromUrl,
+  rewriteMessageAttachmentUrls,
+  migrateAttachmentUrls
+};
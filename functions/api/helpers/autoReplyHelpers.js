@@ -0,0 +1,173 @@
+/**
+ * Auto-reply helper functions
+ * Protects against mail loops: no automatic replies (ticket confirmations, AI replies) to
+ * automated senders or addresses that keep bouncing, and a per-sender rate limit on the
+ * automatic replies we do send
+ */
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { HELPDESK_EMAIL_DOMAIN } = require('../constants');
+const { extractAddress } = require('./requestValidation');
+const { getHeader } = require('./emailHelpers');
+const { DAEMON_SENDER_REGEX, isAddressSuppressed } = require('./bounceHelpers');
+
+const DEFAULT_AUTO_REPLY_RATE_LIMIT = {
+  maxPerWindow: 5,
+  windowMinutes: 60
+};
+
+/**
+ * Detects automated emails: auto-responders, bulk/list mail, mailer daemons and our own mailboxes
+ * @param {Object} email - The inbound email
+ * @param {string} email.from - The sender's email address
+ * @param {Object} email.headers - The email headers (lowercase keys)
+ * @returns {Object} - { isAutomated, reasons }
+ */
+function detectAutomatedEmail({ from, headers }) {
+  const reasons = [];
+  const address = extractAddress(from || '').toLowerCase();
+
+  const autoSubmitted = getHeader(headers, 'auto-submitted').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    reasons.push(`autoSubmitted:${autoSubmitted}`);
+  }
+
+  if (getHeader(headers, 'x-autoreply') || getHeader(headers, 'x-autorespond') || getHeader(headers, 'x-autoresponder')) {
+    reasons.push('autoReplyHeader');
+  }
+
+  const precedence = getHeader(headers, 'precedence').toLowerCase();
+  if (['bulk', 'list', 'junk', 'auto_reply'].includes(precedence)) {
+    reasons.push(`precedence:${precedence}`);
+  }
+
+  // Sent by Exchange/Outlook rules (out of office etc.)
+  if (/\b(all|oof|autoreply)\b/i.test(getHeader(headers, 'x-auto-response-suppress'))) {
+    reasons.push('autoResponseSuppress');
+  }
+
+  if (DAEMON_SENDER_REGEX.test(address)) {
+    reasons.push('mailerDaemon');
+  }
+
+  if (address.endsWith('@' + HELPDESK_EMAIL_DOMAIN) || address.endsWith('.' + HELPDESK_EMAIL_DOMAIN)) {
+    reasons.push('ownMailbox');
+  }
+
+  return { isAutomated: reasons.length > 0, reasons };
+}
+
+/**
+ * Gets the auto-reply rate limit of a knowledgebase
+ * Stored as autoReplyRateLimit: { maxPerWindow, windowMinutes } on the knowledgebase document
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - { maxPerWindow, windowMinutes }
+ */
+async function getAutoReplyRateLimit(uid, selectedCompany = 'default') {
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const limit = (doc.exists && doc.data().autoReplyRateLimit) || {};
+
+    return {
+      maxPerWindow: Number(limit.maxPerWindow) > 0 ? Number(limit.maxPerWindow) : DEFAULT_AUTO_REPLY_RATE_LIMIT.maxPerWindow,
+      windowMinutes: Number(limit.windowMinutes) > 0 ? Number(limit.windowMinutes) : DEFAULT_AUTO_REPLY_RATE_LIMIT.windowMinutes
+    };
+  } catch (error) {
+    console.error('Error getting auto-reply rate limit:', error);
+    return { ...DEFAULT_AUTO_REPLY_RATE_LIMIT };
+  }
+}
+
+/**
+ * Takes one automatic reply to a recipient from the per-sender rate limit
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} recipient - The address the automatic reply would go to
+ * @returns {Promise<boolean>} - True if the reply may be sent
+ */
+async function takeAutoReplySlot(uid, selectedCompany, recipient) {
+  const { maxPerWindow, windowMinutes } = await getAutoReplyRateLimit(uid, selectedCompany);
+  const address = extractAddress(recipient || '').toLowerCase();
+  const key = crypto.createHash('sha1').update(address).digest('hex');
+  const limitRef = db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/autoReplyLimits/${key}`);
+
+  return await db.runTransaction(async (transaction) => {
+    const limitDoc = await transaction.get(limitRef);
+    const now = Date.now();
+    const windowStart = now - windowMinutes * 60 * 1000;
+    const sentAt = ((limitDoc.exists && limitDoc.data().sentAt) || []).filter((time) => time > windowStart);
+
+    if (sentAt.length >= maxPerWindow) {
+      return false;
+    }
+
+    sentAt.push(now);
+    transaction.set(limitRef, { address, sentAt, updatedAt: new Date() });
+    return true;
+  });
+}
+
+/**
+ * Records an automatic reply that was not sent on the ticket
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {string} type - The kind of reply ('confirmation' or 'aiReply')
+ * @param {string} reason - Why it was suppressed
+ * @returns {Promise<void>}
+ */
+async function recordSuppressedAutoReply(ticketRef, type, reason) {
+  try {
+    await ticketRef.set({
+      suppressedAutoReplies: FieldValue.arrayUnion({ type, reason, suppressedAt: new Date() })
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error recording suppressed auto-reply:', error);
+  }
+}
+
+/**
+ * Decides whether an automatic reply may be sent for an inbound message, and records it on
+ * the ticket when it is suppressed
+ * @param {Object} params
+ * @param {string} params.uid - The user UID
+ * @param {string} params.selectedCompany - The selected company
+ * @param {FirebaseFirestore.DocumentReference} params.ticketRef - The ticket document reference
+ * @param {Object} params.messageData - The inbound message (from, isAutomated, automatedReasons)
+ * @param {string} params.type - The kind of reply ('confirmation' or 'aiReply')
+ * @returns {Promise<Object>} - { allowed: true } or { allowed: false, reason }
+ */
+async function checkAutoReply({ uid, selectedCompany, ticketRef, messageData, type }) {
+  let reason = null;
+
+  if (messageData.isAutomated) {
+    reason = `automatedSender:${(messageData.automatedReasons || []).join(',')}`;
+  } else if (await isAddressSuppressed(uid, selectedCompany, messageData.from)) {
+    reason = 'bouncedAddress';
+  } else {
+    try {
+      if (!(await takeAutoReplySlot(uid, selectedCompany, messageData.from))) {
+        reason = 'rateLimited';
+      }
+    } catch (error) {
+      // Fail open, a broken limiter must not stop every reply
+      console.error('Error checking auto-reply rate limit:', error);
+    }
+  }
+
+  if (!reason) {
+    return { allowed: true };
+  }
+
+  console.log(`Suppressing ${type} to ${messageData.from}: ${reason}`);
+  await recordSuppressedAutoReply(ticketRef, type, reason);
+  return { allowed: false, reason };
+}
+
+module.exports = {
+  detectAutomatedEmail,
+  checkAutoReply
+};
@@ -0,0 +1,215 @@
+/**
+ * Bounce helper functions
+ * Recognizes delivery status notifications (DSNs) for our outbound emails and suppresses
+ * addresses that keep hard bouncing
+ */
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { extractAddress } = require('./requestValidation');
+const { getHeader } = require('./emailHelpers');
+
+// Hard bounces after which an address no longer gets automatic emails
+const DEFAULT_HARD_BOUNCE_LIMIT = 2;
+
+// Addresses delivery reports come from, automated mail detection uses them too (see autoReplyHelpers)
+const DAEMON_SENDER_REGEX = /^(mailer-daemon|postmaster|mail-daemon|mailerdaemon)@/i;
+const BOUNCE_SUBJECT_REGEX = /undeliver|delivery (status notification|failure|has failed)|returned mail|failure notice|mail delivery failed|could not be delivered/i;
+
+/**
+ * Returns the first value of a "Field: value" line in a delivery report
+ * @param {string} text - The delivery report text
+ * @param {string} field - The field name
+ * @returns {string|null} - The value or null if not found
+ */
+function reportField(text, field) {
+  const match = text.match(new RegExp(`^${field}:\\s*(.+)$`, 'im'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Detects a bounce / delivery status notification and extracts what it reports
+ * @param {Object} email - The inbound email
+ * @param {string} email.from - The sender's email address
+ * @param {string} email.subject - The email subject
+ * @param {Object} email.headers - The email headers (lowercase keys)
+ * @param {string} email.body - The plain text body
+ * @param {string} email.deliveryReport - The message/delivery-status and original header parts, if any
+ * @returns {Object|null} - { bounceType, recipients, statusCode, diagnostic, originalMessageId } or null
+ */
+function detectBounce({ from, subject, headers, body, deliveryReport }) {
+  const contentType = getHeader(headers, 'content-type').toLowerCase();
+  const failedRecipientsHeader = getHeader(headers, 'x-failed-recipients');
+  const isReport = contentType.startsWith('multipart/report') && contentType.includes('delivery-status');
+  const fromDaemon = DAEMON_SENDER_REGEX.test(extractAddress(from || '').toLowerCase());
+
+  if (!isReport && !failedRecipientsHeader && !(fromDaemon && BOUNCE_SUBJECT_REGEX.test(subject || ''))) {
+    return null;
+  }
+
+  const text = [deliveryReport || '', body && body !== 'N/A' ? body : ''].join('\n');
+
+  // Recipients: X-Failed-Recipients, else the Final-Recipient / Original-Recipient fields
+  let recipients = failedRecipientsHeader
+    ? failedRecipientsHeader.split(',').map((address) => address.trim())
+    : [];
+  if (recipients.length === 0) {
+    const recipientMatches = text.matchAll(/^(?:final|original)-recipient:\s*(?:rfc822;)?\s*(.+)$/gim);
+    recipients = Array.from(recipientMatches, (match) => match[1].trim());
+  }
+  recipients = [...new Set(recipients.map((address) => extractAddress(address).toLowerCase()).filter((address) => address.includes('@')))];
+
+  // 5.x.x is permanent, 4.x.x is transient; without a status "Action: delayed" is the only soft hint
+  const statusCode = reportField(text, 'status') || ((text.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/) || [])[1]) || null;
+  const action = (reportField(text, 'action') || '').toLowerCase();
+  let bounceType = 'hardBounce';
+  if ((statusCode && statusCode.startsWith('4')) || action === 'delayed') {
+    bounceType = 'softBounce';
+  }
+
+  // The Message-ID of our original email, from the returned headers or the DSN threading headers
+  const originalMessageId = reportField(text, 'original-message-id')
+    || reportField(text, 'message-id')
+    || null;
+
+  return {
+    bounceType,
+    recipients,
+    statusCode,
+    diagnostic: reportField(text, 'diagnostic-code') || null,
+    originalMessageId
+  };
+}
+
+/**
+ * Gets the suppression document of an address
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} address - The email address
+ * @returns {FirebaseFirestore.DocumentReference} - The suppression document reference
+ */
+function getSuppressionRef(uid, selectedCompany, address) {
+  const key = crypto.createHash('sha1').update(extractAddress(address || '').toLowerCase()).digest('hex');
+  return db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/suppressedAddresses/${key}`);
+}
+
+/**
+ * Records a bounce for an address, and suppresses it once it reaches the hard bounce limit
+ * The limit is the knowledgebase hardBounceLimit setting (default DEFAULT_HARD_BOUNCE_LIMIT)
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} address - The address that bounced
+ * @param {string} bounceType - 'hardBounce' or 'softBounce'
+ * @returns {Promise<boolean>} - True if the address is now suppressed
+ */
+async function recordAddressBounce(uid, selectedCompany, address, bounceType) {
+  const kbDoc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+  const configuredLimit = kbDoc.exists ? Number(kbDoc.data().hardBounceLimit) : NaN;
+  const limit = configuredLimit > 0 ? configuredLimit : DEFAULT_HARD_BOUNCE_LIMIT;
+  const suppressionRef = getSuppressionRef(uid, selectedCompany, address);
+
+  return await db.runTransaction(async (transaction) => {
+    const suppressionDoc = await transaction.get(suppressionRef);
+    const data = suppressionDoc.exists ? suppressionDoc.data() : {};
+    const hardBounces = (data.hardBounces || 0) + (bounceType === 'hardBounce' ? 1 : 0);
+    const softBounces = (data.softBounces || 0) + (bounceType === 'softBounce' ? 1 : 0);
+    const suppressed = data.suppressed === true || hardBounces >= limit;
+
+    transaction.set(suppressionRef, {
+      address: extractAddress(address).toLowerCase(),
+      hardBounces,
+      softBounces,
+      suppressed,
+      lastBounceType: bounceType,
+      lastBounceAt: new Date(),
+      ...(suppressed && !data.suppressed ? { suppressedAt: new Date() } : {})
+    }, { merge: true });
+
+    return suppressed;
+  });
+}
+
+/**
+ * Whether automatic emails to an address are suppressed because it keeps bouncing
+ * Agents lift a suppression by setting suppressed to false on the document
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} address - The email address
+ * @returns {Promise<boolean>} - True if the address is suppressed
+ */
+async function isAddressSuppressed(uid, selectedCompany, address) {
+  try {
+    const suppressionDoc = await getSuppressionRef(uid, selectedCompany, address).get();
+    return suppressionDoc.exists && suppressionDoc.data().suppressed === true;
+  } catch (error) {
+    console.error('Error checking address suppression:', error);
+    return false;
+  }
+}
+
+/**
+ * Stores a bounce: marks the ticket of the original outbound email with its deliveryStatus,
+ * adds the DSN to that ticket as a 'deliveryStatus' message and updates the address suppressions
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} bounce - The result of detectBounce
+ * @param {Object} messageData - The DSN message data
+ * @param {string|null} ticketId - The ticket of the original outbound email, if found
+ * @param {Function} onStored - Called with the ids of what was written as soon as it is (optional, see makeContact2)
+ * @returns {Promise<Object>} - Status object with the bounce event id
+ */
+async function recordBounce(ticketsCollection, uid, selectedCompany, bounce, messageData, ticketId, onStored = async () => {}) {
+  const suppressedRecipients = [];
+  for (const recipient of bounce.recipients) {
+    if (await recordAddressBounce(uid, selectedCompany, recipient, bounce.bounceType)) {
+      suppressedRecipients.push(recipient);
+    }
+  }
+
+  const deliveryStatus = {
+    type: bounce.bounceType,
+    recipients: bounce.recipients,
+    statusCode: bounce.statusCode,
+    diagnostic: bounce.diagnostic,
+    originalMessageId: bounce.originalMessageId,
+    reportedAt: new Date()
+  };
+
+  let messageDocId = null;
+  if (ticketId) {
+    const ticketRef = ticketsCollection.doc(ticketId);
+    const messageRef = await ticketRef.collection('messages').add({ ...messageData, type: 'deliveryStatus', deliveryStatus });
+    messageDocId = messageRef.id;
+    await onStored({ ticketId, messageDocId });
+    await ticketRef.set({ deliveryStatus }, { merge: true });
+  }
+
+  const eventRef = await ticketsCollection.parent.collection('bounceEvents').add({
+    ...deliveryStatus,
+    ticketId: ticketId || null,
+    messageDocId,
+    from: messageData.from,
+    subject: messageData.subject,
+    suppressedRecipients
+  });
+
+  console.log(`Bounce recorded (${bounce.bounceType}) for ${bounce.recipients.join(', ')}, ticket: ${ticketId || 'not found'}`);
+  return {
+    status: 1,
+    message: ticketId ? `Bounce recorded on ticket: ${ticketId}` : 'Bounce recorded, original message not found',
+    ticketId: ticketId || undefined,
+    messageDocId: messageDocId || undefined,
+    bounceId: eventRef.id
+  };
+}
+
+module.exports = {
+  DAEMON_SENDER_REGEX,
+  detectBounce,
+  recordBounce,
+  isAddressSuppressed
+};
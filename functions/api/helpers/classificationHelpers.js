@@ -0,0 +1,216 @@
+/**
+ * Ticket classification helper functions
+ * New tickets are classified by an AI employee (priority, category, tags, sentiment, language). The answer is kept
+ * in the ticket's classification field; priority, category, tags and sentiment are also set on the ticket itself,
+ * where agents can change them. Fields an agent changed are listed in classification.overriddenFields.
+ */
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getAIResponse } = require('./employeeHelpers');
+const { normalizeLanguage } = require('./localeHelpers');
+const { SLA_PRIORITIES } = require('./slaHelpers');
+
+// The priorities SLA policies are kept by
+const TICKET_PRIORITIES = SLA_PRIORITIES;
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Fields of the classification that are set on the ticket
+const CLASSIFIED_FIELDS = ['priority', 'category', 'tags', 'sentiment'];
+
+const DEFAULT_CATEGORIES = ['billing', 'technical', 'account', 'feature_request', 'bug', 'general'];
+
+const DEFAULT_CLASSIFICATION_SETTINGS = {
+  enabled: true,
+  employee: 'charlie'
+};
+
+const MAX_TAGS = 5;
+
+// Characters of the message sent for classification
+const MAX_CLASSIFIED_BODY_CHARS = 4000;
+
+/**
+ * Normalizes a category or tag to lowercase words joined by underscores
+ * @param {string} value - The category or tag
+ * @returns {string} - The normalized value, empty if nothing is left
+ */
+function normalizeLabel(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+/**
+ * Gets the classification settings of a knowledgebase
+ * Stored as classification: { enabled, categories, employee } on the knowledgebase document.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied
+ */
+async function getClassificationSettings(uid, selectedCompany = 'default') {
+  let classification = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    classification = (doc.exists && doc.data().classification) || {};
+  } catch (error) {
+    console.error('Error getting classification settings:', error);
+  }
+
+  const categories = (Array.isArray(classification.categories) ? classification.categories : [])
+    .map(normalizeLabel)
+    .filter(Boolean);
+
+  return {
+    enabled: classification.enabled !== false,
+    categories: categories.length > 0 ? Array.from(new Set(categories)) : DEFAULT_CATEGORIES,
+    employee: classification.employee || DEFAULT_CLASSIFICATION_SETTINGS.employee,
+  };
+}
+
+/**
+ * Builds the prompt asking the employee to classify a ticket
+ * @param {Object} ticket - { subject, body }
+ * @param {Array<string>} categories - The categories to choose from
+ * @returns {Array<Object>} - The messages for the employee respond API
+ */
+function buildClassificationMessages({ subject, body }, categories) {
+  const instructions = [
+    'Classify the following support ticket. Answer with a single JSON object and nothing else, with these keys:',
+    `- "priority": one of ${TICKET_PRIORITIES.map((value) => `"${value}"`).join(', ')}`,
+    `- "category": one of ${categories.map((value) => `"${value}"`).join(', ')}`,
+    `- "tags": up to ${MAX_TAGS} short lowercase keywords`,
+    `- "sentiment": one of ${SENTIMENTS.map((value) => `"${value}"`).join(', ')}`,
+    '- "language": the ISO 639-1 code of the language the customer wrote in',
+  ].join('\n');
+
+  return [{
+    role: 'user',
+    content: `${instructions}\n\nSubject: ${subject || ''}\n\n${String(body || '').slice(0, MAX_CLASSIFIED_BODY_CHARS)}`
+  }];
+}
+
+/**
+ * Parses the employee's answer into a classification
+ * @param {string} content - The answer, a JSON object possibly wrapped in text or a code fence
+ * @param {Array<string>} categories - The allowed categories
+ * @returns {Object|null} - { priority, category, tags, sentiment, language } with unknown values as null,
+ * or null if the answer has no JSON object
+ */
+function parseClassification(content, categories) {
+  const match = String(content || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    return null;
+  }
+
+  let answer;
+  try {
+    answer = JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+
+  const priority = String(answer.priority || '').trim().toLowerCase();
+  const category = normalizeLabel(answer.category);
+  const sentiment = String(answer.sentiment || '').trim().toLowerCase();
+  const tags = (Array.isArray(answer.tags) ? answer.tags : []).map(normalizeLabel).filter(Boolean);
+
+  return {
+    priority: TICKET_PRIORITIES.includes(priority) ? priority : null,
+    category: categories.includes(category) ? category : null,
+    tags: Array.from(new Set(tags)).slice(0, MAX_TAGS),
+    sentiment: SENTIMENTS.includes(sentiment) ? sentiment : null,
+    language: normalizeLanguage(answer.language),
+  };
+}
+
+/**
+ * Asks the employee respond API to classify a ticket
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} ticket - { ticketId, subject, body, from }
+ * @param {Object} settings - The classification settings (see getClassificationSettings)
+ * @returns {Promise<Object|null>} - The classification, or null if the answer could not be used
+ */
+async function classifyTicket(uid, selectedCompany, { ticketId, subject, body, from }, settings) {
+  const responseData = await getAIResponse(uid, selectedCompany, buildClassificationMessages({ subject, body }, settings.categories), {
+    ticketId,
+    customerEmail: from || '',
+    purpose: 'classification',
+  }, { employee: settings.employee, temperature: 0 });
+
+  const content = responseData.content || responseData.response || responseData.message;
+  const classification = parseClassification(content, settings.categories);
+  if (!classification) {
+    console.log('Unusable classification answer:', String(content || '').substring(0, 200));
+  }
+  return classification;
+}
+
+/**
+ * Stores a classification on a ticket
+ * The ticket fields an agent already set are left alone.
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {Object} classification - The classification (see parseClassification)
+ * @param {Object} settings - The classification settings (see getClassificationSettings)
+ * @returns {Promise<Object|null>} - The classified ticket fields { priority, category, tags, sentiment, language },
+ * or null if the ticket is gone
+ */
+async function storeClassification(ticketRef, classification, settings) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    if (!ticketDoc.exists) {
+      return null;
+    }
+
+    const ticket = ticketDoc.data();
+    const fields = {};
+    const update = {};
+    CLASSIFIED_FIELDS.forEach((field) => {
+      const isSet = Array.isArray(ticket[field]) ? ticket[field].length > 0 : ticket[field] != null;
+      fields[field] = isSet ? ticket[field] : classification[field];
+      if (!isSet) {
+        update[field] = classification[field];
+      }
+    });
+
+    const stored = { ...classification, source: 'ai', employee: settings.employee };
+    update.classification = {
+      ...stored,
+      overriddenFields: getOverriddenFields({ ...fields, classification: stored }),
+      classifiedAt: FieldValue.serverTimestamp(),
+    };
+
+    transaction.update(ticketRef, update);
+    return { ...fields, language: classification.language };
+  });
+}
+
+/**
+ * Lists the classified fields of a ticket that differ from the classification
+ * @param {Object} ticketData - The ticket document data
+ * @returns {Array<string>|null} - The field names, or null if the ticket was not classified
+ */
+function getOverriddenFields(ticketData) {
+  const classification = ticketData.classification;
+  if (!classification) {
+    return null;
+  }
+
+  const normalize = (value) => (Array.isArray(value) ? value.slice().sort() : value == null ? null : value);
+  return CLASSIFIED_FIELDS.filter((field) => JSON.stringify(normalize(ticketData[field])) !== JSON.stringify(normalize(classification[field])));
+}
+
+module.exports = {
+  TICKET_PRIORITIES,
+  SENTIMENTS,
+  CLASSIFIED_FIELDS,
+  getClassificationSettings,
+  buildClassificationMessages,
+  parseClassification,
+  classifyTicket,
+  storeClassification,
+  getOverriddenFields
+};
@@ -0,0 +1,267 @@
+/**
+ * Contact helper functions
+ * Every sender gets a contact per knowledgebase in Users/{uid}/knowledgebases/{company}/contacts/{contactId}, where
+ * contactId is the SHA-1 of the lowercase address: { email, name, organization: { domain, name }, firstSeenAt,
+ * lastSeenAt, ticketCount, openTicketCount, customFields }. Name and organization are only filled in when they are
+ * missing, so edits in the dashboard are kept; customFields belong to the dashboard.
+ */
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { extractAddress } = require('./requestValidation');
+
+// Mailbox providers, their domain says nothing about the customer's organization
+const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'yahoo.com', 'ymail.com',
+  'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de', 'gmx.net',
+  'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'orange.fr', 'free.fr', 'laposte.net', 'sapo.pt'
+];
+
+// Public suffixes with two labels, the organization is the label before them
+const TWO_LABEL_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'com.au', 'net.au', 'co.nz', 'com.br', 'com.pt', 'co.za', 'co.jp', 'com.mx'];
+
+// Statuses that no longer count as open
+const CLOSED_STATUSES = ['Solved', 'Closed'];
+
+// Tickets of the customer given to the AI as history
+const RECENT_TICKETS_LIMIT = 5;
+
+/**
+ * Parses the sender of an email
+ * @param {string} from - The From value, "addr@host" or "Display Name <addr@host>"
+ * @param {string} fromName - The decoded display name, when the email was parsed from raw MIME (optional)
+ * @returns {Object} - { email, name } with the lowercase address and the display name (null if none)
+ */
+function parseSender(from, fromName = null) {
+  const email = extractAddress(from || '').toLowerCase();
+  const headerName = (String(from || '').match(/^\s*(.*?)\s*<[^<>]+>\s*$/) || [])[1];
+  const name = String(fromName || headerName || '').replace(/^["']+|["']+$/g, '').replace(/\s+/g, ' ').trim();
+
+  // Some clients put the address itself in the display name
+  return { email, name: name && name.toLowerCase() !== email ? name : null };
+}
+
+/**
+ * Derives the organization of an address from its domain
+ * @param {string} email - The address
+ * @returns {Object|null} - { domain, name } e.g. { domain: 'acme.co.uk', name: 'Acme' }, or null for free mail providers
+ */
+function getOrganization(email) {
+  const domain = String(email || '').split('@')[1];
+  if (!domain || FREE_MAIL_DOMAINS.includes(domain)) {
+    return null;
+  }
+
+  const labels = domain.split('.');
+  const suffixLabels = TWO_LABEL_SUFFIXES.some((suffix) => domain.endsWith(`.${suffix}`)) ? 2 : 1;
+  const label = labels[labels.length - suffixLabels - 1];
+  if (!label) {
+    return null;
+  }
+
+  const registered = labels.slice(labels.length - suffixLabels - 1).join('.');
+  const name = label.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+  return { domain: registered, name };
+}
+
+/**
+ * Returns the contact ID of an address
+ * @param {string} email - The lowercase address
+ * @returns {string} - The SHA-1 of the address
+ */
+function getContactId(email) {
+  return crypto.createHash('sha1').update(email).digest('hex');
+}
+
+/**
+ * Returns the contact document of an address
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} email - The lowercase address
+ * @returns {FirebaseFirestore.DocumentReference} - The contact document reference
+ */
+function getContactRef(uid, selectedCompany, email) {
+  return db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/contacts/${getContactId(email)}`);
+}
+
+/**
+ * Creates or updates the contact of a sender when an email comes in
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} sender - { email, name } (see parseSender)
+ * @returns {Promise<string|null>} - The contact ID, or null if the sender has no address or the contact could not be saved
+ */
+async function upsertContact(uid, selectedCompany, { email, name }) {
+  if (!email) {
+    return null;
+  }
+
+  const contactRef = getContactRef(uid, selectedCompany, email);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const contactDoc = await transaction.get(contactRef);
+
+      if (!contactDoc.exists) {
+        transaction.set(contactRef, {
+          email,
+          name: name || null,
+          organization: getOrganization(email),
+          firstSeenAt: FieldValue.serverTimestamp(),
+          lastSeenAt: FieldValue.serverTimestamp(),
+          ticketCount: 0,
+          openTicketCount: 0,
+          customFields: {},
+          createdAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        return;
+      }
+
+      const contact = contactDoc.data();
+      transaction.update(contactRef, {
+        lastSeenAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(!contact.name && name ? { name } : {}),
+        ...(contact.organization === undefined ? { organization: getOrganization(email) } : {}),
+      });
+    });
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    return null;
+  }
+
+  return contactRef.id;
+}
+
+/**
+ * Counts a new ticket on a contact
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} contactId - The contact ID
+ * @returns {Promise<void>}
+ */
+async function recordContactTicket(uid, selectedCompany, contactId) {
+  if (!contactId) {
+    return;
+  }
+
+  try {
+    await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/contacts/${contactId}`).update({
+      ticketCount: FieldValue.increment(1),
+      openTicketCount: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error counting contact ticket:', error);
+  }
+}
+
+/**
+ * Keeps the open ticket count of a contact in line with a status change
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} contactId - The contact ID
+ * @param {string} from - The previous status
+ * @param {string} to - The new status
+ * @returns {Promise<void>}
+ */
+async function updateContactOpenTickets(uid, selectedCompany, contactId, from, to) {
+  const change = (CLOSED_STATUSES.includes(from) ? 1 : 0) - (CLOSED_STATUSES.includes(to) ? 1 : 0);
+  if (!contactId || change === 0) {
+    return;
+  }
+
+  try {
+    await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/contacts/${contactId}`).update({
+      openTicketCount: FieldValue.increment(change),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error updating contact open tickets:', error);
+  }
+}
+
+/**
+ * Converts a Firestore Timestamp or date to an ISO string for the AI context
+ * @param {*} value - The value
+ * @returns {string|null} - The ISO string, or null
+ */
+function toIsoString(value) {
+  const date = value && value.toDate ? value.toDate() : value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Builds the customer part of the AI context: the contact and their recent tickets
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} contactId - The contact ID
+ * @param {string} ticketId - The current ticket, left out of the history
+ * @returns {Promise<Object|null>} - { customer, recentTickets }, or null if the contact is not found
+ */
+async function getContactContext(uid, selectedCompany, contactId, ticketId) {
+  if (!contactId) {
+    return null;
+  }
+
+  try {
+    const contactDoc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/contacts/${contactId}`).get();
+    if (!contactDoc.exists) {
+      return null;
+    }
+    const contact = contactDoc.data();
+
+    // Served by the tickets (contactId, date desc) index in firestore.indexes.json
+    const ticketsSnapshot = await db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/tickets`)
+      .where('contactId', '==', contactId)
+      .orderBy('date', 'desc')
+      .limit(RECENT_TICKETS_LIMIT + 1)
+      .get();
+
+    const recentTickets = ticketsSnapshot.docs
+      .filter((doc) => doc.id !== ticketId)
+      .slice(0, RECENT_TICKETS_LIMIT)
+      .map((doc) => {
+        const ticket = doc.data();
+        return {
+          ticketId: doc.id,
+          ticketNumber: ticket.ticketDisplayNumber || ticket.ticketNumber || null,
+          subject: ticket.subject || '',
+          status: ticket.status || 'Open',
+          category: ticket.category || null,
+          date: toIsoString(ticket.date),
+          lastMessage: String(ticket.lastMessage || '').substring(0, 300),
+        };
+      });
+
+    return {
+      customer: {
+        email: contact.email,
+        name: contact.name || null,
+        organization: contact.organization ? contact.organization.name : null,
+        firstSeenAt: toIsoString(contact.firstSeenAt),
+        ticketCount: contact.ticketCount || 0,
+        openTicketCount: contact.openTicketCount || 0,
+        customFields: contact.customFields || {},
+      },
+      recentTickets,
+    };
+  } catch (error) {
+    console.error('Error getting contact context:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  parseSender,
+  getOrganization,
+  getContactId,
+  upsertContact,
+  recordContactTicket,
+  updateContactOpenTickets,
+  getContactContext
+};
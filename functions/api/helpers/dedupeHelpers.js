@@ -0,0 +1,175 @@
+/**
+ * Deduplication helper functions for inbound emails
+ * Mail relays retry webhooks, every inbound email is claimed once per uid/company by its Message-ID
+ */
+
+const crypto = require('crypto');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { normalizeMessageId } = require('./ticketHelpers');
+
+// A claim still "processing" after this long is assumed to belong to a crashed invocation
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Builds the deduplication key of an inbound email
+ * Uses the Message-ID, or a hash of from, date, subject and body when the id is missing.
+ * A "current" date is left out of the hash since it changes on every retry.
+ * @param {Object} email - The inbound email fields
+ * @param {string} email.from - The sender's email address
+ * @param {Date|string} email.date - The email date
+ * @param {string} email.subject - The email subject
+ * @param {string} email.body - The email body
+ * @param {string} email.messageId - The message ID
+ * @returns {string} - The deduplication key, safe to use as a document id
+ */
+function getInboundDedupeKey({ from, date, subject, body, messageId }) {
+  const normalized = normalizeMessageId(messageId);
+  if (normalized) {
+    return 'mid_' + crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  let dateKey = '';
+  if (date && date !== 'current') {
+    const parsedDate = new Date(date);
+    dateKey = isNaN(parsedDate.getTime()) ? String(date) : parsedDate.toISOString();
+  }
+
+  const content = [from || '', dateKey, subject || '', body || ''].join('\n');
+  return 'hash_' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Reads when a claim was made
+ * @param {Object} data - The claim document data
+ * @returns {number} - The claim time in milliseconds, 0 if unknown
+ */
+function getClaimTime(data) {
+  const createdAt = data.createdAt && data.createdAt.toDate ? data.createdAt.toDate() : new Date(data.createdAt || 0);
+  return createdAt.getTime() || 0;
+}
+
+/**
+ * Claims an inbound email for processing
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} key - The key from getInboundDedupeKey
+ * @returns {Promise<Object>} - { claimed: true, ref } or { claimed: false, ref, data } for a duplicate
+ */
+async function claimInboundEmail(ticketsCollection, key) {
+  const ref = ticketsCollection.parent.collection('inboundEmails').doc(key);
+
+  try {
+    await ref.create({ status: 'processing', createdAt: new Date() });
+    return { claimed: true, ref };
+  } catch (error) {
+    // 6 = ALREADY_EXISTS, anything else is a real failure
+    if (error.code !== 6) {
+      throw error;
+    }
+  }
+
+  const doc = await ref.get();
+  const data = doc.data() || {};
+  const claimTime = getClaimTime(data);
+
+  if (data.status === 'processing' && Date.now() - claimTime > STALE_CLAIM_MS) {
+    // Concurrent retries can all see the stale claim, only the one that still finds it unchanged takes it over
+    const takenOver = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(ref);
+      const currentData = current.data() || {};
+      if (!current.exists || currentData.status !== 'processing' || getClaimTime(currentData) !== claimTime) {
+        return false;
+      }
+      // The crashed invocation already stored the email, replays get what it wrote
+      if (currentData.writtenAt) {
+        transaction.update(ref, { status: 'done', completedAt: new Date() });
+        return false;
+      }
+
+      transaction.set(ref, { status: 'processing', createdAt: new Date() });
+      return true;
+    });
+
+    if (takenOver) {
+      console.log(`Took over stale inbound email claim: ${key}`);
+      return { claimed: true, ref };
+    }
+    return { claimed: false, ref, data: (await ref.get()).data() || data };
+  }
+
+  return { claimed: false, ref, data };
+}
+
+/**
+ * Records on a claim what processing already wrote, before it is done
+ * A claim with writes is completed instead of released when processing fails, so a retry cannot store the
+ * email twice, and it is never taken over as stale.
+ * @param {FirebaseFirestore.DocumentReference} ref - The claim document reference
+ * @param {Object} ids - { ticketId, messageDocId, unmatchedId, bounceId }, the ones written so far
+ * @returns {Promise<void>}
+ */
+async function recordInboundWrite(ref, ids) {
+  await ref.set({ ...ids, writtenAt: new Date() }, { merge: true });
+}
+
+/**
+ * Records the outcome of a claimed inbound email, so replays can return it
+ * @param {FirebaseFirestore.DocumentReference} ref - The claim document reference
+ * @param {Object} result - The status object returned for the email
+ * @returns {Promise<void>}
+ */
+async function completeInboundEmail(ref, result) {
+  await ref.set({
+    status: 'done',
+    ticketId: result.ticketId || null,
+    messageDocId: result.messageDocId || null,
+    unmatchedId: result.unmatchedId || null,
+    bounceId: result.bounceId || null,
+    completedAt: new Date()
+  }, { merge: true });
+}
+
+/**
+ * Releases the claim of an inbound email that failed, so a retry can process it again
+ * @param {FirebaseFirestore.DocumentReference} ref - The claim document reference
+ * @returns {Promise<void>}
+ */
+async function releaseInboundEmail(ref) {
+  try {
+    await ref.delete();
+  } catch (error) {
+    console.error('Error releasing inbound email claim:', error);
+  }
+}
+
+/**
+ * Builds the response for a replayed inbound email
+ * @param {Object} data - The claim document data
+ * @returns {Object} - Status object with the original ids and duplicate: true
+ */
+function getDuplicateResult(data) {
+  if (data.status !== 'done') {
+    return { status: 1, message: 'Email is already being processed', duplicate: true };
+  }
+
+  return {
+    status: 1,
+    message: 'Email already processed',
+    ticketId: data.ticketId,
+    messageDocId: data.messageDocId,
+    unmatchedId: data.unmatchedId,
+    bounceId: data.bounceId,
+    duplicate: true
+  };
+}
+
+module.exports = {
+  getInboundDedupeKey,
+  claimInboundEmail,
+  recordInboundWrite,
+  completeInboundEmail,
+  releaseInboundEmail,
+  getDuplicateResult
+};
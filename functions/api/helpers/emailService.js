@@ -1,57 +1,308 @@
 /**
  * Email service helper functions for sending emails
+ * Outbound mail goes through a pooled transport per sender: the platform SMTP account (SMTP_* env config,
+ * password from the SMTP_PASSWORD secret), a knowledgebase's own SMTP server or API provider, or the
+ * capture transport in tests and the emulator (MAIL_TRANSPORT='capture').
+ *
+ * A knowledgebase brings its own provider with outboundMail: { provider, from, replyTo, smtp: { host, port, secure, user },
+ * mailgun: { domain, region } } on the knowledgebase document. Its password / API key is never stored in Firestore,
+ * it is read from the Secret Manager secret outbound-mail-{uid}-{company}, which setOutboundMailCredential writes.
  */
 
+const axios = require('axios');
 const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const DKIM = require('nodemailer/lib/dkim');
+const { defineSecret } = require('firebase-functions/params');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getKnowledgebaseSecretId, getSecret, setSecret } = require('./secretHelpers');
+const { getDkimOptions } = require('./senderDomainHelpers');
+
+// Bound to the functions that send mail, so the platform password is available as process.env.SMTP_PASSWORD
+const SMTP_PASSWORD = defineSecret('SMTP_PASSWORD');
+
+const DEFAULT_SMTP_PORT = 465;
+const SMTP_MAX_CONNECTIONS = 3;
+
+const MAILGUN_TIMEOUT_MS = 30 * 1000;
+
+// Longest password / API key accepted for a knowledgebase's own provider
+const MAX_CREDENTIAL_LENGTH = 4096;
+
+// Most messages kept by the capture transport
+const MAX_CAPTURED_MESSAGES = 100;
+
+// Pooled transports by sender key ('platform' or uid/company), rebuilt when their settings change
+const transports = new Map();
+
+const capturedMessages = [];
 
 /**
- * Sends a new ticket confirmation email
- * @param {string} newTo - The recipient email address
- * @param {string} subject - The email subject
- * @param {string} message - The plain text message
- * @param {string} html - The HTML content
- * @param {string} from - The sender email address
- * @param {string} replyToId - The message ID to reply to
- * @param {string} references - The references header
- * @returns {Promise<Object>} - Status object with success/failure information
- */
-async function sendNewTicketConfirmation(newTo, subject, message, html, from, replyToId, references) {
-  // Create the transporter with your email service's SMTP settings
-  let transporter = nodemailer.createTransport({
-    host: 'smtp.fastmail.com', // Replace with your SMTP server
-    port: 465, // or 465 for secure
-    secure: true, // true for 465, false for other ports
-    auth: {
-      user: 'all@ourkd.help', // Your email
-      pass: '9t5p4s7d3p58432l' // Your email password
-    }
+ * Compiles a message to raw MIME, DKIM signed if the message has dkim options
+ * @param {Object} mail - The nodemailer message
+ * @returns {Promise<Object>} - { messageId, raw } where raw is a Buffer
+ */
+async function compileMail(mail) {
+  const node = new MailComposer(mail).compile();
+  const messageId = node.messageId();
+
+  const raw = await new Promise((resolve, reject) => {
+    node.build((error, message) => (error ? reject(error) : resolve(message)));
   });
-  console.log("Attempting to reply to ", replyToId);
-
-  // Create the reply email
-  let replyEmail = {
-    from: from, // The user replying
-    to: newTo, // The original sender's email
-    subject: subject, // Prefix "Re:" to the original subject
-    text: message, // The body of the reply
-    inReplyTo: replyToId, // Reference the original email's Message-ID
-    references: references,
-    html: html
-  };
-
-  // Send the email
+  if (!mail.dkim) {
+    return { messageId, raw };
+  }
+
+  const chunks = [];
+  for await (const chunk of new DKIM(mail.dkim).sign(raw)) {
+    chunks.push(chunk);
+  }
+  return { messageId, raw: Buffer.concat(chunks) };
+}
+
+/**
+ * Mail providers: create(settings, credential) returns { send(mail), close() } where send resolves to { messageId }
+ * Others can be added with registerMailProvider.
+ */
+const mailProviders = {
+  smtp: {
+    needsCredential: true,
+    create: (settings, credential) => {
+      const port = Number(settings.port) || DEFAULT_SMTP_PORT;
+      const transporter = nodemailer.createTransport({
+        pool: true,
+        maxConnections: SMTP_MAX_CONNECTIONS,
+        host: settings.host,
+        port: port,
+        // Implicit TLS on 465, STARTTLS otherwise, unless set explicitly
+        secure: settings.secure == null || settings.secure === '' ? port === 465 : String(settings.secure) !== 'false',
+        auth: settings.user ? { user: settings.user, pass: credential } : undefined
+      });
+
+      return {
+        send: async (mail) => ({ messageId: (await transporter.sendMail(mail)).messageId }),
+        close: () => transporter.close()
+      };
+    }
+  },
+  mailgun: {
+    needsCredential: true,
+    create: (settings, credential) => ({
+      // The raw MIME endpoint keeps our Message-ID, In-Reply-To and References headers as they are
+      send: async (mail) => {
+        const { messageId, raw } = await compileMail(mail);
+        const form = new FormData();
+        [].concat(mail.to).forEach((to) => form.append('to', to));
+        form.append('message', new Blob([raw]), 'message.mime');
+
+        const host = settings.region === 'eu' ? 'api.eu.mailgun.net' : 'api.mailgun.net';
+        await axios.post(`https://${host}/v3/${encodeURIComponent(settings.domain)}/messages.mime`, form, {
+          auth: { username: 'api', password: credential },
+          timeout: MAILGUN_TIMEOUT_MS
+        });
+        return { messageId };
+      },
+      close: () => {}
+    })
+  },
+  capture: {
+    needsCredential: false,
+    create: () => ({
+      send: async (mail) => {
+        const { messageId, raw } = await compileMail(mail);
+        const { dkim, ...fields } = mail;
+        capturedMessages.push({ ...fields, messageId, dkimSigned: Boolean(dkim), raw: raw.toString('utf8'), capturedAt: new Date() });
+        capturedMessages.splice(0, Math.max(0, capturedMessages.length - MAX_CAPTURED_MESSAGES));
+        console.log(`[MAIL CAPTURE] ${mail.from} -> ${mail.to}: ${mail.subject} (${messageId})`);
+        return { messageId };
+      },
+      close: () => {}
+    })
+  },
+};
+
+/**
+ * Whether an HTTP error status is final: client errors other than timeouts and rate limits
+ * @param {number} status - The HTTP status
+ * @returns {boolean} - True if retrying the same request cannot succeed
+ */
+function isPermanentHttpStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/**
+ * Adds a mail provider, e.g. another API-based service
+ * @param {string} name - The provider name used in outboundMail.provider
+ * @param {Object} provider - { needsCredential, create(settings, credential) } (see mailProviders)
+ */
+function registerMailProvider(name, provider) {
+  mailProviders[name] = provider;
+}
+
+/**
+ * Gets the outbound mail settings of a knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object|null>} - The outboundMail settings, or null if the knowledgebase uses the platform transport
+ */
+async function getOutboundMailSettings(uid, selectedCompany = 'default') {
   try {
-    const info = await transporter.sendMail(replyEmail);
-    console.log('New ticket confirmation sent');
-    console.log('###################################################################');
-    return { status: 1, message: 'New ticket confirmation sent', messageId: info.messageId };
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const outboundMail = doc.exists && doc.data().outboundMail;
+
+    if (outboundMail && outboundMail.provider && outboundMail.enabled !== false) {
+      return outboundMail;
+    }
   } catch (error) {
-    console.log('Error sending new ticket confirmation: ' + error.message);
-    return { status: 0, message: 'Error sending new ticket confirmation: ' + error.message };
+    console.error('Error getting outbound mail settings:', error);
   }
+  return null;
+}
+
+/**
+ * Stores the password / API key of a knowledgebase's own mail provider in Secret Manager
+ * The knowledgebase document only records when it was last set (outboundMail.credentialUpdatedAt).
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} credential - The SMTP password or provider API key
+ * @returns {Promise<Object>} - Status object
+ */
+async function setOutboundMailCredential(uid, selectedCompany, credential) {
+  if (typeof credential !== 'string' || credential.trim() === '' || credential.length > MAX_CREDENTIAL_LENGTH) {
+    return { status: 0, error: 'invalid_credential', message: `A credential of at most ${MAX_CREDENTIAL_LENGTH} characters is required` };
+  }
+
+  await setSecret(getKnowledgebaseSecretId('outbound-mail', uid, selectedCompany), credential);
+  await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).set({
+    outboundMail: { credentialUpdatedAt: FieldValue.serverTimestamp() }
+  }, { merge: true });
+
+  console.log(`Stored outbound mail credential for ${uid}/${selectedCompany}`);
+  return { status: 1, message: 'Outbound mail credential stored' };
+}
+
+/**
+ * Returns a cached transport, creating it (and closing a stale one) when its settings changed
+ * @param {string} key - The sender key
+ * @param {string} providerName - The provider name
+ * @param {Object} settings - The provider settings
+ * @param {Function} getCredential - Resolves to the password / API key
+ * @returns {Promise<Object>} - The transport
+ */
+async function getTransport(key, providerName, settings, getCredential) {
+  const provider = mailProviders[providerName];
+  if (!provider) {
+    throw new Error(`Unknown mail provider: ${providerName}`);
+  }
+
+  const credential = provider.needsCredential ? await getCredential() : null;
+  if (provider.needsCredential && !credential) {
+    throw new Error(`No credential configured for mail provider ${providerName} (${key})`);
+  }
+
+  // The credential is part of the signature so a rotated password rebuilds the pool
+  const signature = JSON.stringify({ providerName, settings, credential });
+  const cached = transports.get(key);
+  if (cached && cached.signature === signature) {
+    return cached.transport;
+  }
+  if (cached) {
+    cached.transport.close();
+  }
+
+  const transport = provider.create(settings, credential);
+  transports.set(key, { signature, transport });
+  return transport;
+}
+
+/**
+ * Resolves the transport a knowledgebase sends with
+ * The capture transport wins when MAIL_TRANSPORT is 'capture' (the default in the emulator), then the
+ * knowledgebase's own provider, then the platform SMTP account. A knowledgebase provider that cannot be
+ * set up (e.g. a missing secret) falls back to the platform account.
+ * @param {string} uid - The user UID (optional)
+ * @param {string} selectedCompany - The selected company (optional)
+ * @returns {Promise<Object>} - { transport, provider, from, replyTo } where from / replyTo override the message's if set
+ */
+async function resolveTransport(uid, selectedCompany) {
+  const mode = process.env.MAIL_TRANSPORT || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'capture' : 'smtp');
+  if (mode === 'capture') {
+    return { transport: await getTransport('capture', 'capture', {}), provider: 'capture' };
+  }
+
+  const outboundMail = uid ? await getOutboundMailSettings(uid, selectedCompany) : null;
+  if (outboundMail) {
+    try {
+      const settings = outboundMail[outboundMail.provider] || {};
+      const transport = await getTransport(`${uid}/${selectedCompany}`, outboundMail.provider, settings, () => getSecret(getKnowledgebaseSecretId('outbound-mail', uid, selectedCompany)));
+      return { transport, provider: outboundMail.provider, from: outboundMail.from || null, replyTo: outboundMail.replyTo || null };
+    } catch (error) {
+      console.error('Knowledgebase mail provider unavailable, using the platform transport:', error.message);
+    }
+  }
+
+  const transport = await getTransport('platform', 'smtp', {
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE,
+    user: process.env.SMTP_USER
+  }, async () => process.env.SMTP_PASSWORD || null);
+
+  return { transport, provider: 'platform' };
+}
+
+/**
+ * Sends an email through the transport of a knowledgebase
+ * @param {Object} mail - The nodemailer message { from, to, subject, text, html, inReplyTo, references, ... }
+ * @param {Object} sender - { uid, selectedCompany } of the knowledgebase sending the email (optional)
+ * @returns {Promise<Object>} - Status object with the messageId and the provider used
+ */
+async function sendMail(mail, { uid, selectedCompany = 'default' } = {}) {
+  try {
+    const { transport, provider, from, replyTo } = await resolveTransport(uid, selectedCompany);
+    const message = { ...mail, ...(from ? { from } : {}), ...(replyTo ? { replyTo } : {}) };
+
+    // Mail from a verified custom sender domain is signed with the domain's key
+    const dkim = uid ? await getDkimOptions(uid, selectedCompany, message.from) : null;
+    if (dkim) {
+      message.dkim = dkim;
+    }
+
+    const info = await transport.send(message);
+    return { status: 1, message: 'Email sent', messageId: info.messageId, provider };
+  } catch (error) {
+    console.log('Error sending email: ' + error.message);
+    // SMTP 5xx replies and HTTP 4xx responses (other than timeouts and rate limits) will not go away by retrying
+    const httpStatus = error.response && error.response.status;
+    const permanent = error.responseCode ? error.responseCode >= 500 : Boolean(httpStatus && isPermanentHttpStatus(httpStatus));
+    return { status: 0, message: 'Error sending email: ' + error.message, responseCode: error.responseCode || httpStatus || null, permanent };
+  }
+}
+
+/**
+ * Returns the messages sent through the capture transport, oldest first
+ * @returns {Array<Object>} - The captured messages, with their raw MIME
+ */
+function getCapturedMail() {
+  return capturedMessages.slice();
+}
+
+/**
+ * Clears the messages captured so far
+ */
+function clearCapturedMail() {
+  capturedMessages.length = 0;
 }
 
 module.exports = {
-  sendNewTicketConfirmation
+  SMTP_PASSWORD,
+  isPermanentHttpStatus,
+  registerMailProvider,
+  setOutboundMailCredential,
+  sendMail,
+  getCapturedMail,
+  clearCapturedMail
 };
-
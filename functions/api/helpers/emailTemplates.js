@@ -1,38 +1,48 @@
 /**
  * Email template helper functions
+ * Templates are stored per knowledgebase at Users/{uid}/knowledgebases/{company}/emailTemplates/{templateId}
+ * as { subject, html, text, enabled }; the built-in templates below are the fallback.
+ * Placeholders are written {{name}}, sections {{#name}}...{{/name}} are only kept when the value is set.
+ * Every interpolated value is HTML escaped in the HTML part.
+ * Templates are localized: a knowledgebase can store {templateId}_{language} (e.g. ticketConfirmation_fr) next to
+ * {templateId}, and the customer-facing sentences are available as placeholders in the customer's language.
  */
 
-/**
- * Generates HTML content for new ticket confirmation email
- * @param {string} from - The sender's email address
- * @param {string} to - The recipient's email address
- * @param {string} subject - The email subject
- * @param {Date} date - The ticket date
- * @param {string} body - The message body
- * @param {string} messageId - The message ID
- * @param {string} inReplyTo - The in-reply-to header
- * @param {string} references - The references header
- * @param {string} uid - The user UID
- * @param {string} html - The HTML content
- * @param {number} ticketNumber - The ticket number
- * @param {string} companyname - The company name
- * @param {string} subdomain - The subdomain
- * @returns {Promise<string>} - The HTML content for the email
- */
-async function getNewTicketConfirmationHTML(from, to, subject, date, body, messageId, inReplyTo, references, uid, html, ticketNumber, companyname, subdomain) {
+const { convert } = require('html-to-text');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { HELPDESK_EMAIL_DOMAIN } = require('../constants');
+const { DEFAULT_LANGUAGE, normalizeLanguage, getLocalizationSettings, formatLocalizedDate } = require('./localeHelpers');
+const { getSlaSettings, getSlaTargets } = require('./slaHelpers');
+const { parseSender } = require('./contactHelpers');
+
+const TICKET_CONFIRMATION_TEMPLATE_ID = 'ticketConfirmation';
+
+const DEFAULT_BRANDING = {
+  logoUrl: null,
+  primaryColor: '#3498db',
+  headingColor: '#2c3e50',
+  backgroundColor: '#f4f4f4'
+};
+
+const COLOR_REGEX = /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i;
 
-  const htmlContent = `<!DOCTYPE html>
-<html lang="en">
+const DEFAULT_TICKET_CONFIRMATION_TEMPLATE = {
+  subject: '{{title}}',
+  html: `<!DOCTYPE html>
+<html lang="{{language}}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Ticket Received</title>
+  <title>{{title}}</title>
   <style>
       body {
           font-family: Arial, sans-serif;
           margin: 0;
           padding: 0;
-          background-color: #f4f4f4;
+          background-color: {{backgroundColor}};
           color: #333333;
       }
       .container {
@@ -52,14 +62,14 @@ async function getNewTicketConfirmationHTML(from, to, subject, date, body, messa
       }
       .header h1 {
           font-size: 24px;
-          color: #2c3e50;
+          color: {{headingColor}};
       }
       .content {
           padding: 20px;
           line-height: 1.6;
       }
       .content h2 {
-          color: #2c3e50;
+          color: {{headingColor}};
           font-size: 22px;
           margin-bottom: 10px;
       }
@@ -80,7 +90,7 @@ async function getNewTicketConfirmationHTML(from, to, subject, date, body, messa
           margin-top: 30px;
       }
       .content .cta a {
-          background-color: #3498db;
+          background-color: {{primaryColor}};
           color: #ffffff;
           text-decoration: none;
           padding: 12px 25px;
@@ -95,68 +105,370 @@ async function getNewTicketConfirmationHTML(from, to, subject, date, body, messa
           color: #7f8c8d;
       }
       .footer a {
-          color: #3498db;
+          color: {{primaryColor}};
           text-decoration: none;
       }
-      .social-icons img {
-          width: 32px;
-          margin: 0 10px;
-          border-radius:5px;
-      }
   </style>
 </head>
 <body>
   <div class="container">
       <div class="header">
-          <!--<img src="your-logo-url.png" alt="Company Logo">-->
-          <h1>`+ companyname + `</h1>
+          {{#logoUrl}}<img src="{{logoUrl}}" alt="{{companyName}}">{{/logoUrl}}
+          <h1>{{companyName}}</h1>
           <br>
           <hr>
       </div>
       <div class="content">
-          <h2>Hello ` + from + `,</h2>
-          <p>Thank you for reaching out to us! 🎉 We've received your ticket and our support team is already on the case.</p>
+          <h2>{{greeting}}</h2>
+          <p>{{intro}}</p>
 
           <div class="ticket-details">
-              <h3>🔍 Ticket Details:</h3>
-              <p><strong>Ticket ID:</strong> ` + ticketNumber + `</p>
-              <p><strong>Subject:</strong> ` + subject + `</p>
-              <p><strong>Date Submitted:</strong> ` + date + `</p>
-              <p><strong>Priority:</strong> High</p>
+              <h3>{{detailsTitle}}</h3>
+              <p><strong>{{ticketIdLabel}}</strong> {{ticketNumber}}</p>
+              <p><strong>{{subjectLabel}}</strong> {{subject}}</p>
+              <p><strong>{{dateLabel}}</strong> {{dateSubmitted}}</p>
           </div>
 
-          <p>Our team is reviewing your request and will get back to you with an update as soon as possible. You can expect a response within <strong>24 hours</strong>.</p>
+          <p>{{responseTime}}</p>
 
           <div class="cta">
-              <a href="`+ subdomain + `.ourkd.help">Help Center</a>
+              <a href="{{helpCenterUrl}}">{{helpCenterLabel}}</a>
           </div>
           <br>
 
-          <p>If you need immediate assistance, please visit our <a href="`+ subdomain + `.ourkd.help">Help Center</a> <!--or join the conversation in our <a href="[Community Forum Link]">Community Forum</a>-->.</p>
+          <p>{{immediateHelp}}</p>
       </div>
       <div class="footer">
-          <p>Thank you for choosing `+ companyname + `. We're here to help!</p>
-          <!--<p><a href="mailto:[Your Contact Information]">Contact Us</a> | <a href="[Unsubscribe Link]">Unsubscribe</a></p>-->
-          <!--<div class="social-icons">
-              <a href="https://facebook.com"><img src="https://cdn.jim-nielsen.com/ios/512/facebook-2019-05-21.png" alt="Facebook"></a>
-              <a href="#https://instagram.com"><img src="https://cdn.jim-nielsen.com/ios/512/instagram-2022-05-19.png" alt="Instagram"></a>
-          </div>-->
+          <p>{{thanks}}</p>
           <br>
           <hr>
-          <p style="margin-top: 40px; font-size: 17px; font-weight: bold; color: #2c3e50;">
-              Powered By <a href="https://evidah.com" style="color: #e74c3c; text-decoration: none;">Evidah</a>
+          <p style="margin-top: 40px; font-size: 17px; font-weight: bold; color: {{headingColor}};">
+              {{poweredBy}} <a href="https://evidah.com" style="color: #e74c3c; text-decoration: none;">Evidah</a>
           </p>
 
       </div>
   </div>
 </body>
-</html>`;
+</html>`,
+  text: null
+};
+
+// Customer-facing sentences of the ticket confirmation per language. They may use the placeholders of the
+// confirmation and contain markup, so they are rendered first and inserted into the template as is.
+const TICKET_CONFIRMATION_STRINGS = {
+  en: {
+    title: 'Ticket Received',
+    greeting: 'Hello {{customerName}},',
+    intro: 'Thank you for reaching out to us! 🎉 We\'ve received your ticket and our support team is already on the case.',
+    detailsTitle: '🔍 Ticket Details:',
+    ticketIdLabel: 'Ticket ID:',
+    subjectLabel: 'Subject:',
+    dateLabel: 'Date Submitted:',
+    responseTime: 'Our team is reviewing your request and will get back to you with an update as soon as possible. You can expect a response <strong>{{slaText}}</strong>.',
+    helpCenterLabel: 'Help Center',
+    immediateHelp: 'If you need immediate assistance, please visit our <a href="{{helpCenterUrl}}">Help Center</a>.',
+    thanks: 'Thank you for choosing {{companyName}}. We\'re here to help!',
+    poweredBy: 'Powered By',
+    slaText: 'within 24 hours'
+  },
+  fr: {
+    title: 'Ticket reçu',
+    greeting: 'Bonjour {{customerName}},',
+    intro: 'Merci de nous avoir contactés ! 🎉 Nous avons bien reçu votre ticket et notre équipe d\'assistance s\'en occupe déjà.',
+    detailsTitle: '🔍 Détails du ticket :',
+    ticketIdLabel: 'Numéro du ticket :',
+    subjectLabel: 'Objet :',
+    dateLabel: 'Date d\'envoi :',
+    responseTime: 'Notre équipe examine votre demande et reviendra vers vous dès que possible. Vous pouvez vous attendre à une réponse <strong>{{slaText}}</strong>.',
+    helpCenterLabel: 'Centre d\'aide',
+    immediateHelp: 'Si vous avez besoin d\'une aide immédiate, consultez notre <a href="{{helpCenterUrl}}">centre d\'aide</a>.',
+    thanks: 'Merci d\'avoir choisi {{companyName}}. Nous sommes là pour vous aider !',
+    poweredBy: 'Propulsé par',
+    slaText: 'sous 24 heures'
+  },
+  de: {
+    title: 'Ticket erhalten',
+    greeting: 'Hallo {{customerName}},',
+    intro: 'Vielen Dank für Ihre Nachricht! 🎉 Wir haben Ihr Ticket erhalten und unser Support-Team kümmert sich bereits darum.',
+    detailsTitle: '🔍 Ticket-Details:',
+    ticketIdLabel: 'Ticket-Nummer:',
+    subjectLabel: 'Betreff:',
+    dateLabel: 'Eingegangen am:',
+    responseTime: 'Unser Team prüft Ihre Anfrage und meldet sich so schnell wie möglich bei Ihnen. Sie können mit einer Antwort <strong>{{slaText}}</strong> rechnen.',
+    helpCenterLabel: 'Hilfe-Center',
+    immediateHelp: 'Wenn Sie sofort Hilfe benötigen, besuchen Sie unser <a href="{{helpCenterUrl}}">Hilfe-Center</a>.',
+    thanks: 'Vielen Dank, dass Sie sich für {{companyName}} entschieden haben. Wir helfen Ihnen gerne!',
+    poweredBy: 'Bereitgestellt von',
+    slaText: 'innerhalb von 24 Stunden'
+  },
+  pt: {
+    title: 'Pedido recebido',
+    greeting: 'Olá {{customerName}},',
+    intro: 'Obrigado por entrar em contacto connosco! 🎉 Recebemos o seu pedido e a nossa equipa de suporte já está a tratar dele.',
+    detailsTitle: '🔍 Detalhes do pedido:',
+    ticketIdLabel: 'Número do pedido:',
+    subjectLabel: 'Assunto:',
+    dateLabel: 'Data de envio:',
+    responseTime: 'A nossa equipa está a analisar o seu pedido e entrará em contacto consigo assim que possível. Pode esperar uma resposta <strong>{{slaText}}</strong>.',
+    helpCenterLabel: 'Centro de ajuda',
+    immediateHelp: 'Se precisar de ajuda imediata, visite o nosso <a href="{{helpCenterUrl}}">Centro de ajuda</a>.',
+    thanks: 'Obrigado por escolher {{companyName}}. Estamos aqui para ajudar!',
+    poweredBy: 'Desenvolvido por',
+    slaText: 'dentro de 24 horas'
+  }
+};
+
+// The first response target as promised in the confirmation, [singular, plural] per unit and language.
+// Business units are used when the SLA only counts business hours.
+const SLA_TEXT_STRINGS = {
+  en: {
+    minutes: ['within {{count}} minute', 'within {{count}} minutes'],
+    hours: ['within {{count}} hour', 'within {{count}} hours'],
+    days: ['within {{count}} day', 'within {{count}} days'],
+    businessMinutes: ['within {{count}} business minute', 'within {{count}} business minutes'],
+    businessHours: ['within {{count}} business hour', 'within {{count}} business hours']
+  },
+  fr: {
+    minutes: ['sous {{count}} minute', 'sous {{count}} minutes'],
+    hours: ['sous {{count}} heure', 'sous {{count}} heures'],
+    days: ['sous {{count}} jour', 'sous {{count}} jours'],
+    businessMinutes: ['sous {{count}} minute ouvrée', 'sous {{count}} minutes ouvrées'],
+    businessHours: ['sous {{count}} heure ouvrée', 'sous {{count}} heures ouvrées']
+  },
+  de: {
+    minutes: ['innerhalb von {{count}} Minute', 'innerhalb von {{count}} Minuten'],
+    hours: ['innerhalb von {{count}} Stunde', 'innerhalb von {{count}} Stunden'],
+    days: ['innerhalb von {{count}} Tag', 'innerhalb von {{count}} Tagen'],
+    businessMinutes: ['innerhalb von {{count}} Geschäftsminute', 'innerhalb von {{count}} Geschäftsminuten'],
+    businessHours: ['innerhalb von {{count}} Geschäftsstunde', 'innerhalb von {{count}} Geschäftsstunden']
+  },
+  pt: {
+    minutes: ['dentro de {{count}} minuto', 'dentro de {{count}} minutos'],
+    hours: ['dentro de {{count}} hora', 'dentro de {{count}} horas'],
+    days: ['dentro de {{count}} dia', 'dentro de {{count}} dias'],
+    businessMinutes: ['dentro de {{count}} minuto útil', 'dentro de {{count}} minutos úteis'],
+    businessHours: ['dentro de {{count}} hora útil', 'dentro de {{count}} horas úteis']
+  }
+};
 
-  return htmlContent;
+/**
+ * Escapes a value for use in HTML text and attributes
+ * @param {*} value - The value
+ * @returns {string} - The escaped value
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a template: sections first, then placeholders; unknown placeholders render empty
+ * @param {string} template - The template
+ * @param {Object} variables - The placeholder values
+ * @param {Function} escape - Applied to every value as escape(value, name) (optional)
+ * @returns {string} - The rendered text
+ */
+function renderTemplate(template, variables, escape = (value) => String(value)) {
+  const isSet = (name) => variables[name] != null && variables[name] !== '';
+
+  return String(template || '')
+    .replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, name, content) => (isSet(name) ? content : ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (isSet(name) ? escape(variables[name], name) : ''));
+}
+
+/**
+ * Generates the plain text part of an email from its HTML
+ * @param {string} html - The HTML content
+ * @returns {string} - The plain text content
+ */
+function htmlToPlainText(html) {
+  return convert(html, {
+    wordwrap: 100,
+    selectors: [
+      { selector: 'img', format: 'skip' },
+      { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+      { selector: 'h1', options: { uppercase: false } },
+      { selector: 'h2', options: { uppercase: false } },
+      { selector: 'h3', options: { uppercase: false } }
+    ]
+  });
+}
+
+/**
+ * Gets the branding of a knowledgebase, stored as branding: { logoUrl, primaryColor, headingColor, backgroundColor }
+ * Values that could break out of the template (non-https logos, anything but a colour) fall back to the defaults
+ * @param {Object} knowledgebaseData - The knowledgebase document data
+ * @returns {Object} - The branding with defaults applied
+ */
+function getBranding(knowledgebaseData) {
+  const branding = (knowledgebaseData && knowledgebaseData.branding) || {};
+  const color = (value, fallback) => (typeof value === 'string' && COLOR_REGEX.test(value.trim()) ? value.trim() : fallback);
 
+  return {
+    logoUrl: typeof branding.logoUrl === 'string' && /^https:\/\//i.test(branding.logoUrl) ? branding.logoUrl : DEFAULT_BRANDING.logoUrl,
+    primaryColor: color(branding.primaryColor, DEFAULT_BRANDING.primaryColor),
+    headingColor: color(branding.headingColor, DEFAULT_BRANDING.headingColor),
+    backgroundColor: color(branding.backgroundColor, DEFAULT_BRANDING.backgroundColor)
+  };
+}
+
+/**
+ * Gets a template of a knowledgebase in a language, then in any language, or the built-in template
+ * if it has neither (or they are disabled)
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} templateId - The template id
+ * @param {string} language - The language code
+ * @param {Object} fallback - The built-in template
+ * @returns {Promise<Object>} - { subject, html, text, custom }
+ */
+async function getEmailTemplate(uid, selectedCompany, templateId, language, fallback) {
+  for (const id of [`${templateId}_${language}`, templateId]) {
+    try {
+      const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/emailTemplates/${id}`).get();
+      const template = doc.exists ? doc.data() : null;
+
+      if (template && template.enabled !== false && typeof template.html === 'string' && template.html.trim() !== '') {
+        return {
+          subject: template.subject || fallback.subject,
+          html: template.html,
+          text: typeof template.text === 'string' && template.text.trim() !== '' ? template.text : null,
+          custom: true
+        };
+      }
+    } catch (error) {
+      console.error(`Error getting email template ${id}:`, error);
+    }
+  }
+
+  return { ...fallback, custom: false };
+}
+
+/**
+ * Gets a per-language knowledgebase setting, stored either as a string for every language
+ * or as a map by language code ({ en: '...', fr: '...' })
+ * @param {string|Object} value - The setting
+ * @param {string} language - The language code
+ * @returns {string|null} - The value for the language, or null if unset
+ */
+function getLocalizedSetting(value, language) {
+  if (typeof value === 'string') {
+    return value.trim() || null;
+  }
+  if (value && typeof value === 'object' && typeof value[language] === 'string') {
+    return value[language].trim() || null;
+  }
+  return null;
+}
+
+/**
+ * Describes the first response target of a knowledgebase's SLA for the confirmation
+ * New tickets have no priority yet, so this is the knowledgebase target (see getNewTicketSlaFields).
+ * Whole days are only used around the clock, a business day has no fixed length.
+ * @param {Object} settings - The SLA settings (see getSlaSettings)
+ * @param {string} language - The customer's language
+ * @returns {string|null} - e.g. 'within 4 business hours', or null if the SLA is off or has no first response target
+ */
+function getSlaText(settings, language) {
+  const minutes = settings.enabled ? getSlaTargets(settings, null).firstResponseMinutes : 0;
+  if (!minutes) {
+    return null;
+  }
+
+  const businessHours = Boolean(settings.calendar.businessHours);
+  let unit = 'minutes';
+  let count = minutes;
+  if (!businessHours && minutes >= 2 * 1440 && minutes % 1440 === 0) {
+    unit = 'days';
+    count = minutes / 1440;
+  } else if (minutes % 60 === 0) {
+    unit = 'hours';
+    count = minutes / 60;
+  }
+
+  const strings = SLA_TEXT_STRINGS[language] || SLA_TEXT_STRINGS[DEFAULT_LANGUAGE];
+  const forms = strings[businessHours ? `business${unit.charAt(0).toUpperCase()}${unit.slice(1)}` : unit];
+  return renderTemplate(forms[count === 1 ? 0 : 1], { count });
+}
+
+/**
+ * Renders the new ticket confirmation email of a knowledgebase in the customer's language
+ * Placeholders: companyName, customerName, customerEmail, ticketNumber, subject, dateSubmitted,
+ * helpCenterUrl, slaText, language, logoUrl, primaryColor, headingColor, backgroundColor
+ * and the localized sentences of TICKET_CONFIRMATION_STRINGS (greeting, intro, thanks, ...)
+ * slaText is the knowledgebase's slaText setting, else the first response target of its SLA when it has
+ * enabled one, else the built-in sentence.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} ticket - The ticket being confirmed
+ * @param {string} ticket.from - The customer's email address
+ * @param {string} ticket.fromName - The customer's decoded display name, when the email was parsed from raw MIME (optional)
+ * @param {string} ticket.subject - The ticket subject
+ * @param {Date} ticket.date - The ticket date
+ * @param {number|string} ticket.ticketNumber - The ticket number as displayed to the customer (including any prefix)
+ * @param {string} ticket.companyName - The company name
+ * @param {string} ticket.subdomain - The subdomain
+ * @param {string} ticket.language - The customer's language (optional, default: the knowledgebase default language)
+ * @returns {Promise<Object>} - { subject, html, text, language }
+ */
+async function getNewTicketConfirmationEmail(uid, selectedCompany, { from, fromName, subject, date, ticketNumber, companyName, subdomain, language }) {
+  let knowledgebaseData = {};
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    knowledgebaseData = doc.exists ? doc.data() : {};
+  } catch (error) {
+    console.error('Error getting knowledgebase for email template:', error);
+  }
+
+  const localization = await getLocalizationSettings(uid, selectedCompany);
+  const lang = normalizeLanguage(language) || localization.defaultLanguage;
+  const strings = TICKET_CONFIRMATION_STRINGS[lang] || TICKET_CONFIRMATION_STRINGS[DEFAULT_LANGUAGE];
+
+  const template = await getEmailTemplate(uid, selectedCompany, TICKET_CONFIRMATION_TEMPLATE_ID, lang, DEFAULT_TICKET_CONFIRMATION_TEMPLATE);
+  const slaSettings = await getSlaSettings(uid, selectedCompany);
+
+  // Greeted by their display name, or the part of the address before the @ without one
+  const sender = parseSender(from, fromName);
+
+  const variables = {
+    companyName: companyName,
+    customerName: sender.name || sender.email.split('@')[0],
+    customerEmail: sender.email,
+    ticketNumber: ticketNumber,
+    subject: subject,
+    dateSubmitted: formatLocalizedDate(date, lang, localization.timezone),
+    helpCenterUrl: knowledgebaseData.helpCenterUrl || `https://${subdomain}.${HELPDESK_EMAIL_DOMAIN}`,
+    slaText: getLocalizedSetting(knowledgebaseData.slaText, lang) || getSlaText(slaSettings, lang) || strings.slaText,
+    language: lang,
+    ...getBranding(knowledgebaseData)
+  };
+
+  // The sentences are trusted markup, the values inside them are escaped like everywhere else
+  const htmlStrings = {};
+  const textStrings = {};
+  Object.keys(strings).filter((name) => name !== 'slaText').forEach((name) => {
+    htmlStrings[name] = renderTemplate(strings[name], variables, escapeHtml);
+    textStrings[name] = renderTemplate(strings[name], variables).replace(/<[^>]*>/g, '');
+  });
+
+  const html = renderTemplate(template.html, { ...variables, ...htmlStrings }, (value, name) => (name in htmlStrings ? value : escapeHtml(value)));
+
+  return {
+    // Header value: no markup to escape, but no line breaks either
+    subject: renderTemplate(template.subject, { ...variables, ...textStrings }).replace(/[\r\n]+/g, ' ').trim(),
+    html,
+    text: template.text ? renderTemplate(template.text, { ...variables, ...textStrings }) : htmlToPlainText(html),
+    language: lang
+  };
 }
 
 module.exports = {
-  getNewTicketConfirmationHTML
+  escapeHtml,
+  renderTemplate,
+  htmlToPlainText,
+  getNewTicketConfirmationEmail
 };
-
@@ -0,0 +1,60 @@
+/**
+ * Employee helper functions
+ * Calls to the AI employees of the Next.js API (employee respond API)
+ */
+
+const axios = require('axios');
+
+const { BASE_URL, ENDPOINTS } = require('../constants');
+
+/**
+ * Calls the employee respond API to get AI response
+ * @param {string} uid - User UID
+ * @param {string} companyId - Company ID
+ * @param {Array} messages - Array of messages with role and content
+ * @param {Object} context - Optional context object with ticketId, sessionId, etc.
+ * @param {Object} options - The employee and temperature (optional, default: charlie at 0.7)
+ * @returns {Promise<Object>} - Response from the API
+ */
+async function getAIResponse(uid, companyId, messages, context = {}, { employee = 'charlie', temperature = 0.7 } = {}) {
+  try {
+    const url = `${BASE_URL}${ENDPOINTS.EMPLOYEE_RESPOND}`;
+    
+    const requestBody = {
+      uid,
+      companyId,
+      employee,
+      messages,
+      temperature,
+    };
+
+    // Add context if provided (includes ticketId, sessionId, etc.)
+    if (context && Object.keys(context).length > 0) {
+      requestBody.context = context;
+    }
+    
+    const response = await axios.post(url, requestBody, {
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      timeout: 60000, // 60 second timeout
+    });
+
+    if (response.data && response.data.success && response.data.data) {
+      return response.data.data;
+    } else {
+      throw new Error('Invalid response from employee API');
+    }
+  } catch (error) {
+    console.error('Error calling employee respond API:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', error.response.data);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  getAIResponse
+};
@@ -0,0 +1,293 @@
+/**
+ * HTML sanitizer for inbound emails
+ * Allowlist based: anything not listed here is removed before the HTML reaches the agent UI.
+ * Inline images referenced by cid: are pointed at their stored attachment, remote images are
+ * allowed, proxied or blocked per knowledgebase, and what was removed is reported back.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const REMOTE_IMAGE_MODES = ['allow', 'proxy', 'block'];
+
+const DEFAULT_HTML_SANITIZER_SETTINGS = {
+  remoteImages: 'allow',
+  imageProxyUrl: null
+};
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del',
+  'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'li', 'mark',
+  'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td',
+  'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+];
+
+const ALLOWED_ATTRIBUTES = {
+  '*': ['style', 'title', 'dir', 'lang', 'align', 'valign', 'width', 'height', 'bgcolor', 'class'],
+  a: ['href', 'name'],
+  img: ['src', 'alt', 'border'],
+  font: ['color', 'face', 'size'],
+  table: ['border', 'cellpadding', 'cellspacing'],
+  td: ['colspan', 'rowspan', 'nowrap'],
+  th: ['colspan', 'rowspan', 'nowrap'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'type'],
+  li: ['value']
+};
+
+// Inline CSS properties that only style content; positioning, sizing of the page and the like are dropped
+const ALLOWED_STYLE_PROPERTIES = [
+  'background-color', 'border', 'border-bottom', 'border-collapse', 'border-color', 'border-left', 'border-radius',
+  'border-right', 'border-spacing', 'border-style', 'border-top', 'border-width', 'color', 'direction', 'display',
+  'font', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight', 'height', 'letter-spacing',
+  'line-height', 'list-style', 'list-style-type', 'margin', 'margin-bottom', 'margin-left', 'margin-right',
+  'margin-top', 'max-width', 'min-width', 'padding', 'padding-bottom', 'padding-left', 'padding-right',
+  'padding-top', 'text-align', 'text-decoration', 'text-indent', 'text-transform', 'vertical-align',
+  'white-space', 'width', 'word-break', 'word-wrap'
+];
+
+// Values that can load content or run code, even in an allowed property
+const UNSAFE_STYLE_VALUE_REGEX = /url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:/i;
+
+const ALLOWED_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Gets the HTML sanitizer settings of a knowledgebase
+ * Stored as inboundHtml: { remoteImages, imageProxyUrl } on the knowledgebase document.
+ * remoteImages is 'allow', 'proxy' or 'block'; imageProxyUrl contains {url}, which is replaced by
+ * the encoded image URL (e.g. "https://images.example.com/proxy?url={url}").
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied
+ */
+async function getHtmlSanitizerSettings(uid, selectedCompany = 'default') {
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const inboundHtml = (doc.exists && doc.data().inboundHtml) || {};
+
+    return {
+      remoteImages: REMOTE_IMAGE_MODES.includes(inboundHtml.remoteImages) ? inboundHtml.remoteImages : DEFAULT_HTML_SANITIZER_SETTINGS.remoteImages,
+      imageProxyUrl: typeof inboundHtml.imageProxyUrl === 'string' && inboundHtml.imageProxyUrl.includes('{url}') ? inboundHtml.imageProxyUrl : null
+    };
+  } catch (error) {
+    console.error('Error getting HTML sanitizer settings:', error);
+    return { ...DEFAULT_HTML_SANITIZER_SETTINGS };
+  }
+}
+
+/**
+ * Builds the cid -> storage path map of the stored attachments of an email
+ * @param {Array} attachments - Stored attachments (see attachmentService), with a contentId when they have one
+ * @returns {Object} - The storage paths keyed by lowercase content id, without angle brackets
+ */
+function buildCidMap(attachments) {
+  const cidMap = {};
+
+  for (const attachment of attachments || []) {
+    if (attachment && typeof attachment === 'object' && attachment.contentId && attachment.storagePath) {
+      cidMap[String(attachment.contentId).replace(/^<|>$/g, '').trim().toLowerCase()] = attachment.storagePath;
+    }
+  }
+
+  return cidMap;
+}
+
+/**
+ * Returns the scheme of a URL, or null for relative URLs
+ * @param {string} url - The URL
+ * @returns {string|null} - The lowercase scheme
+ */
+function getScheme(url) {
+  // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+  const match = String(url).replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Keeps the allowed declarations of an inline style attribute
+ * @param {string} style - The style attribute value
+ * @param {Function} onRemoved - Called with the name of each removed property
+ * @returns {string} - The filtered style
+ */
+function filterStyle(style, onRemoved) {
+  return String(style)
+    .split(';')
+    .map((declaration) => declaration.trim())
+    .filter((declaration) => {
+      if (!declaration) {
+        return false;
+      }
+      const separator = declaration.indexOf(':');
+      const property = (separator === -1 ? declaration : declaration.substring(0, separator)).trim().toLowerCase();
+      const value = separator === -1 ? '' : declaration.substring(separator + 1);
+
+      if (!ALLOWED_STYLE_PROPERTIES.includes(property) || UNSAFE_STYLE_VALUE_REGEX.test(value) || /^\s*fixed\b/i.test(value)) {
+        onRemoved(property);
+        return false;
+      }
+      return true;
+    })
+    .join('; ');
+}
+
+/**
+ * Whether an image is a tracking pixel (1x1 or smaller)
+ * @param {Object} attribs - The img attributes
+ * @returns {boolean} - True for tracking pixels
+ */
+function isTrackingPixel(attribs) {
+  const size = (name) => {
+    const styleMatch = String(attribs.style || '').match(new RegExp(`(^|;)\\s*${name}\\s*:\\s*(\\d+(\\.\\d+)?)px`, 'i'));
+    const value = attribs[name] != null ? attribs[name] : (styleMatch ? styleMatch[2] : null);
+    return value == null ? null : parseFloat(value);
+  };
+  const width = size('width');
+  const height = size('height');
+
+  return (width !== null && width <= 1) || (height !== null && height <= 1);
+}
+
+/**
+ * Sanitizes the HTML of an inbound email
+ * @param {string} html - The HTML content
+ * @param {Object} options - Sanitizer options (optional)
+ * @param {Object} options.cidMap - Stored attachment paths keyed by content id (see buildCidMap); resolved images
+ * get a data-storage-path attribute instead of a src, the agent UI signs it with getAttachmentUrls
+ * @param {string} options.remoteImages - 'allow', 'proxy' or 'block' (default: 'allow')
+ * @param {string} options.imageProxyUrl - Proxy URL template for 'proxy' (without it remote images are blocked)
+ * @returns {Object} - { html, removed } where removed reports what was taken out or rewritten:
+ * tags, attributes and styles are counts keyed by name; unsafeUrls, trackingPixels, remoteImages
+ * (blocked) and proxiedImages are counts; unresolvedCids lists cid: references without an attachment
+ */
+function sanitizeEmailHtml(html, options = {}) {
+  const removed = {
+    tags: {},
+    attributes: {},
+    styles: {},
+    unsafeUrls: 0,
+    trackingPixels: 0,
+    remoteImages: 0,
+    proxiedImages: 0,
+    unresolvedCids: []
+  };
+
+  if (!html || typeof html !== 'string') {
+    return { html, removed };
+  }
+
+  const cidMap = options.cidMap || {};
+  const remoteImages = options.remoteImages === 'proxy' && !options.imageProxyUrl ? 'block' : (options.remoteImages || 'allow');
+  const count = (bucket, name) => {
+    bucket[name] = (bucket[name] || 0) + 1;
+  };
+
+  const transformTag = (tagName, attribs) => {
+    if (!ALLOWED_TAGS.includes(tagName)) {
+      count(removed.tags, tagName);
+      return { tagName, attribs };
+    }
+
+    const allowedAttributes = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tagName] || [])];
+    const cleaned = {};
+
+    for (const [name, value] of Object.entries(attribs)) {
+      if (!allowedAttributes.includes(name)) {
+        count(removed.attributes, name);
+      } else if (name === 'style') {
+        const style = filterStyle(value, (property) => count(removed.styles, property));
+        if (style) {
+          cleaned.style = style;
+        }
+      } else {
+        cleaned[name] = value;
+      }
+    }
+
+    if (tagName === 'a' && cleaned.href) {
+      const scheme = getScheme(cleaned.href);
+      if (scheme && !ALLOWED_LINK_SCHEMES.includes(scheme)) {
+        removed.unsafeUrls++;
+        delete cleaned.href;
+      } else {
+        cleaned.target = '_blank';
+        cleaned.rel = 'noopener noreferrer';
+      }
+    }
+
+    if (tagName === 'img') {
+      const src = (cleaned.src || '').trim();
+      const scheme = getScheme(src);
+
+      if (scheme === 'cid') {
+        const cid = src.substring(4).replace(/^<|>$/g, '').trim().toLowerCase();
+        if (cidMap[cid]) {
+          delete cleaned.src;
+          cleaned['data-storage-path'] = cidMap[cid];
+        } else {
+          removed.unresolvedCids.push(cid);
+          delete cleaned.src;
+        }
+      } else if (scheme === 'http' || scheme === 'https') {
+        if (isTrackingPixel(attribs)) {
+          removed.trackingPixels++;
+          return { tagName: 'img', attribs: {} };
+        }
+        if (remoteImages === 'block') {
+          removed.remoteImages++;
+          delete cleaned.src;
+        } else if (remoteImages === 'proxy') {
+          removed.proxiedImages++;
+          cleaned.src = options.imageProxyUrl.replace('{url}', encodeURIComponent(src));
+        }
+      } else if (src) {
+        removed.unsafeUrls++;
+        delete cleaned.src;
+      }
+    }
+
+    return { tagName, attribs: cleaned };
+  };
+
+  const sanitized = sanitizeHtml(html, {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: { ...ALLOWED_ATTRIBUTES, a: [...ALLOWED_ATTRIBUTES.a, 'target', 'rel'], img: [...ALLOWED_ATTRIBUTES.img, 'data-storage-path'] },
+    allowedSchemes: ALLOWED_LINK_SCHEMES,
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowedSchemesAppliedToAttributes: ['href', 'src'],
+    allowProtocolRelative: false,
+    // The style attribute is already filtered by transformTag
+    parseStyleAttributes: false,
+    nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title', 'head', 'iframe', 'object'],
+    transformTags: { '*': transformTag },
+    // Images whose src was removed carry nothing, except their alt text
+    exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs.src && !frame.attribs['data-storage-path'] && !frame.attribs.alt
+  });
+
+  return { html: sanitized, removed };
+}
+
+/**
+ * Whether sanitizeEmailHtml removed or rewrote anything
+ * @param {Object} removed - The removed report of sanitizeEmailHtml
+ * @returns {boolean} - True if anything was removed or rewritten
+ */
+function hasRemovals(removed) {
+  return Object.keys(removed.tags).length > 0
+    || Object.keys(removed.attributes).length > 0
+    || Object.keys(removed.styles).length > 0
+    || removed.unsafeUrls > 0
+    || removed.trackingPixels > 0
+    || removed.remoteImages > 0
+    || removed.proxiedImages > 0
+    || removed.unresolvedCids.length > 0;
+}
+
+module.exports = {
+  getHtmlSanitizerSettings,
+  buildCidMap,
+  sanitizeEmailHtml,
+  hasRemovals
+};
@@ -0,0 +1,163 @@
+/**
+ * Locale helper functions for customer-facing emails
+ * Detects the language of an inbound message and formats dates for a language and timezone
+ */
+
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getHeader } = require('./emailHelpers');
+
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'de', 'pt'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// Locale used to format dates per language
+const DATE_LOCALES = {
+  en: 'en-US',
+  fr: 'fr-FR',
+  de: 'de-DE',
+  pt: 'pt-PT'
+};
+
+// Frequent short words per language, a message is attributed to the language with the most hits
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'to', 'of', 'my', 'you', 'your', 'with', 'have', 'this', 'that', 'not', 'for', 'please', 'thanks', 'hello', 'can', 'it'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'je', 'vous', 'votre', 'mon', 'ma', 'mes', 'pas', 'une', 'des', 'avec', 'pour', 'merci', 'bonjour', 'que', 'sur', 'dans', 'ne'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'sie', 'ihr', 'mein', 'meine', 'nicht', 'ein', 'eine', 'mit', 'für', 'danke', 'bitte', 'hallo', 'auf', 'zu', 'wir', 'es'],
+  pt: ['o', 'os', 'as', 'e', 'é', 'eu', 'você', 'meu', 'minha', 'não', 'um', 'uma', 'com', 'para', 'obrigado', 'obrigada', 'olá', 'que', 'do', 'da', 'no', 'na']
+};
+
+// Fewest stopword hits needed before a language is trusted
+const MIN_LANGUAGE_HITS = 3;
+
+/**
+ * Normalizes a language tag ("fr-CA", "pt_BR", "DE") to a supported language code
+ * @param {string} value - The language tag
+ * @returns {string|null} - The supported language code, or null
+ */
+function normalizeLanguage(value) {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Whether a timezone is a valid IANA timezone name
+ * @param {string} timeZone - The timezone, e.g. "Europe/Paris"
+ * @returns {boolean} - True if Intl accepts it
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the localization settings of a knowledgebase
+ * Stored as localization: { defaultLanguage, timezone, detectLanguage } on the knowledgebase document.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied
+ */
+async function getLocalizationSettings(uid, selectedCompany = 'default') {
+  let localization = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    localization = (doc.exists && doc.data().localization) || {};
+  } catch (error) {
+    console.error('Error getting localization settings:', error);
+  }
+
+  return {
+    defaultLanguage: normalizeLanguage(localization.defaultLanguage) || DEFAULT_LANGUAGE,
+    timezone: isValidTimeZone(localization.timezone) ? localization.timezone : DEFAULT_TIMEZONE,
+    detectLanguage: localization.detectLanguage !== false,
+  };
+}
+
+/**
+ * Detects the language of an inbound message
+ * A supported Content-Language header wins, otherwise the subject and body are scored against the stopword lists
+ * @param {Object} email - The email
+ * @param {string} email.subject - The subject
+ * @param {string} email.body - The plain text body, quotes already removed
+ * @param {Object} email.headers - The original headers, lowercase keys (optional)
+ * @returns {Object|null} - { language, source: 'header'|'content' } or null if the language is unclear
+ */
+function detectLanguage({ subject, body, headers }) {
+  const headerLanguage = normalizeLanguage(getHeader(headers || {}, 'content-language'));
+  if (headerLanguage) {
+    return { language: headerLanguage, source: 'header' };
+  }
+
+  const words = `${subject || ''} ${body || ''}`.toLowerCase().match(/[\p{L}]+/gu) || [];
+  const scores = SUPPORTED_LANGUAGES
+    .map((language) => {
+      const stopwords = new Set(STOPWORDS[language]);
+      return { language, hits: words.filter((word) => stopwords.has(word)).length };
+    })
+    .sort((a, b) => b.hits - a.hits);
+
+  // Not enough text, or a tie between two languages
+  if (scores[0].hits < MIN_LANGUAGE_HITS || scores[0].hits === scores[1].hits) {
+    return null;
+  }
+
+  return { language: scores[0].language, source: 'content' };
+}
+
+/**
+ * Picks the language to write to a customer in
+ * @param {Object} email - The inbound email (see detectLanguage)
+ * @param {Object} settings - The localization settings (see getLocalizationSettings)
+ * @returns {string} - The language code
+ */
+function resolveCustomerLanguage(email, settings) {
+  const detected = settings.detectLanguage ? detectLanguage(email) : null;
+  return detected ? detected.language : settings.defaultLanguage;
+}
+
+/**
+ * Formats a date for a language and timezone, e.g. "19 octobre 2026 à 14:05 (Europe/Paris)"
+ * @param {Date|string} date - The date
+ * @param {string} language - The language code
+ * @param {string} timeZone - The IANA timezone (default: UTC)
+ * @returns {string} - The formatted date, or the input if it is not a date
+ */
+function formatLocalizedDate(date, language, timeZone = DEFAULT_TIMEZONE) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(value.getTime())) {
+    return date == null ? '' : String(date);
+  }
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const formatted = new Intl.DateTimeFormat(DATE_LOCALES[normalizeLanguage(language) || DEFAULT_LANGUAGE], {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: zone,
+  }).format(value);
+
+  return `${formatted} (${zone})`;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  isValidTimeZone,
+  getLocalizationSettings,
+  detectLanguage,
+  resolveCustomerLanguage,
+  formatLocalizedDate
+};
@@ -0,0 +1,153 @@
+/**
+ * MIME helper functions for ingesting raw RFC 5322 emails
+ */
+
+const { simpleParser } = require('mailparser');
+
+// Parts of a multipart/report that describe the delivery failure rather than being attachments
+const REPORT_PART_TYPES = ['message/delivery-status', 'message/global-delivery-status', 'text/rfc822-headers', 'message/rfc822', 'message/global-headers'];
+
+/**
+ * Returns the first address from a parsed mailparser address object
+ * @param {Object} addressObject - The parsed address header (from, to, etc.)
+ * @returns {string|null} - The first address or null if none found
+ */
+function firstAddress(addressObject) {
+  if (!addressObject) {
+    return null;
+  }
+
+  // mailparser returns an array when the header appears more than once
+  const groups = Array.isArray(addressObject) ? addressObject : [addressObject];
+
+  for (const group of groups) {
+    for (const entry of group.value || []) {
+      if (entry.address) {
+        return entry.address;
+      }
+      // Address groups ("undisclosed-recipients: a@b.c;") nest their members
+      for (const member of entry.group || []) {
+        if (member.address) {
+          return member.address;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the value of a single-valued header as a plain string
+ * @param {Map} headers - The parsed headers map
+ * @param {string} name - The lowercase header name
+ * @returns {string|null} - The header value or null if missing
+ */
+function headerValue(headers, name) {
+  const value = headers.get(name);
+  if (value == null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.length ? String(value[0]) : null;
+  }
+  if (typeof value === 'object' && value.text) {
+    return value.text;
+  }
+  return String(value);
+}
+
+/**
+ * Converts the raw header lines of a parsed email into a plain object
+ * Keys are lowercase, headers that appear more than once become arrays
+ * @param {Array} headerLines - The headerLines of a mailparser result
+ * @returns {Object} - The headers, e.g. { 'precedence': 'bulk', 'received': ['...', '...'] }
+ */
+function headerLinesToObject(headerLines) {
+  const headers = {};
+
+  for (const { key, line } of headerLines || []) {
+    const separator = line.indexOf(':');
+    const value = (separator === -1 ? '' : line.substring(separator + 1)).replace(/\r?\n[ \t]+/g, ' ').trim();
+
+    if (!(key in headers)) {
+      headers[key] = value;
+    } else if (Array.isArray(headers[key])) {
+      headers[key].push(value);
+    } else {
+      headers[key] = [headers[key], value];
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Parses a raw RFC 5322 / MIME email into the fields makeContact2 expects.
+ * Text and HTML parts are picked from multipart/alternative, transfer encodings
+ * (quoted-printable, base64) are decoded and non-UTF-8 charsets are converted.
+ * cid: links are kept in the HTML; inline images are returned with their contentId next to
+ * the file attachments, as buffers to be stored with storeMessageAttachments (see attachmentService), and the sanitizer
+ * points the cid: links at the stored files. For delivery status notifications the
+ * report parts are returned as deliveryReport text instead.
+ * @param {string|Buffer} raw - The raw email source
+ * @returns {Promise<Object>} - The parsed email fields and file attachments
+ */
+async function parseRawEmail(raw) {
+  const parsed = await simpleParser(raw, { skipTextToHtml: true, keepCidLinks: true });
+  const headers = parsed.headers;
+
+  // Prefer the envelope recipient added by the relay, it is the address we were actually sent to
+  const to = headerValue(headers, 'delivered-to')
+    || headerValue(headers, 'x-original-to')
+    || firstAddress(parsed.to)
+    || firstAddress(parsed.cc)
+    || '';
+
+  const references = Array.isArray(parsed.references)
+    ? parsed.references.join(' ')
+    : (parsed.references || 'N/A');
+
+  // Delivery status notifications (multipart/report) carry the status and the original headers as parts
+  const contentType = headers.get('content-type');
+  const isReport = contentType && contentType.value === 'multipart/report';
+  const reportParts = (parsed.attachments || []).filter((attachment) => isReport && REPORT_PART_TYPES.includes(attachment.contentType));
+  const deliveryReport = reportParts
+    .map((attachment) => {
+      const content = attachment.content.toString('utf8');
+      // Only the headers of a returned message/rfc822 are of interest
+      return attachment.contentType === 'message/rfc822' ? content.split(/\r?\n\r?\n/)[0] : content;
+    })
+    .join('\n');
+
+  const attachments = (parsed.attachments || [])
+    .filter((attachment) => !reportParts.includes(attachment))
+    .map((attachment) => ({
+      fileName: attachment.filename || 'attachment',
+      mimeType: attachment.contentType || 'application/octet-stream',
+      content: attachment.content,
+      size: attachment.size,
+      contentId: attachment.cid || null,
+      inline: attachment.related === true
+    }));
+
+  return {
+    from: firstAddress(parsed.from) || '',
+    fromName: (parsed.from && parsed.from.value && parsed.from.value[0] && parsed.from.value[0].name) || '',
+    to: to.trim(),
+    subject: parsed.subject || '',
+    date: parsed.date ? parsed.date.toISOString() : 'current',
+    body: parsed.text ? parsed.text.trim() : 'N/A',
+    messageId: parsed.messageId || 'N/A',
+    inReplyTo: parsed.inReplyTo || 'N/A',
+    references: references,
+    html: parsed.html || 'N/A',
+    headers: headerLinesToObject(parsed.headerLines),
+    deliveryReport,
+    attachments
+  };
+}
+
+module.exports = {
+  parseRawEmail
+};
@@ -0,0 +1,171 @@
+/**
+ * Notification helper functions
+ * Push notifications to the devices of a user (FCM tokens in Users/{uid}/tokens)
+ */
+
+const admin = require('firebase-admin');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+/**
+ * Sends push notification to user's devices via FCM
+ * @param {string} uid - User UID
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Additional data payload
+ * @returns {Promise<Object>} - Result object with success status and counts
+ */
+async function sendNotificationToUser(uid, title, body, data = {}) {
+  try {
+    // Get all tokens for the user
+    const tokensSnapshot = await db
+      .collection('Users')
+      .doc(uid)
+      .collection('tokens')
+      .get();
+
+    if (tokensSnapshot.empty) {
+      console.log(`No FCM tokens found for user: ${uid}`);
+      return { success: false, message: 'No tokens found' };
+    }
+
+    // Extract tokens
+    const registrationTokens = [];
+    tokensSnapshot.forEach(doc => {
+      const tokenData = doc.data();
+      if (tokenData.fcmToken) {
+        registrationTokens.push(tokenData.fcmToken);
+      }
+    });
+
+    if (registrationTokens.length === 0) {
+      console.log(`No valid FCM tokens found for user: ${uid}`);
+      return { success: false, message: 'No valid tokens found' };
+    }
+
+    // For safety, limit to 500 tokens per batch (FCM limit)
+    if (registrationTokens.length > 500) {
+      registrationTokens.length = 500;
+    }
+
+    console.log(`Attempting to send notification to ${registrationTokens.length} devices for user ${uid}`);
+
+    // Create a safe copy of the data object to avoid reserved FCM keywords
+    const safeData = { ...data };
+
+    // Rename any reserved FCM keywords
+    const reservedKeys = ['from', 'notification', 'android', 'webpush', 'apns', 'fcm_options'];
+    for (const key of reservedKeys) {
+      if (key in safeData) {
+        safeData[`custom_${key}`] = safeData[key];
+        delete safeData[key];
+      }
+    }
+
+    try {
+      // Create the message exactly as in the Firebase documentation
+      const message = {
+        notification: {
+          title: title,
+          body: body
+        },
+        data: {
+          ...safeData,
+          title: title,
+          body: body,
+          click_action: 'FLUTTER_NOTIFICATION_CLICK'
+        },
+        tokens: registrationTokens
+      };
+
+      // Log the message structure for debugging (excluding tokens for security)
+      console.log('FCM message structure:', {
+        notification: message.notification,
+        data: message.data,
+        tokensCount: registrationTokens.length
+      });
+
+      // Send the multicast message as shown in the docs
+      const response = await admin.messaging().sendMulticast(message);
+
+      console.log(`Successfully sent ${response.successCount} messages out of ${registrationTokens.length}`);
+
+      if (response.failureCount > 0) {
+        const failedTokens = [];
+        response.responses.forEach((resp, idx) => {
+          if (!resp.success) {
+            failedTokens.push({
+              token: registrationTokens[idx].substring(0, 10) + '...',
+              error: resp.error ? resp.error.message : 'Unknown error'
+            });
+          }
+        });
+        console.log('Failed tokens:', JSON.stringify(failedTokens));
+      }
+
+      return {
+        success: true,
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+        responses: response.responses
+      };
+    } catch (messagingError) {
+      console.error('Error sending FCM multicast:', messagingError);
+
+      // Try sending messages one by one
+      console.log('Falling back to individual message sending...');
+      let successCount = 0;
+
+      for (const token of registrationTokens) {
+        try {
+          const individualMessage = {
+            notification: {
+              title: title,
+              body: body
+            },
+            data: {
+              ...safeData,
+              title: title,
+              body: body,
+              click_action: 'FLUTTER_NOTIFICATION_CLICK'
+            },
+            token: token // For individual messages, use 'token' instead of 'tokens'
+          };
+
+          await admin.messaging().send(individualMessage);
+          successCount++;
+        } catch (individualError) {
+          console.log(`Failed to send to token: ${token.substring(0, 10)}...`, individualError.message);
+        }
+      }
+
+      console.log(`Individual sending results: ${successCount} successes out of ${registrationTokens.length}`);
+
+      if (successCount > 0) {
+        return {
+          success: true,
+          successCount: successCount,
+          failureCount: registrationTokens.length - successCount,
+          responses: []
+        };
+      } else {
+        return {
+          success: false,
+          error: 'All individual message sends failed',
+          originalError: messagingError.message
+        };
+      }
+    }
+  } catch (error) {
+    console.error('Error in notification process:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  sendNotificationToUser
+};
@@ -0,0 +1,143 @@
+/**
+ * Orphan reply helper functions
+ * An orphan reply is an email whose In-Reply-To, References or subject ticket token does not match any known ticket
+ */
+
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { indexMessageId } = require('./ticketHelpers');
+const { reopenTicketOnCustomerReply } = require('./ticketStatusHelpers');
+
+// Supported values for the knowledgebase orphanReplyPolicy.mode setting
+const ORPHAN_REPLY_MODES = ['newTicket', 'recentTicket', 'unmatched'];
+
+const DEFAULT_ORPHAN_REPLY_POLICY = {
+  mode: 'newTicket',
+  recentTicketDays: 14
+};
+
+// Tickets in these statuses no longer take replies from the recentTicket policy
+const CLOSED_TICKET_STATUSES = ['Solved', 'Closed'];
+
+/**
+ * Gets the orphan reply policy configured on the knowledgebase
+ * Stored as orphanReplyPolicy: { mode, recentTicketDays } on the knowledgebase document
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The policy, falling back to DEFAULT_ORPHAN_REPLY_POLICY
+ */
+async function getOrphanReplyPolicy(uid, selectedCompany = 'default') {
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const policy = (doc.exists && doc.data().orphanReplyPolicy) || {};
+
+    return {
+      mode: ORPHAN_REPLY_MODES.includes(policy.mode) ? policy.mode : DEFAULT_ORPHAN_REPLY_POLICY.mode,
+      recentTicketDays: Number(policy.recentTicketDays) > 0 ? Number(policy.recentTicketDays) : DEFAULT_ORPHAN_REPLY_POLICY.recentTicketDays
+    };
+  } catch (error) {
+    console.error('Error getting orphan reply policy:', error);
+    return { ...DEFAULT_ORPHAN_REPLY_POLICY };
+  }
+}
+
+/**
+ * Finds the sender's most recently active open ticket within the given number of days
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} from - The sender's email address
+ * @param {number} days - How far back to look
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>} - The ticket or null if none found
+ */
+async function findRecentOpenTicket(ticketsCollection, from, days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const ticketsSnapshot = await ticketsCollection.where('from', '==', from).get();
+
+  let recent = null;
+  let recentTime = 0;
+  for (const ticketDoc of ticketsSnapshot.docs) {
+    const ticket = ticketDoc.data();
+    if (CLOSED_TICKET_STATUSES.includes(ticket.status)) {
+      continue;
+    }
+
+    const lastMessageDate = ticket.lastMessageDate && ticket.lastMessageDate.toDate
+      ? ticket.lastMessageDate.toDate()
+      : new Date(ticket.lastMessageDate);
+    const time = lastMessageDate.getTime();
+
+    if (time >= cutoff && time > recentTime) {
+      recent = ticketDoc;
+      recentTime = time;
+    }
+  }
+
+  return recent;
+}
+
+/**
+ * Attaches an orphan reply to the sender's most recent open ticket
+ * A reply to a ticket that was Pending customer reopens it.
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Object} messageData - The message data to add
+ * @param {number} days - How far back to look for an open ticket
+ * @param {Function} onStored - Called with the ids of what was written as soon as it is (optional, see makeContact2)
+ * @returns {Promise<Object|null>} - Status object, or null if the sender has no recent open ticket
+ */
+async function attachToRecentTicket(ticketsCollection, messageData, days, onStored = async () => {}) {
+  const ticketDoc = await findRecentOpenTicket(ticketsCollection, messageData.from, days);
+  if (!ticketDoc) {
+    return null;
+  }
+
+  const ticketId = ticketDoc.id;
+  const messageRef = await ticketsCollection.doc(ticketId).collection('messages').add({
+    ...messageData,
+    orphanResolution: {
+      policy: 'recentTicket',
+      action: 'attachedToRecentTicket',
+      parentMessageId: messageData.inReplyTo,
+      ticketId: ticketId,
+      resolvedAt: new Date()
+    }
+  });
+  await onStored({ ticketId, messageDocId: messageRef.id });
+  await indexMessageId(ticketsCollection, messageData.messageId, ticketId, messageRef.id);
+  await ticketsCollection.doc(ticketId).set({ lastMessage: messageData.body, lastMessageDate: messageData.date, read: false }, { merge: true });
+  await reopenTicketOnCustomerReply(ticketsCollection.doc(ticketId), messageData);
+
+  console.log(`Orphan reply attached to recent ticket: ${ticketId}`);
+  return { status: 1, message: `Message added to ticket: ${ticketId}`, ticketId: ticketId, messageDocId: messageRef.id };
+}
+
+/**
+ * Parks an orphan reply in the unmatched collection so an agent can merge it later
+ * An agent merges it by setting mergeIntoTicketId on the document (see mergeUnmatchedReplies)
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Object} messageData - The message data to park
+ * @returns {Promise<Object>} - Status object with the unmatched document id
+ */
+async function parkUnmatchedReply(ticketsCollection, messageData) {
+  const unmatchedRef = await ticketsCollection.parent.collection('unmatched').add({
+    ...messageData,
+    orphanResolution: {
+      policy: 'unmatched',
+      action: 'parked',
+      parentMessageId: messageData.inReplyTo,
+      resolvedAt: new Date()
+    },
+    mergeIntoTicketId: null,
+    status: 'pending'
+  });
+
+  console.log(`Orphan reply parked as unmatched: ${unmatchedRef.id}`);
+  return { status: 1, message: `Message parked as unmatched: ${unmatchedRef.id}`, unmatchedId: unmatchedRef.id };
+}
+
+module.exports = {
+  ORPHAN_REPLY_MODES,
+  getOrphanReplyPolicy,
+  attachToRecentTicket,
+  parkUnmatchedReply
+};
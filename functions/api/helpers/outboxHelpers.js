@@ -0,0 +1,313 @@
+/**
+ * Outbound email queue helper functions
+ * Customer emails are queued in Users/{uid}/knowledgebases/{company}/Helpdesk/default/outbox instead of being
+ * sent inline. sendQueuedEmail sends each entry as it is created, retryQueuedEmails retries failed ones with
+ * exponential backoff until they are sent or dead-lettered. Every attempt is recorded in the ticket's deliveryLog.
+ *
+ * Entries are sent over one of two channels:
+ * - 'mail': a nodemailer message sent through emailService (confirmations and AI replies), DKIM signed when it
+ *   comes from a verified sender domain; an entry with a ticketMessage stores it on the ticket once sent
+ * - 'inboxApi': a payload for the inbox emails send API, which also stores the message on the ticket
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { BASE_URL, ENDPOINTS, HELPDESK_EMAIL_DOMAIN } = require('../constants');
+const { sendMail, isPermanentHttpStatus } = require('./emailService');
+const { indexMessageId } = require('./ticketHelpers');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+
+// Backoff after the first failed attempt, doubled after every further one
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long an attempt may take before the entry can be claimed again
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const INBOX_API_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Returns the outbox collection of a knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @returns {FirebaseFirestore.CollectionReference} - The outbox collection reference
+ */
+function getOutboxCollection(uid, selectedCompany) {
+  return db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/outbox`);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - The attempts made so far
+ * @returns {number} - The delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Adds an entry to the delivery log of a ticket
+ * @param {Object} entry - The outbox entry (uid, selectedCompany, ticketId, ...)
+ * @param {string} emailId - The outbox document id
+ * @param {Object} event - { event: 'queued'|'sent'|'failed'|'dead', attempt, provider, providerMessageId, error }
+ * @returns {Promise<void>}
+ */
+async function logDelivery(entry, emailId, event) {
+  if (!entry.ticketId) {
+    return;
+  }
+
+  try {
+    await db.collection(`Users/${entry.uid}/knowledgebases/${entry.selectedCompany}/Helpdesk/default/tickets/${entry.ticketId}/deliveryLog`).add({
+      emailId,
+      type: entry.type || null,
+      channel: entry.channel,
+      to: entry.to || null,
+      subject: entry.subject || null,
+      messageId: entry.messageId || null,
+      attempt: 0,
+      provider: null,
+      providerMessageId: null,
+      error: null,
+      ...event,
+      at: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error writing delivery log:', error);
+  }
+}
+
+/**
+ * Queues an email
+ * @param {Object} options - The email
+ * @param {string} options.uid - The user UID
+ * @param {string} options.selectedCompany - The selected company
+ * @param {string} options.ticketId - The ticket the email belongs to (optional, for the delivery log)
+ * @param {string} options.type - What the email is, e.g. 'confirmation' or 'aiReply'
+ * @param {string} options.channel - 'mail' or 'inboxApi'
+ * @param {Object} options.mail - The nodemailer message (channel 'mail')
+ * @param {Object} options.payload - The inbox emails send API payload (channel 'inboxApi')
+ * @param {Object} options.ticketMessage - The message document stored on the ticket once the email is sent (optional)
+ * @param {number} options.maxAttempts - Attempts before the entry is dead-lettered (optional)
+ * @returns {Promise<Object>} - { status, message, emailId, messageId } where messageId is the Message-ID
+ * of mail entries, assigned now so the email can be threaded before it is sent
+ */
+async function enqueueEmail({ uid, selectedCompany = 'default', ticketId = null, type = null, channel = 'mail', mail = null, payload = null, ticketMessage = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  try {
+    let messageId = null;
+    if (channel === 'mail') {
+      const domain = String(mail.from || '').split('@')[1] || HELPDESK_EMAIL_DOMAIN;
+      messageId = mail.messageId || `<${crypto.randomUUID()}@${domain.replace(/[>\s]/g, '')}>`;
+      mail = { ...mail, messageId };
+    }
+
+    const entry = {
+      uid,
+      selectedCompany,
+      ticketId,
+      type,
+      channel,
+      mail,
+      payload,
+      ticketMessage,
+      to: channel === 'mail' ? mail.to : (payload && payload.to) || null,
+      subject: channel === 'mail' ? mail.subject : (payload && payload.subject) || null,
+      messageId,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      provider: null,
+      providerMessageId: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    const emailRef = getOutboxCollection(uid, selectedCompany).doc();
+    await emailRef.set(entry);
+    await logDelivery(entry, emailRef.id, { event: 'queued' });
+
+    console.log(`Queued ${type || channel} email ${emailRef.id} to ${entry.to}`);
+    return { status: 1, message: 'Email queued', emailId: emailRef.id, messageId };
+  } catch (error) {
+    console.error('Error queueing email:', error);
+    return { status: 0, message: 'Error queueing email: ' + error.message };
+  }
+}
+
+/**
+ * Queues a new ticket confirmation email
+ * @param {string} newTo - The recipient email address
+ * @param {string} subject - The email subject
+ * @param {string} message - The plain text message
+ * @param {string} html - The HTML content
+ * @param {string} from - The sender email address
+ * @param {string} replyToId - The message ID to reply to
+ * @param {string} references - The references header
+ * @param {Object} sender - { uid, selectedCompany, ticketId } of the ticket being confirmed
+ * @param {string} replyTo - The Reply-To address (optional)
+ * @returns {Promise<Object>} - Status object with the emailId and the Message-ID of the confirmation
+ */
+async function queueNewTicketConfirmation(newTo, subject, message, html, from, replyToId, references, sender, replyTo = null) {
+  const mail = {
+    from: from,
+    ...(replyTo ? { replyTo } : {}),
+    to: newTo, // The original sender's email
+    subject: subject,
+    text: message, // The plain text part
+    inReplyTo: replyToId, // Reference the original email's Message-ID
+    references: references,
+    html: html
+  };
+
+  return await enqueueEmail({ ...sender, type: 'confirmation', channel: 'mail', mail });
+}
+
+/**
+ * Claims a due entry for an attempt, so concurrent triggers do not send it twice
+ * @param {FirebaseFirestore.DocumentReference} emailRef - The outbox document reference
+ * @returns {Promise<Object|null>} - The entry with the attempt counted, or null if it is not due
+ */
+async function claimQueuedEmail(emailRef) {
+  return await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(emailRef);
+    if (!doc.exists) {
+      return null;
+    }
+
+    const entry = doc.data();
+    const dueAt = entry.nextAttemptAt && entry.nextAttemptAt.toDate ? entry.nextAttemptAt.toDate() : new Date(0);
+
+    // 'sending' entries are only due again once the lease of a crashed attempt ran out
+    if (!['queued', 'retrying', 'sending'].includes(entry.status) || dueAt > new Date()) {
+      return null;
+    }
+
+    const attempts = (entry.attempts || 0) + 1;
+    transaction.update(emailRef, {
+      status: 'sending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + SEND_LEASE_MS),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { ...entry, attempts };
+  });
+}
+
+/**
+ * Sends a payload through the inbox emails send API
+ * @param {Object} payload - The API payload
+ * @param {string} emailId - The outbox document id, sent as the idempotency key
+ * @returns {Promise<Object>} - { status, message, messageId, provider, responseCode, permanent }
+ */
+async function sendThroughInboxApi(payload, emailId) {
+  try {
+    const response = await axios.post(`${BASE_URL}${ENDPOINTS.INBOX_EMAILS_SEND}`, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': emailId,
+      },
+      timeout: INBOX_API_TIMEOUT_MS,
+    });
+
+    if (response.data && response.data.status === 1) {
+      return { status: 1, message: 'Email sent', messageId: response.data.messageId || null, provider: 'inboxApi' };
+    }
+    return { status: 0, message: (response.data && response.data.message) || 'Failed to send email', responseCode: null, permanent: false };
+  } catch (error) {
+    console.error('Error calling inbox emails send API:', error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', error.response.data);
+    }
+    const httpStatus = error.response ? error.response.status : null;
+    return { status: 0, message: error.message, responseCode: httpStatus, permanent: Boolean(httpStatus && isPermanentHttpStatus(httpStatus)) };
+  }
+}
+
+/**
+ * Stores a sent email on its ticket, as the inbox emails send API does for the emails it sends
+ * The message document id is the outbox id, so a repeated attempt does not store it twice.
+ * @param {Object} entry - The outbox entry, with ticketId and ticketMessage
+ * @param {string} emailId - The outbox document id
+ * @returns {Promise<void>}
+ */
+async function storeSentTicketMessage(entry, emailId) {
+  if (!entry.ticketId) {
+    return;
+  }
+
+  try {
+    const ticketsCollection = db.collection(`Users/${entry.uid}/knowledgebases/${entry.selectedCompany}/Helpdesk/default/tickets`);
+    const ticketRef = ticketsCollection.doc(entry.ticketId);
+    const date = new Date();
+
+    await ticketRef.collection('messages').doc(emailId).set({ ...entry.ticketMessage, messageId: entry.messageId, date });
+    await indexMessageId(ticketsCollection, entry.messageId, entry.ticketId, emailId);
+    await ticketRef.set({ lastMessage: entry.ticketMessage.body || '', lastMessageDate: date }, { merge: true });
+  } catch (error) {
+    console.error('Error storing sent email on its ticket:', error);
+  }
+}
+
+/**
+ * Makes one delivery attempt for an outbox entry and records the outcome
+ * @param {FirebaseFirestore.DocumentReference} emailRef - The outbox document reference
+ * @returns {Promise<Object>} - Status object with the entry status after the attempt
+ */
+async function deliverQueuedEmail(emailRef) {
+  const entry = await claimQueuedEmail(emailRef);
+  if (!entry) {
+    return { status: 1, message: 'Email not due' };
+  }
+
+  const result = entry.channel === 'inboxApi'
+    ? await sendThroughInboxApi(entry.payload, emailRef.id)
+    : await sendMail(entry.mail, { uid: entry.uid, selectedCompany: entry.selectedCompany });
+
+  if (result.status === 1) {
+    await emailRef.update({
+      status: 'sent',
+      nextAttemptAt: null,
+      lastError: null,
+      provider: result.provider || null,
+      providerMessageId: result.messageId || null,
+      sentAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    await logDelivery(entry, emailRef.id, { event: 'sent', attempt: entry.attempts, provider: result.provider || null, providerMessageId: result.messageId || null });
+    if (entry.ticketMessage) {
+      await storeSentTicketMessage(entry, emailRef.id);
+    }
+
+    console.log(`Sent queued email ${emailRef.id} on attempt ${entry.attempts}`);
+    return { status: 1, message: 'Email sent', emailStatus: 'sent' };
+  }
+
+  const dead = entry.attempts >= (entry.maxAttempts || DEFAULT_MAX_ATTEMPTS) || result.permanent === true;
+  await emailRef.update({
+    status: dead ? 'dead' : 'retrying',
+    nextAttemptAt: dead ? null : new Date(Date.now() + getRetryDelay(entry.attempts)),
+    lastError: result.message,
+    lastResponseCode: result.responseCode || null,
+    ...(dead ? { deadAt: FieldValue.serverTimestamp() } : {}),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  await logDelivery(entry, emailRef.id, { event: dead ? 'dead' : 'failed', attempt: entry.attempts, error: result.message });
+
+  console.log(`Queued email ${emailRef.id} failed on attempt ${entry.attempts}${dead ? ', dead-lettered' : ', will retry'}: ${result.message}`);
+  return { status: 0, message: result.message, emailStatus: dead ? 'dead' : 'retrying' };
+}
+
+module.exports = {
+  getRetryDelay,
+  enqueueEmail,
+  queueNewTicketConfirmation,
+  deliverQueuedEmail
+};
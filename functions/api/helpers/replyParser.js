@@ -0,0 +1,241 @@
+/**
+ * Reply parser
+ * Splits an inbound email into the visible reply, the signature and the quoted section.
+ * Quote and signature detection is done by detectors that can be extended per locale
+ * with registerQuoteDetector / registerSignatureDetector / registerHtmlQuoteMarker.
+ */
+
+// Attribution lines that introduce a quoted reply ("On Mon, 5 Oct 2026, Jane <jane@acme.com> wrote:")
+// They often wrap over two or three lines, so they are matched against the joined lines.
+const ATTRIBUTION_PATTERNS = [
+  { locale: 'en', pattern: /^On\s.{1,400}?\s(wrote|writes)\s*:\s*$/i },
+  { locale: 'fr', pattern: /^Le\s.{1,400}?\sa\s+écrit\s*:\s*$/i },
+  { locale: 'de', pattern: /^Am\s.{1,400}?\sschrieb\s.{0,200}?:\s*$/i },
+  { locale: 'de', pattern: /^.{1,200}?\sschrieb\s+am\s.{1,200}?:\s*$/i },
+  { locale: 'pt', pattern: /^(Em|No dia)\s.{1,400}?\sescreveu\s*:\s*$/i },
+  { locale: 'es', pattern: /^El\s.{1,400}?\sescribió\s*:\s*$/i },
+  { locale: 'nl', pattern: /^Op\s.{1,400}?\sschreef\s.{0,200}?:\s*$/i },
+  { locale: 'it', pattern: /^Il\s.{1,400}?\sha\s+scritto\s*:\s*$/i },
+];
+
+// Separators clients put above a forwarded or replied message
+const ORIGINAL_MESSAGE_REGEX = /^\s*-{2,}\s*(Original Message|Forwarded message|Ursprüngliche Nachricht|Weitergeleitete Nachricht|Message d'origine|Message transféré|Mensagem original|Mensagem encaminhada|Mensaje original|Oorspronkelijk bericht|Messaggio originale)\s*-{2,}\s*$/i;
+
+// Outlook header block: a "From:" line followed by a "Sent:" / "Date:" line, in any supported language
+const OUTLOOK_FROM_REGEX = /^\s*\*?(From|Von|De|Van|Da)\s*:\*?\s+\S/i;
+const OUTLOOK_SENT_REGEX = /^\s*\*?(Sent|Date|Gesendet|Datum|Envoyé|Enviado|Enviada|Verzonden|Inviato|Data)\s*:\*?\s+\S/i;
+
+const MOBILE_SIGNATURE_REGEX = /^\s*(Sent from my \S+|Sent from (Mail|Outlook|Yahoo Mail|Gmail)\b|Sent with \S+|Get Outlook for \S+|Envoyé de mon \S+|Envoyé depuis \S+|Von meinem \S+ gesendet|Gesendet von meinem \S+|Enviado do meu \S+|Enviado desde mi \S+|Verzonden vanaf mijn \S+|Inviato da(l mio)? \S+).{0,60}$/i;
+
+/**
+ * Quote detectors: match(lines, index) returns true when the quoted section starts at lines[index]
+ */
+const quoteDetectors = [
+  {
+    name: 'attribution',
+    match: (lines, index, options) => {
+      const candidates = [lines[index], lines.slice(index, index + 2).join(' '), lines.slice(index, index + 3).join(' ')];
+      return ATTRIBUTION_PATTERNS
+        .filter(({ locale }) => !options.locales || options.locales.includes(locale))
+        .some(({ pattern }) => candidates.some((candidate) => pattern.test(candidate.trim())));
+    }
+  },
+  {
+    name: 'originalMessage',
+    match: (lines, index) => ORIGINAL_MESSAGE_REGEX.test(lines[index])
+  },
+  {
+    name: 'outlookHeader',
+    match: (lines, index) => {
+      // Optionally preceded by an underscore rule
+      const start = /^\s*_{10,}\s*$/.test(lines[index]) ? index + 1 : index;
+      if (!OUTLOOK_FROM_REGEX.test(lines[start] || '')) {
+        return false;
+      }
+      return lines.slice(start + 1, start + 4).some((line) => OUTLOOK_SENT_REGEX.test(line));
+    }
+  },
+  {
+    // A quoted block that runs to the end of the message (inline answers between quotes are kept)
+    name: 'trailingQuote',
+    match: (lines, index) => {
+      if (!/^\s*>/.test(lines[index])) {
+        return false;
+      }
+      return lines.slice(index).every((line) => line.trim() === '' || /^\s*>/.test(line));
+    }
+  },
+];
+
+/**
+ * Signature detectors: match(lines, index) returns true when the signature starts at lines[index]
+ */
+const signatureDetectors = [
+  {
+    // RFC 3676 signature delimiter
+    name: 'delimiter',
+    match: (lines, index) => /^--\s?$/.test(lines[index])
+  },
+  {
+    name: 'mobile',
+    match: (lines, index) => MOBILE_SIGNATURE_REGEX.test(lines[index])
+  },
+];
+
+/**
+ * HTML quote markers: the quoted section starts at the earliest match
+ */
+const htmlQuoteMarkers = [
+  { name: 'gmail', pattern: /<div[^>]*class=["'][^"']*\bgmail_quote(_container)?\b[^"']*["'][^>]*>/i },
+  // Yahoo prefixes its class names with "ydp" and a hash
+  { name: 'yahoo', pattern: /<div[^>]*class=["'][^"']*(\b|\bydp[0-9a-f]*)yahoo_quoted\b[^"']*["'][^>]*>/i },
+  { name: 'outlookReply', pattern: /<div[^>]*id=["'](x_)?divRplyFwdMsg["'][^>]*>/i },
+  { name: 'outlookAppend', pattern: /<div[^>]*id=["'](x_)?appendonsend["'][^>]*>/i },
+  { name: 'outlookRule', pattern: /<hr[^>]*id=["'](x_)?stopSpelling["'][^>]*>/i },
+  { name: 'outlookBorder', pattern: /<div[^>]*style=["'][^"']*border-top:\s*solid\s*#(E1E1E1|B5C4DF)[^"']*["'][^>]*>\s*(<p[^>]*>\s*)?(<b>|<strong>)?\s*(<span[^>]*>\s*)?(From|Von|De|Van|Da)\s*:/i },
+  { name: 'cite', pattern: /<blockquote[^>]*type=["']cite["'][^>]*>/i },
+  { name: 'originalMessage', pattern: /-{2,}\s*(Original Message|Ursprüngliche Nachricht|Message d'origine|Mensagem original|Mensaje original)\s*-{2,}/i },
+  { name: 'blockquote', pattern: /<blockquote[^>]*>/i },
+];
+
+// Attribution left right before the HTML quote ("<div>On ... wrote:<br></div>")
+const HTML_ATTRIBUTION_REGEX = /(<(div|p)[^>]*>\s*)?(On|Le|Am|Em|No dia|El|Op|Il)\s[^<]{1,400}?(wrote|a\s+écrit|schrieb[^<]{0,100}?|escreveu|escribió|schreef[^<]{0,100}?|ha\s+scritto)\s*:?\s*(<br\s*\/?>\s*)*(<\/(div|p)>\s*)?$/i;
+
+/**
+ * Adds a quote detector, e.g. for another locale or client
+ * @param {Object} detector - { name, match(lines, index, options) }
+ */
+function registerQuoteDetector(detector) {
+  quoteDetectors.push(detector);
+}
+
+/**
+ * Adds a signature detector
+ * @param {Object} detector - { name, match(lines, index, options) }
+ */
+function registerSignatureDetector(detector) {
+  signatureDetectors.push(detector);
+}
+
+/**
+ * Adds a quote marker for HTML emails
+ * @param {Object} marker - { name, pattern }
+ */
+function registerHtmlQuoteMarker(marker) {
+  htmlQuoteMarkers.push(marker);
+}
+
+/**
+ * Returns the index of the first line where one of the detectors matches
+ * @param {Array<string>} lines - The lines to scan
+ * @param {Array<Object>} detectors - The detectors
+ * @param {Object} options - Parser options
+ * @returns {Object|null} - { index, name } or null if no detector matched
+ */
+function findFirst(lines, detectors, options) {
+  for (let index = 0; index < lines.length; index++) {
+    for (const detector of detectors) {
+      if (detector.match(lines, index, options)) {
+        return { index, name: detector.name };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Joins lines back into text, keeping paragraph breaks but dropping surrounding blank lines
+ * @param {Array<string>} lines - The lines
+ * @returns {string} - The text
+ */
+function joinLines(lines) {
+  return lines
+    .map((line) => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Parses a plain text email into the visible reply, the signature and the quoted section
+ * @param {string} text - The plain text email body
+ * @param {Object} options - Parser options (optional)
+ * @param {Array<string>} options.locales - Only use attribution patterns for these locales (default: all)
+ * @returns {Object} - { reply, signature, quoted, quoteDetector, signatureDetector }
+ */
+function parseReply(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return { reply: '', signature: '', quoted: '', quoteDetector: null, signatureDetector: null };
+  }
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  const quote = findFirst(lines, quoteDetectors, options);
+  const replyLines = quote ? lines.slice(0, quote.index) : lines;
+  const quotedLines = quote ? lines.slice(quote.index) : [];
+
+  // Nothing above the quote (a forward, or a top line we misread): keep the whole message
+  if (quote && joinLines(replyLines) === '') {
+    return { reply: joinLines(lines), signature: '', quoted: '', quoteDetector: null, signatureDetector: null };
+  }
+
+  const signature = findFirst(replyLines, signatureDetectors, options);
+  const visibleLines = signature ? replyLines.slice(0, signature.index) : replyLines;
+  const signatureLines = signature ? replyLines.slice(signature.index) : [];
+
+  return {
+    reply: joinLines(visibleLines),
+    signature: joinLines(signatureLines),
+    quoted: joinLines(quotedLines),
+    quoteDetector: quote ? quote.name : null,
+    signatureDetector: signature ? signature.name : null
+  };
+}
+
+/**
+ * Parses an HTML email into the visible reply and the quoted section
+ * @param {string} html - The HTML email body
+ * @returns {Object} - { html, quotedHtml, quoteMarker }
+ */
+function parseHtmlReply(html) {
+  if (!html || typeof html !== 'string') {
+    return { html, quotedHtml: '', quoteMarker: null };
+  }
+
+  let cut = null;
+  for (const marker of htmlQuoteMarkers) {
+    const match = marker.pattern.exec(html);
+    if (match && (cut === null || match.index < cut.index)) {
+      cut = { index: match.index, name: marker.name };
+    }
+  }
+
+  if (!cut) {
+    return { html, quotedHtml: '', quoteMarker: null };
+  }
+
+  let visible = html.slice(0, cut.index);
+  let quotedHtml = html.slice(cut.index);
+
+  // Nothing above the quote (a forward, or markup we misread): keep the whole message
+  if (visible.replace(/<[^>]*>|&nbsp;|\s/gi, '') === '') {
+    return { html, quotedHtml: '', quoteMarker: null };
+  }
+
+  // Move a trailing "On ... wrote:" attribution over to the quoted section
+  const attribution = visible.match(HTML_ATTRIBUTION_REGEX);
+  if (attribution) {
+    quotedHtml = visible.slice(attribution.index) + quotedHtml;
+    visible = visible.slice(0, attribution.index);
+  }
+
+  return { html: visible, quotedHtml, quoteMarker: cut.name };
+}
+
+module.exports = {
+  parseReply,
+  parseHtmlReply,
+  registerQuoteDetector,
+  registerSignatureDetector,
+  registerHtmlQuoteMarker
+};
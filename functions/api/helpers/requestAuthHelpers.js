@@ -0,0 +1,174 @@
+/**
+ * Request authentication helper functions
+ * Verifies the HMAC signature that mail relays put on requests to makeContact,
+ * and the Firebase ID tokens of dashboard requests
+ *
+ * A signed request carries:
+ *   X-Evidah-Timestamp: unix time in seconds
+ *   X-Evidah-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw request body>">
+ *   X-Evidah-Key-Id:    id of the signing key (optional, every configured key is tried without it)
+ *
+ * Keys are configured per environment in MAKE_CONTACT_SIGNING_KEYS as "keyId:secret" pairs
+ * separated by commas. To rotate, add the new key, move the relays over, then remove the old one.
+ * Signatures are required unless MAKE_CONTACT_REQUIRE_SIGNATURE is 'false', an opt-out for environments
+ * whose relays do not sign yet.
+ * Replays inside the timestamp window are absorbed by the Message-ID deduplication.
+ */
+
+const crypto = require('crypto');
+const { getAuth } = require('firebase-admin/auth');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Reads the signing keys configured for this environment
+ * @returns {Array<Object>} - Array of { id, secret }
+ */
+function getSigningKeys() {
+  const value = process.env.MAKE_CONTACT_SIGNING_KEYS || '';
+
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { id: 'default', secret: entry }
+        : { id: entry.substring(0, separator).trim(), secret: entry.substring(separator + 1).trim() };
+    })
+    .filter((key) => key.secret);
+}
+
+/**
+ * Computes the signature of a request body
+ * @param {string} secret - The signing key
+ * @param {string|number} timestamp - The request timestamp in seconds
+ * @param {Buffer|string} rawBody - The raw request body
+ * @returns {string} - The hex signature
+ */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Compares two hex signatures in constant time
+ * @param {string} expected - The computed signature
+ * @param {string} actual - The signature sent by the caller
+ * @returns {boolean} - Whether they match
+ */
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(actual || '', 'hex');
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Verifies the signature of a request
+ * @param {Object} req - The HTTP request
+ * @returns {Object} - { signed: true, keyId } for a valid signature, { signed: false } for an
+ * unsigned request, or { signed: false, error: { status, code, message } } for a bad signature
+ */
+function verifyRequestSignature(req) {
+  const signatureHeader = req.get('x-evidah-signature');
+  const timestampHeader = req.get('x-evidah-timestamp');
+
+  if (!signatureHeader && !timestampHeader) {
+    return { signed: false };
+  }
+
+  const reject = (code, message) => ({ signed: false, error: { status: 401, code, message } });
+
+  const keys = getSigningKeys();
+  if (keys.length === 0) {
+    return reject('signing_not_configured', 'Request signing is not configured for this environment');
+  }
+
+  const timestamp = parseInt(timestampHeader, 10);
+  if (!Number.isInteger(timestamp)) {
+    return reject('invalid_timestamp', 'Missing or invalid X-Evidah-Timestamp header');
+  }
+
+  const tolerance = parseInt(process.env.MAKE_CONTACT_SIGNATURE_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    return reject('timestamp_out_of_window', 'Request timestamp is outside the allowed window');
+  }
+
+  const [version, signature] = (signatureHeader || '').split('=');
+  if (version !== SIGNATURE_VERSION || !signature || !/^[0-9a-f]+$/i.test(signature)) {
+    return reject('invalid_signature', 'Missing or malformed X-Evidah-Signature header');
+  }
+
+  const keyId = req.get('x-evidah-key-id');
+  const candidates = keyId ? keys.filter((key) => key.id === keyId) : keys;
+
+  for (const key of candidates) {
+    if (signaturesMatch(computeSignature(key.secret, timestamp, req.rawBody), signature)) {
+      return { signed: true, keyId: key.id };
+    }
+  }
+
+  return reject('invalid_signature', 'Request signature does not match');
+}
+
+/**
+ * Checks whether a request is allowed to reach makeContact
+ * Unsigned requests are rejected unless MAKE_CONTACT_REQUIRE_SIGNATURE is 'false', and may never
+ * pick the tenant themselves with uid/selectedCompany, it is always resolved from the recipient
+ * @param {Object} req - The HTTP request
+ * @param {Object} fields - The request options (uid, selectedCompany)
+ * @returns {Object} - { allowed: true, signed } or { allowed: false, error: { status, code, message } }
+ */
+function authorizeMakeContactRequest(req, { uid, selectedCompany }) {
+  const verification = verifyRequestSignature(req);
+  if (verification.error) {
+    return { allowed: false, error: verification.error };
+  }
+
+  if (verification.signed) {
+    return { allowed: true, signed: true, keyId: verification.keyId };
+  }
+
+  if (process.env.MAKE_CONTACT_REQUIRE_SIGNATURE !== 'false') {
+    return { allowed: false, error: { status: 401, code: 'signature_required', message: 'Request must be signed' } };
+  }
+
+  const suppliesUid = uid != null && uid !== '' && uid !== 'N/A';
+  const suppliesCompany = selectedCompany != null && selectedCompany !== '' && selectedCompany !== 'default';
+  if (suppliesUid || suppliesCompany) {
+    return { allowed: false, error: { status: 403, code: 'tenant_override_forbidden', message: 'uid and selectedCompany are only accepted on signed requests' } };
+  }
+
+  return { allowed: true, signed: false };
+}
+
+/**
+ * Verifies the Firebase ID token of a request (Authorization: Bearer <token>)
+ * @param {Object} req - The HTTP request
+ * @returns {Promise<Object|null>} - The decoded token or null if missing or invalid
+ */
+async function verifyFirebaseIdToken(req) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return await getAuth().verifyIdToken(match[1]);
+  } catch (error) {
+    console.log('Invalid ID token:', error.code || error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  computeSignature,
+  verifyRequestSignature,
+  authorizeMakeContactRequest,
+  verifyFirebaseIdToken
+};
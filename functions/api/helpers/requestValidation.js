@@ -0,0 +1,217 @@
+/**
+ * Request validation helper functions for makeContact
+ * Validates the request fields and normalizes the "N/A" sentinel that relays send for missing values
+ */
+
+// Value relays send (and tickets store) for a missing header or body part
+const NOT_AVAILABLE = 'N/A';
+
+const MAX_BODY_LENGTH = 1024 * 1024; // 1 MB of text
+const MAX_HTML_LENGTH = 5 * 1024 * 1024; // 5 MB, inline images are still embedded at this point
+const MAX_SUBJECT_LENGTH = 2000;
+const MAX_HEADER_LENGTH = 10000;
+const MAX_DOWNLOAD_URLS = 50;
+const MAX_HEADERS_LENGTH = 256 * 1024;
+
+const EMAIL_REGEX = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+
+/**
+ * Whether a value is missing: null, undefined, empty or the "N/A" sentinel
+ * @param {*} value - The value to check
+ * @returns {boolean} - True if the value is missing
+ */
+function isNotAvailable(value) {
+  return value == null || (typeof value === 'string' && (value.trim() === '' || value.trim() === NOT_AVAILABLE));
+}
+
+/**
+ * Returns the value, or the "N/A" sentinel if it is missing
+ * @param {*} value - The value to normalize
+ * @returns {*} - The value or NOT_AVAILABLE
+ */
+function orNotAvailable(value) {
+  return isNotAvailable(value) ? NOT_AVAILABLE : value;
+}
+
+/**
+ * Extracts the address from "addr@host" or "Display Name <addr@host>"
+ * @param {string} value - The address header value
+ * @returns {string} - The bare address
+ */
+function extractAddress(value) {
+  const match = String(value).match(/<([^<>]+)>\s*$/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+/**
+ * Whether a value is a syntactically valid email address (bare or with a display name)
+ * @param {string} value - The address header value
+ * @returns {boolean} - True if the address is valid
+ */
+function isValidEmailAddress(value) {
+  return typeof value === 'string' && EMAIL_REGEX.test(extractAddress(value));
+}
+
+/**
+ * Validates and normalizes the fields of a makeContact request
+ * @param {Object} fields - The request fields (from the JSON body or a parsed raw email)
+ * @returns {Object} - { valid: true, value } with normalized fields, or { valid: false, errors }
+ * where errors is an array of { field, code, message }
+ */
+function validateMakeContactRequest(fields) {
+  const errors = [];
+  const addError = (field, code, message) => errors.push({ field, code, message });
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    addError('body', 'invalid_type', 'Request body must be a JSON object');
+    return { valid: false, errors };
+  }
+
+  const value = {};
+
+  // Addresses
+  for (const field of ['from', 'to']) {
+    if (isNotAvailable(fields[field])) {
+      addError(field, 'required', `${field} is required`);
+    } else if (!isValidEmailAddress(fields[field])) {
+      addError(field, 'invalid_email', `${field} must be a valid email address`);
+    } else {
+      value[field] = fields[field].trim();
+    }
+  }
+
+  // Text fields
+  const textFields = [
+    { field: 'subject', max: MAX_SUBJECT_LENGTH, missing: '' },
+    { field: 'body', max: MAX_BODY_LENGTH, missing: NOT_AVAILABLE },
+    { field: 'html', max: MAX_HTML_LENGTH, missing: NOT_AVAILABLE },
+    { field: 'messageId', max: MAX_HEADER_LENGTH, missing: NOT_AVAILABLE },
+    { field: 'inReplyTo', max: MAX_HEADER_LENGTH, missing: NOT_AVAILABLE },
+    { field: 'deliveryReport', max: MAX_BODY_LENGTH, missing: '' },
+  ];
+
+  for (const { field, max, missing } of textFields) {
+    const fieldValue = fields[field];
+    if (isNotAvailable(fieldValue)) {
+      value[field] = missing;
+    } else if (typeof fieldValue !== 'string') {
+      addError(field, 'invalid_type', `${field} must be a string`);
+    } else if (fieldValue.length > max) {
+      addError(field, 'too_long', `${field} must be at most ${max} characters`);
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  // References may come as a single header string or a list of ids
+  const references = fields.references;
+  const referenceList = Array.isArray(references) ? references : null;
+  if (isNotAvailable(references) || (referenceList && referenceList.length === 0)) {
+    value.references = NOT_AVAILABLE;
+  } else if (typeof references === 'string' || (referenceList && referenceList.every((reference) => typeof reference === 'string'))) {
+    value.references = referenceList ? referenceList.join(' ') : references;
+    if (value.references.length > MAX_HEADER_LENGTH) {
+      addError('references', 'too_long', `references must be at most ${MAX_HEADER_LENGTH} characters`);
+    }
+  } else {
+    addError('references', 'invalid_type', 'references must be a string or an array of strings');
+  }
+
+  // Date
+  if (isNotAvailable(fields.date) || fields.date === 'current') {
+    value.date = 'current';
+  } else {
+    const date = new Date(fields.date);
+    if (isNaN(date.getTime())) {
+      addError('date', 'invalid_date', 'date must be "current" or a valid date');
+    } else {
+      value.date = date;
+    }
+  }
+
+  // Attachments
+  const downloadURLs = fields.downloadURLs;
+  if (downloadURLs == null || downloadURLs === '' || downloadURLs === NOT_AVAILABLE) {
+    value.downloadURLs = [];
+  } else if (!Array.isArray(downloadURLs)) {
+    addError('downloadURLs', 'invalid_type', 'downloadURLs must be an array');
+  } else if (downloadURLs.length > MAX_DOWNLOAD_URLS) {
+    addError('downloadURLs', 'too_many', `downloadURLs must have at most ${MAX_DOWNLOAD_URLS} entries`);
+  } else {
+    downloadURLs.forEach((item, index) => {
+      const url = typeof item === 'string' ? item : (item && typeof item === 'object' ? item.url : null);
+      if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+        addError(`downloadURLs[${index}]`, 'invalid_url', 'Each attachment must be an http(s) URL or an object with a url');
+      }
+    });
+    value.downloadURLs = downloadURLs;
+  }
+
+  // Spam flag
+  const isSpam = fields.isSpam;
+  if (isSpam == null || isSpam === '') {
+    value.isSpam = false;
+  } else if (isSpam === true || isSpam === 'true') {
+    value.isSpam = true;
+  } else if (isSpam === false || isSpam === 'false') {
+    value.isSpam = false;
+  } else {
+    addError('isSpam', 'invalid_value', 'isSpam must be true or false');
+  }
+
+  // Relay-provided spam score
+  const spamScore = fields.spamScore;
+  if (spamScore == null || spamScore === '' || spamScore === NOT_AVAILABLE) {
+    value.spamScore = null;
+  } else if (!Number.isFinite(Number(spamScore)) || typeof spamScore === 'boolean') {
+    addError('spamScore', 'invalid_type', 'spamScore must be a number');
+  } else {
+    value.spamScore = Number(spamScore);
+  }
+
+  // Original email headers, normalized to lowercase keys
+  const headers = fields.headers;
+  value.headers = {};
+  if (headers != null && headers !== NOT_AVAILABLE) {
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+      addError('headers', 'invalid_type', 'headers must be an object');
+    } else {
+      for (const [name, headerValue] of Object.entries(headers)) {
+        const values = Array.isArray(headerValue) ? headerValue : [headerValue];
+        if (!values.every((item) => typeof item === 'string' || typeof item === 'number')) {
+          addError(`headers.${name}`, 'invalid_type', 'Header values must be strings or arrays of strings');
+        } else {
+          value.headers[name.toLowerCase()] = Array.isArray(headerValue) ? headerValue.map(String) : String(headerValue);
+        }
+      }
+      if (JSON.stringify(value.headers).length > MAX_HEADERS_LENGTH) {
+        addError('headers', 'too_long', `headers must be at most ${MAX_HEADERS_LENGTH} characters`);
+      }
+    }
+  }
+
+  // Tenant
+  value.uid = isNotAvailable(fields.uid) ? NOT_AVAILABLE : fields.uid;
+  if (value.uid !== NOT_AVAILABLE && (typeof value.uid !== 'string' || value.uid.includes('/'))) {
+    addError('uid', 'invalid_value', 'uid must be a user id');
+  }
+
+  value.selectedCompany = isNotAvailable(fields.selectedCompany) ? 'default' : fields.selectedCompany;
+  if (typeof value.selectedCompany !== 'string' || value.selectedCompany.includes('/')) {
+    addError('selectedCompany', 'invalid_value', 'selectedCompany must be a knowledgebase id');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  return { valid: true, value };
+}
+
+module.exports = {
+  NOT_AVAILABLE,
+  isNotAvailable,
+  orNotAvailable,
+  extractAddress,
+  isValidEmailAddress,
+  validateMakeContactRequest
+};
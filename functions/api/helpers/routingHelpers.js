@@ -0,0 +1,314 @@
+/**
+ * Ticket routing helper functions
+ * Team members of a knowledgebase are kept in Users/{uid}/knowledgebases/{company}/teamMembers/{memberId} as
+ * { name, email, uid, active } where uid is the member's own account, whose FCM tokens get their notifications.
+ *
+ * New tickets are assigned by the knowledgebase routing settings: routing: { rules, strategy } where rules are
+ * checked in order, each { type: 'senderDomain'|'subjectKeyword'|'category', values, members, strategy }, and the
+ * first match picks one of its members (all active members if it lists none). Without a match the knowledgebase
+ * strategy picks from all active members ('none' leaves the ticket unassigned). Category rules need the
+ * classification, so when the ticket is created without a match they wait for classifyNewTicket.
+ */
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getClassificationSettings } = require('./classificationHelpers');
+const { sendNotificationToUser } = require('./notificationHelpers');
+
+const ROUTING_RULE_TYPES = ['senderDomain', 'subjectKeyword', 'category'];
+
+const ROUTING_STRATEGIES = ['roundRobin', 'leastLoaded'];
+
+// Statuses counted as a member's load
+const OPEN_STATUSES = ['Open', 'Pending customer', 'On hold'];
+
+/**
+ * Gets the active team members of a knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @returns {Promise<Array<Object>>} - [{ id, name, email, uid }] ordered by id
+ */
+async function getTeamMembers(uid, selectedCompany) {
+  try {
+    const snapshot = await db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/teamMembers`).get();
+    return snapshot.docs
+      .filter((doc) => doc.data().active !== false)
+      .map((doc) => ({ id: doc.id, name: doc.data().name || null, email: doc.data().email || null, uid: doc.data().uid || null }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  } catch (error) {
+    console.error('Error getting team members:', error);
+    return [];
+  }
+}
+
+/**
+ * Whether an account is an active team member of a knowledgebase
+ * @param {string} uid - The owner's UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} memberUid - The account's UID
+ * @returns {Promise<boolean>}
+ */
+async function isActiveTeamMember(uid, selectedCompany, memberUid) {
+  if (!memberUid) {
+    return false;
+  }
+
+  try {
+    const snapshot = await db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/teamMembers`).where('uid', '==', memberUid).get();
+    return snapshot.docs.some((doc) => doc.data().active !== false);
+  } catch (error) {
+    console.error('Error checking team member:', error);
+    return false;
+  }
+}
+
+/**
+ * Gets the routing settings of a knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - { rules, strategy } with invalid rules dropped, strategy 'none' when unset
+ */
+async function getRoutingSettings(uid, selectedCompany = 'default') {
+  let routing = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    routing = (doc.exists && doc.data().routing) || {};
+  } catch (error) {
+    console.error('Error getting routing settings:', error);
+  }
+
+  const rules = (Array.isArray(routing.rules) ? routing.rules : [])
+    .map((rule, index) => ({
+      index,
+      type: rule && rule.type,
+      values: (Array.isArray(rule && rule.values) ? rule.values : []).map((value) => String(value).trim().toLowerCase()).filter(Boolean),
+      members: Array.isArray(rule && rule.members) ? rule.members : [],
+      strategy: ROUTING_STRATEGIES.includes(rule && rule.strategy) ? rule.strategy : 'roundRobin',
+    }))
+    .filter((rule) => ROUTING_RULE_TYPES.includes(rule.type) && rule.values.length > 0);
+
+  return {
+    rules,
+    strategy: ROUTING_STRATEGIES.includes(routing.strategy) ? routing.strategy : 'none',
+  };
+}
+
+/**
+ * Returns the domain of a sender address
+ * @param {string} from - The sender, e.g. "Jane <jane@acme.com>"
+ * @returns {string} - The lowercase domain, empty if there is none
+ */
+function getSenderDomain(from) {
+  const address = (String(from || '').match(/<([^>]+)>/) || [null, from])[1] || '';
+  return address.split('@')[1] ? address.split('@')[1].trim().toLowerCase() : '';
+}
+
+/**
+ * Whether a rule matches a ticket
+ * @param {Object} rule - The rule (see getRoutingSettings)
+ * @param {Object} ticket - { from, subject, category }
+ * @returns {boolean}
+ */
+function matchesRoutingRule(rule, { from, subject, category }) {
+  if (rule.type === 'senderDomain') {
+    const domain = getSenderDomain(from);
+    return Boolean(domain) && rule.values.some((value) => domain === value || domain.endsWith(`.${value}`));
+  }
+  if (rule.type === 'subjectKeyword') {
+    const text = String(subject || '').toLowerCase();
+    return rule.values.some((value) => text.includes(value));
+  }
+  return Boolean(category) && rule.values.includes(String(category).toLowerCase());
+}
+
+/**
+ * Picks the member after the one last picked for a pool
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} pool - The pool key, e.g. 'default' or 'rule-0'
+ * @param {Array<Object>} members - The candidates
+ * @returns {Promise<Object>} - The member
+ */
+async function pickRoundRobin(uid, selectedCompany, pool, members) {
+  const stateRef = db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/routing/roundRobin`);
+
+  return await db.runTransaction(async (transaction) => {
+    const stateDoc = await transaction.get(stateRef);
+    const lastId = stateDoc.exists ? stateDoc.data()[pool] : null;
+    const next = members.find((member) => lastId != null && member.id > lastId) || members[0];
+
+    transaction.set(stateRef, { [pool]: next.id, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    return next;
+  });
+}
+
+/**
+ * Picks the member with the fewest open tickets
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Array<Object>} members - The candidates
+ * @returns {Promise<Object>} - The member, the first one on a tie
+ */
+async function pickLeastLoaded(ticketsCollection, members) {
+  const loads = await Promise.all(members.map(async (member) => {
+    const snapshot = await ticketsCollection
+      .where('assignee.id', '==', member.id)
+      .where('status', 'in', OPEN_STATUSES)
+      .count()
+      .get();
+    return snapshot.data().count;
+  }));
+
+  const least = Math.min(...loads);
+  return members[loads.indexOf(least)];
+}
+
+/**
+ * Picks an assignee with a strategy
+ * @param {Object} context - { uid, selectedCompany, ticketsCollection }
+ * @param {string} strategy - 'roundRobin' or 'leastLoaded'
+ * @param {string} pool - The round-robin pool key
+ * @param {Array<Object>} members - The candidates
+ * @returns {Promise<Object|null>} - The member, or null without candidates
+ */
+async function pickMember({ uid, selectedCompany, ticketsCollection }, strategy, pool, members) {
+  if (members.length === 0) {
+    return null;
+  }
+  return strategy === 'leastLoaded'
+    ? await pickLeastLoaded(ticketsCollection, members)
+    : await pickRoundRobin(uid, selectedCompany, pool, members);
+}
+
+/**
+ * Builds the ticket fields of an assignment
+ * @param {Object} member - The team member, or null while the assignment waits on the classification
+ * @param {Object} assignment - { method, rule } how the member was picked
+ * @returns {Object} - { assignee, assignment } to store on the ticket
+ */
+function buildAssignmentFields(member, { method, rule = null }) {
+  return {
+    assignee: member ? { id: member.id, name: member.name, email: member.email, uid: member.uid } : null,
+    assignment: { method, rule, pending: member ? null : 'classification', assignedAt: member ? new Date() : null },
+  };
+}
+
+/**
+ * Routes a ticket by the knowledgebase rules
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Object} ticket - { from, subject, category }
+ * @param {string} stage - 'created' when the ticket comes in, 'classified' once its category is known
+ * @returns {Promise<Object>} - The assignment fields (see buildAssignmentFields), empty if the ticket stays unassigned
+ */
+async function routeTicket(uid, selectedCompany, ticketsCollection, ticket, stage) {
+  const [settings, members] = await Promise.all([getRoutingSettings(uid, selectedCompany), getTeamMembers(uid, selectedCompany)]);
+  if (members.length === 0) {
+    return {};
+  }
+
+  const context = { uid, selectedCompany, ticketsCollection };
+  const rules = settings.rules.filter((rule) => (stage === 'created' ? rule.type !== 'category' : rule.type === 'category'));
+
+  for (const rule of rules) {
+    if (!matchesRoutingRule(rule, ticket)) {
+      continue;
+    }
+    const pool = rule.members.length > 0 ? members.filter((member) => rule.members.includes(member.id)) : members;
+    const member = await pickMember(context, rule.strategy, `rule-${rule.index}`, pool);
+    if (member) {
+      return buildAssignmentFields(member, { method: rule.strategy, rule: { index: rule.index, type: rule.type } });
+    }
+  }
+
+  // Category rules get their turn once the ticket is classified
+  if (stage === 'created' && settings.rules.some((rule) => rule.type === 'category') && (await getClassificationSettings(uid, selectedCompany)).enabled) {
+    return buildAssignmentFields(null, { method: null });
+  }
+
+  if (settings.strategy === 'none') {
+    return {};
+  }
+  return buildAssignmentFields(await pickMember(context, settings.strategy, 'default', members), { method: settings.strategy });
+}
+
+/**
+ * Routes a classified ticket that was waiting on its category
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} category - The category, null if the classification failed
+ * @returns {Promise<Object|null>} - The assignee, or null if the ticket was not waiting or stays unassigned
+ */
+async function routeClassifiedTicket(ticketRef, uid, selectedCompany, category) {
+  const ticketDoc = await ticketRef.get();
+  const ticket = ticketDoc.exists ? ticketDoc.data() : null;
+  if (!ticket || !ticket.assignment || ticket.assignment.pending !== 'classification') {
+    return null;
+  }
+
+  const fields = await routeTicket(uid, selectedCompany, ticketRef.parent, { from: ticket.from, subject: ticket.subject, category }, 'classified');
+
+  // An agent may have picked someone in the meantime
+  const assigned = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(ticketRef);
+    if (!current.exists || current.data().assignee || !current.data().assignment || current.data().assignment.pending !== 'classification') {
+      return false;
+    }
+    transaction.update(ticketRef, fields.assignee ? fields : { assignee: null, assignment: null });
+    return Boolean(fields.assignee);
+  });
+
+  return assigned ? fields.assignee : null;
+}
+
+/**
+ * The account notifications about a ticket go to: its assignee's, or the knowledgebase owner's
+ * @param {string} uid - The owner's UID
+ * @param {Object} ticketData - The ticket document data
+ * @returns {string} - The UID whose FCM tokens are notified
+ */
+function getNotificationUid(uid, ticketData) {
+  return (ticketData && ticketData.assignee && ticketData.assignee.uid) || uid;
+}
+
+/**
+ * Tells an assignee about a ticket assigned to them
+ * @param {string} uid - The owner's UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} ticketId - The ticket ID
+ * @param {Object} ticket - { subject, from, ticketDisplayNumber }
+ * @param {Object} assignee - The assignee (see buildAssignmentFields)
+ * @returns {Promise<void>}
+ */
+async function notifyAssignee(uid, selectedCompany, ticketId, ticket, assignee) {
+  if (!assignee || !assignee.uid) {
+    return;
+  }
+
+  const notificationResult = await sendNotificationToUser(assignee.uid, `Ticket assigned to you: ${ticket.subject || 'No subject'}`, `From ${ticket.from || 'unknown sender'}`, {
+    ticketId,
+    selectedCompany,
+    ownerUid: uid,
+    subject: ticket.subject || '',
+    sender_email: ticket.from || '',
+    timestamp: Date.now().toString(),
+  });
+  if (!notificationResult.success) {
+    console.log(`Failed to notify assignee: ${notificationResult.error || notificationResult.message || 'Unknown error'}`);
+  }
+}
+
+module.exports = {
+  getTeamMembers,
+  isActiveTeamMember,
+  getRoutingSettings,
+  matchesRoutingRule,
+  routeTicket,
+  routeClassifiedTicket,
+  getNotificationUid,
+  notifyAssignee
+};
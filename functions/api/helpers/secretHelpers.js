@@ -0,0 +1,104 @@
+/**
+ * Secret helper functions
+ * Per-knowledgebase credentials and keys (mail provider passwords, DKIM private keys) live in Secret Manager,
+ * never in Firestore. Secret ids are derived from the uid and company, so a knowledgebase can only reach its own.
+ */
+
+const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+
+// Secrets are read once per instance and kept for a while, so a rotated secret is picked up without a deploy
+const SECRET_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// gRPC status codes returned by Secret Manager
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+const secretCache = new Map();
+let secretManagerClient = null;
+
+/**
+ * Returns the Secret Manager client and the project path, created on first use
+ * @returns {Object} - { client, projectPath }
+ */
+function getSecretManager() {
+  secretManagerClient = secretManagerClient || new SecretManagerServiceClient();
+  const projectId = process.env.GCLOUD_PROJECT || process.env.GOOGLE_CLOUD_PROJECT;
+  return { client: secretManagerClient, projectPath: `projects/${projectId}` };
+}
+
+/**
+ * Builds the id of a knowledgebase secret
+ * @param {string} purpose - What the secret holds, e.g. 'outbound-mail' or 'dkim'
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} qualifier - Tells several secrets of the same purpose apart, e.g. the domain (optional)
+ * @returns {string} - The secret id (letters, digits, - and _)
+ */
+function getKnowledgebaseSecretId(purpose, uid, selectedCompany, qualifier = '') {
+  return [purpose, uid, selectedCompany, qualifier]
+    .filter(Boolean)
+    .join('-')
+    .replace(/[^A-Za-z0-9_-]/g, '-')
+    .substring(0, 255);
+}
+
+/**
+ * Reads the latest version of a Secret Manager secret
+ * @param {string} secretId - The secret id
+ * @returns {Promise<string|null>} - The secret value, or null if it does not exist
+ */
+async function getSecret(secretId) {
+  const cached = secretCache.get(secretId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const { client, projectPath } = getSecretManager();
+
+  let value = null;
+  try {
+    const [version] = await client.accessSecretVersion({ name: `${projectPath}/secrets/${secretId}/versions/latest` });
+    value = version.payload.data.toString('utf8');
+  } catch (error) {
+    if (error.code !== NOT_FOUND) {
+      throw error;
+    }
+  }
+
+  secretCache.set(secretId, { value, expiresAt: Date.now() + SECRET_CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Stores a value as the new latest version of a secret, creating the secret if needed
+ * @param {string} secretId - The secret id
+ * @param {string} value - The secret value
+ * @returns {Promise<void>}
+ */
+async function setSecret(secretId, value) {
+  const { client, projectPath } = getSecretManager();
+
+  try {
+    await client.createSecret({
+      parent: projectPath,
+      secretId,
+      secret: { replication: { automatic: {} } },
+    });
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) {
+      throw error;
+    }
+  }
+
+  await client.addSecretVersion({
+    parent: `${projectPath}/secrets/${secretId}`,
+    payload: { data: Buffer.from(value, 'utf8') },
+  });
+  secretCache.set(secretId, { value, expiresAt: Date.now() + SECRET_CACHE_TTL_MS });
+}
+
+module.exports = {
+  getKnowledgebaseSecretId,
+  getSecret,
+  setSecret
+};
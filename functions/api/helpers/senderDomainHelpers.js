@@ -0,0 +1,358 @@
+/**
+ * Sender domain helper functions
+ * A knowledgebase can send from its own address (customSender: { address, name, receivesReplies } on the
+ * knowledgebase document) once its domain is verified. Domains are kept in
+ * Users/{uid}/knowledgebases/{company}/senderDomains/{domain} with the DNS records to publish; the DKIM
+ * private key of each selector is in Secret Manager. Mail from an unverified domain goes out as <subdomain>@ourkd.help.
+ *
+ * A key rotation keeps signing with the active key: the new one waits in pendingKey: { selector, publicKey,
+ * keySecretId } until checkSenderDomain finds its DNS record, then it replaces the active one.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { HELPDESK_EMAIL_DOMAIN } = require('../constants');
+const { getKnowledgebaseSecretId, getSecret, setSecret } = require('./secretHelpers');
+
+const DKIM_KEY_BITS = 2048;
+
+// TXT record proving the knowledgebase owns the domain: _evidah.<domain> = evidah-verification=<token>
+const VERIFICATION_RECORD_PREFIX = '_evidah';
+const VERIFICATION_VALUE_PREFIX = 'evidah-verification=';
+
+// SPF include recommended for the domain, the mail servers we send through
+const SPF_INCLUDE = process.env.SENDER_SPF_INCLUDE || `spf.${HELPDESK_EMAIL_DOMAIN}`;
+
+const ADDRESS_REGEX = /^[^\s@<>"]+@([a-z0-9-]+(\.[a-z0-9-]+)+)$/i;
+
+/**
+ * Parses a sender address
+ * @param {string} address - The address, e.g. "support@acme.com"
+ * @returns {Object|null} - { address, domain } in lowercase, or null if it is not a plain address
+ */
+function parseSenderAddress(address) {
+  const match = String(address || '').trim().toLowerCase().match(ADDRESS_REGEX);
+  return match ? { address: match[0], domain: match[1] } : null;
+}
+
+/**
+ * Returns the sender domain document of a knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} domain - The domain
+ * @returns {FirebaseFirestore.DocumentReference} - The sender domain document reference
+ */
+function getSenderDomainRef(uid, selectedCompany, domain) {
+  return db.doc(`Users/${uid}/knowledgebases/${selectedCompany}/senderDomains/${domain}`);
+}
+
+/**
+ * Lists the DNS records a domain has to publish
+ * @param {string} domain - The domain
+ * @param {Object} senderDomain - The sender domain document data (selector, publicKey, verificationToken, pendingKey)
+ * @returns {Array<Object>} - [{ purpose, type, name, value, required }], purpose 'dkimRotation' for the record of a
+ * pending key (the active DKIM record stays published until the rotation is verified)
+ */
+function getDomainRecords(domain, senderDomain) {
+  const dkimRecord = (purpose, key) => ({
+    purpose,
+    type: 'TXT',
+    name: `${key.selector}._domainkey.${domain}`,
+    value: `v=DKIM1; k=rsa; p=${key.publicKey}`,
+    required: true
+  });
+
+  return [
+    {
+      purpose: 'verification',
+      type: 'TXT',
+      name: `${VERIFICATION_RECORD_PREFIX}.${domain}`,
+      value: `${VERIFICATION_VALUE_PREFIX}${senderDomain.verificationToken}`,
+      required: true
+    },
+    dkimRecord('dkim', senderDomain),
+    ...(senderDomain.pendingKey ? [dkimRecord('dkimRotation', senderDomain.pendingKey)] : []),
+    {
+      purpose: 'spf',
+      type: 'TXT',
+      name: domain,
+      value: `v=spf1 include:${SPF_INCLUDE} ~all`,
+      required: false
+    }
+  ];
+}
+
+/**
+ * Generates a DKIM key pair and stores its private key in Secret Manager
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} domain - The domain
+ * @returns {Promise<Object>} - { selector, publicKey, keySecretId } where publicKey is the base64 DER for the DNS record
+ */
+async function createDkimKey(uid, selectedCompany, domain) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: DKIM_KEY_BITS,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+  // A new selector per key, so the old record can stay published until the new one is verified
+  const selector = `evidah${Date.now().toString(36)}`;
+  const keySecretId = getKnowledgebaseSecretId('dkim', uid, selectedCompany, `${domain}-${selector}`);
+  await setSecret(keySecretId, privateKey);
+
+  return { selector, publicKey: publicKey.toString('base64'), keySecretId };
+}
+
+/**
+ * Sets up the custom sender of a knowledgebase: stores the address and, for a new domain, generates the DKIM
+ * key pair and the verification token. The domain has to be verified with checkSenderDomain before mail goes
+ * out from it. Rotating the key of a verified domain adds a pending key and keeps the domain verified;
+ * for a domain that is not verified yet the key is simply replaced.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} sender - The sender
+ * @param {string} sender.address - The address to send from, e.g. "support@acme.com"
+ * @param {string} sender.name - The display name (optional)
+ * @param {boolean} sender.receivesReplies - Whether replies to the address reach the helpdesk, e.g. through a
+ * forward to <subdomain>@ourkd.help; otherwise a Reply-To with the helpdesk address is added (optional)
+ * @param {boolean} sender.rotateKey - Generate a new DKIM key for an existing domain (optional)
+ * @returns {Promise<Object>} - { status, message, domain, senderStatus, records }
+ */
+async function setupSenderDomain(uid, selectedCompany, { address, name = null, receivesReplies = false, rotateKey = false }) {
+  const parsed = parseSenderAddress(address);
+  if (!parsed) {
+    return { status: 0, error: 'invalid_address', message: 'A plain sender address is required, e.g. support@example.com' };
+  }
+  if (parsed.domain === HELPDESK_EMAIL_DOMAIN || parsed.domain.endsWith(`.${HELPDESK_EMAIL_DOMAIN}`)) {
+    return { status: 0, error: 'invalid_address', message: `Addresses at ${HELPDESK_EMAIL_DOMAIN} are not custom senders` };
+  }
+
+  const senderDomainRef = getSenderDomainRef(uid, selectedCompany, parsed.domain);
+  const existing = await senderDomainRef.get();
+  let senderDomain = existing.exists ? existing.data() : null;
+
+  if (senderDomain && rotateKey && senderDomain.status === 'verified') {
+    // Keep signing with the active key until the new record is published and verified
+    const pendingKey = await createDkimKey(uid, selectedCompany, parsed.domain);
+    senderDomain = { ...senderDomain, pendingKey: { ...pendingKey, createdAt: new Date() } };
+    await senderDomainRef.update({ pendingKey: senderDomain.pendingKey });
+    console.log(`Created pending DKIM key ${pendingKey.selector} for sender domain ${parsed.domain}`);
+  } else if (!senderDomain || rotateKey) {
+    const key = await createDkimKey(uid, selectedCompany, parsed.domain);
+
+    senderDomain = {
+      domain: parsed.domain,
+      selector: key.selector,
+      publicKey: key.publicKey,
+      keySecretId: key.keySecretId,
+      pendingKey: null,
+      verificationToken: (senderDomain && senderDomain.verificationToken) || crypto.randomBytes(16).toString('hex'),
+      status: 'pending',
+      checks: null,
+      createdAt: (senderDomain && senderDomain.createdAt) || FieldValue.serverTimestamp(),
+      keyCreatedAt: FieldValue.serverTimestamp(),
+      verifiedAt: null,
+    };
+    await senderDomainRef.set(senderDomain);
+    console.log(`${existing.exists ? 'Replaced' : 'Created'} DKIM key for sender domain ${parsed.domain}`);
+  }
+
+  await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).set({
+    customSender: {
+      address: parsed.address,
+      domain: parsed.domain,
+      name: name ? String(name).trim() : null,
+      receivesReplies: receivesReplies === true,
+    }
+  }, { merge: true });
+
+  return {
+    status: 1,
+    message: senderDomain.status !== 'verified'
+      ? 'Publish the DNS records, then verify the domain'
+      : senderDomain.pendingKey ? 'Publish the new DKIM record, then verify the domain to switch to it' : 'Sender domain verified',
+    domain: parsed.domain,
+    senderStatus: senderDomain.status,
+    records: getDomainRecords(parsed.domain, senderDomain)
+  };
+}
+
+/**
+ * Reads the TXT records of a name, each joined from its strings
+ * @param {string} name - The DNS name
+ * @returns {Promise<Array<string>>} - The TXT values, empty if there are none
+ * @throws {Error} - When the resolver fails (ESERVFAIL, ETIMEOUT, EREFUSED, ...), which says nothing about the records
+ */
+async function resolveTxtValues(name) {
+  try {
+    return (await dns.resolveTxt(name)).map((chunks) => chunks.join(''));
+  } catch (error) {
+    if (['ENODATA', 'ENOTFOUND'].includes(error.code)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks the DNS records of a sender domain and records the outcome on its document
+ * The domain is verified once the verification and DKIM records are published; SPF is only reported.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} domain - The domain
+ * @returns {Promise<Object>} - { status, message, domain, senderStatus, checks, records }, or status 0 with
+ * error 'dns_unavailable' when the resolver failed and the status was left as it was
+ */
+async function checkSenderDomain(uid, selectedCompany, domain) {
+  const senderDomainRef = getSenderDomainRef(uid, selectedCompany, String(domain || '').toLowerCase());
+  const senderDomainDoc = await senderDomainRef.get();
+  if (!senderDomainDoc.exists) {
+    return { status: 0, error: 'not_found', message: 'Sender domain not found, set it up first' };
+  }
+
+  const senderDomain = senderDomainDoc.data();
+  const records = getDomainRecords(senderDomain.domain, senderDomain);
+  const recordOf = (purpose) => records.find((record) => record.purpose === purpose);
+  const normalize = (value) => value.replace(/\s+/g, '').toLowerCase();
+  const hasDkimKey = (values, key) => values.some((value) => normalize(value).split(';').includes(`p=${key.publicKey}`.toLowerCase()));
+
+  let verificationValues, dkimValues, rootValues, rotationValues;
+  try {
+    [verificationValues, dkimValues, rootValues, rotationValues] = await Promise.all([
+      resolveTxtValues(recordOf('verification').name),
+      resolveTxtValues(recordOf('dkim').name),
+      resolveTxtValues(recordOf('spf').name),
+      senderDomain.pendingKey ? resolveTxtValues(recordOf('dkimRotation').name) : [],
+    ]);
+  } catch (error) {
+    // A resolver failure must not fail a verified domain, it keeps its status until a lookup answers
+    console.error(`DNS lookup for sender domain ${senderDomain.domain} failed:`, error.code || error.message);
+    await senderDomainRef.update({ lastCheckError: error.code || error.message, checkedAt: FieldValue.serverTimestamp() });
+    return {
+      status: 0,
+      error: 'dns_unavailable',
+      message: 'The DNS lookup failed, try again later',
+      domain: senderDomain.domain,
+      senderStatus: senderDomain.status,
+      records
+    };
+  }
+
+  const checks = {
+    verification: verificationValues.some((value) => value.trim() === recordOf('verification').value),
+    dkim: hasDkimKey(dkimValues, senderDomain),
+    spf: rootValues.some((value) => /^v=spf1\s/i.test(value) && value.toLowerCase().includes(`include:${SPF_INCLUDE.toLowerCase()}`)),
+    ...(senderDomain.pendingKey ? { dkimRotation: hasDkimKey(rotationValues, senderDomain.pendingKey) } : {}),
+  };
+
+  // A published pending key replaces the active one
+  const rotated = Boolean(senderDomain.pendingKey) && checks.verification && checks.dkimRotation;
+  const verified = checks.verification && (checks.dkim || rotated);
+  const senderStatus = verified ? 'verified' : 'failed';
+
+  const update = {
+    status: senderStatus,
+    checks,
+    lastCheckError: null,
+    checkedAt: FieldValue.serverTimestamp(),
+    verifiedAt: verified ? (senderDomain.verifiedAt || FieldValue.serverTimestamp()) : null,
+  };
+  if (rotated) {
+    const { selector, publicKey, keySecretId } = senderDomain.pendingKey;
+    Object.assign(update, { selector, publicKey, keySecretId, pendingKey: null, keyCreatedAt: senderDomain.pendingKey.createdAt || null, keyRotatedAt: FieldValue.serverTimestamp() });
+    console.log(`Rotated DKIM key of sender domain ${senderDomain.domain} to selector ${selector}`);
+  }
+
+  await senderDomainRef.update(update);
+
+  console.log(`Checked sender domain ${senderDomain.domain}:`, checks);
+  return {
+    status: 1,
+    message: rotated ? 'Sender domain verified, now signing with the new key' : verified ? 'Sender domain verified' : 'DNS records not found yet',
+    domain: senderDomain.domain,
+    senderStatus,
+    checks,
+    records: rotated ? getDomainRecords(senderDomain.domain, { ...senderDomain, ...update }) : records
+  };
+}
+
+/**
+ * Gets the address a knowledgebase sends customer email from: its custom sender when the domain is
+ * verified, <subdomain>@ourkd.help otherwise
+ * Mail from the custom address has to go out through emailService, the only path that signs with the domain's DKIM key.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} subdomain - The knowledgebase subdomain
+ * @returns {Promise<Object>} - { from, replyTo, custom } where replyTo is null unless replies need routing elsewhere
+ */
+async function getSenderAddress(uid, selectedCompany, subdomain) {
+  const helpdeskAddress = `${subdomain}@${HELPDESK_EMAIL_DOMAIN}`;
+
+  try {
+    const knowledgebaseDoc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const customSender = knowledgebaseDoc.exists && knowledgebaseDoc.data().customSender;
+    const parsed = customSender && parseSenderAddress(customSender.address);
+
+    if (parsed) {
+      const senderDomainDoc = await getSenderDomainRef(uid, selectedCompany, parsed.domain).get();
+      if (senderDomainDoc.exists && senderDomainDoc.data().status === 'verified') {
+        const name = customSender.name ? String(customSender.name).replace(/["\\\r\n]/g, '').trim() : '';
+
+        return {
+          from: name ? `"${name}" <${parsed.address}>` : parsed.address,
+          replyTo: customSender.receivesReplies ? null : helpdeskAddress,
+          custom: true
+        };
+      }
+      console.log(`Sender domain ${parsed.domain} is not verified, sending as ${helpdeskAddress}`);
+    }
+  } catch (error) {
+    console.error('Error getting custom sender:', error);
+  }
+
+  return { from: helpdeskAddress, replyTo: null, custom: false };
+}
+
+/**
+ * Gets the DKIM signing options for a sender address, if it is on a verified domain of the knowledgebase
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} from - The From header, e.g. '"Acme" <support@acme.com>'
+ * @returns {Promise<Object|null>} - { domainName, keySelector, privateKey } for nodemailer, or null
+ */
+async function getDkimOptions(uid, selectedCompany, from) {
+  const address = (String(from || '').match(/<([^>]+)>/) || [null, from])[1];
+  const parsed = parseSenderAddress(address);
+  if (!parsed) {
+    return null;
+  }
+
+  const senderDomainDoc = await getSenderDomainRef(uid, selectedCompany, parsed.domain).get();
+  if (!senderDomainDoc.exists || senderDomainDoc.data().status !== 'verified') {
+    return null;
+  }
+
+  // Domains set up before keys were stored per selector have theirs under the domain
+  const senderDomain = senderDomainDoc.data();
+  const privateKey = await getSecret(senderDomain.keySecretId || getKnowledgebaseSecretId('dkim', uid, selectedCompany, parsed.domain));
+  if (!privateKey) {
+    console.error(`No DKIM key stored for sender domain ${parsed.domain}`);
+    return null;
+  }
+
+  return { domainName: parsed.domain, keySelector: senderDomain.selector, privateKey };
+}
+
+module.exports = {
+  parseSenderAddress,
+  getDomainRecords,
+  setupSenderDomain,
+  checkSenderDomain,
+  getSenderAddress,
+  getDkimOptions
+};
@@ -0,0 +1,674 @@
+/**
+ * SLA helper functions
+ * Tickets of knowledgebases that enabled SLAs get a first response and a resolution clock when they are created.
+ * Clocks count business time (business hours and holidays of the knowledgebase, in its timezone) and pause while
+ * the ticket waits on the customer or is on hold. The checkSlaBreaches schedule warns before and flags after a due time passes.
+ *
+ * A ticket keeps its clocks in sla: { priority, warnBeforeMinutes, firstResponse, resolution } where each clock is
+ * { targetMinutes, startedAt, dueAt, remainingMinutes, achievedAt, met, businessMinutes, warnedAt, breachedAt }.
+ * A running clock has a dueAt, a paused one has the business minutes it had left in remainingMinutes instead.
+ * slaCheckAt on the ticket is the next time the schedule has to look at it.
+ */
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { getLocalizationSettings, isValidTimeZone } = require('./localeHelpers');
+
+const SLA_CLOCKS = ['firstResponse', 'resolution'];
+
+const SLA_PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+// Statuses that pause both clocks, and statuses that complete the resolution clock
+const SLA_PAUSED_STATUSES = ['Pending customer', 'On hold'];
+const SLA_STOPPED_STATUSES = ['Solved', 'Closed'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// SLAs are opted into per knowledgebase; the targets match the "response within 24 hours" of the default
+// ticket confirmation
+const DEFAULT_SLA_SETTINGS = {
+  enabled: false,
+  firstResponseMinutes: 24 * 60,
+  resolutionMinutes: 0,
+  warnBeforeMinutes: 60,
+  notify: true
+};
+
+// How far ahead business time is searched, so a calendar without open days cannot loop forever
+const MAX_CALENDAR_DAYS = 2 * 366;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Converts a Firestore Timestamp or a date value to a Date
+ * @param {*} value - The value
+ * @returns {Date|null} - The date, or null if there is none
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads a number of minutes from a setting, 0 or empty means no target
+ * @param {*} value - The setting
+ * @param {number} fallback - The value when the setting is missing or invalid
+ * @returns {number} - The minutes
+ */
+function minutesSetting(value, fallback) {
+  return value != null && value !== '' && Number(value) >= 0 ? Math.round(Number(value)) : fallback;
+}
+
+/**
+ * Parses "HH:MM" to minutes after midnight, "24:00" closes at midnight
+ * @param {string} value - The time
+ * @returns {number|null} - The minutes, or null if it is not a time
+ */
+function parseTimeOfDay(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Parses the business hours setting into [open, close] minutes per weekday (0 is Sunday)
+ * @param {Object} businessHours - { monday: { start: '09:00', end: '17:00' }, ... }, missing days are closed
+ * @returns {Array|null} - The hours per weekday, or null for around the clock (no valid open day)
+ */
+function parseBusinessHours(businessHours) {
+  if (!businessHours || typeof businessHours !== 'object') {
+    return null;
+  }
+
+  const hours = WEEKDAYS.map((weekday) => {
+    const day = businessHours[weekday];
+    const start = day && parseTimeOfDay(day.start);
+    const end = day && parseTimeOfDay(day.end);
+    return start != null && end != null && start < end ? [start, end] : null;
+  });
+
+  return hours.some(Boolean) ? hours : null;
+}
+
+/**
+ * Gets the SLA settings of a knowledgebase
+ * Stored as sla: { enabled, timezone, businessHours, holidays, firstResponseMinutes, resolutionMinutes,
+ * priorities: { urgent: { firstResponseMinutes, resolutionMinutes }, ... }, warnBeforeMinutes, notify } on the
+ * knowledgebase document. SLAs are off until enabled is set to true. The timezone defaults to the localization
+ * timezone, holidays are 'YYYY-MM-DD' dates in it.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied, the calendar ready for the business time functions
+ */
+async function getSlaSettings(uid, selectedCompany = 'default') {
+  let sla = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    sla = (doc.exists && doc.data().sla) || {};
+  } catch (error) {
+    console.error('Error getting SLA settings:', error);
+  }
+
+  const timezone = isValidTimeZone(sla.timezone) ? sla.timezone : (await getLocalizationSettings(uid, selectedCompany)).timezone;
+
+  const priorities = {};
+  SLA_PRIORITIES.forEach((priority) => {
+    if (sla.priorities && sla.priorities[priority]) {
+      priorities[priority] = sla.priorities[priority];
+    }
+  });
+
+  return {
+    enabled: typeof sla.enabled === 'boolean' ? sla.enabled : DEFAULT_SLA_SETTINGS.enabled,
+    calendar: {
+      timezone,
+      businessHours: parseBusinessHours(sla.businessHours),
+      holidays: new Set((Array.isArray(sla.holidays) ? sla.holidays : []).filter((day) => /^\d{4}-\d{2}-\d{2}$/.test(day))),
+    },
+    firstResponseMinutes: minutesSetting(sla.firstResponseMinutes, DEFAULT_SLA_SETTINGS.firstResponseMinutes),
+    resolutionMinutes: minutesSetting(sla.resolutionMinutes, DEFAULT_SLA_SETTINGS.resolutionMinutes),
+    priorities,
+    warnBeforeMinutes: minutesSetting(sla.warnBeforeMinutes, DEFAULT_SLA_SETTINGS.warnBeforeMinutes),
+    notify: sla.notify !== false,
+  };
+}
+
+/**
+ * Gets the targets for a ticket priority, the knowledgebase targets unless the priority overrides them
+ * @param {Object} settings - The SLA settings (see getSlaSettings)
+ * @param {string} priority - The ticket priority (optional)
+ * @returns {Object} - { firstResponseMinutes, resolutionMinutes }, 0 means no target
+ */
+function getSlaTargets(settings, priority) {
+  const override = settings.priorities[priority] || {};
+  return {
+    firstResponseMinutes: minutesSetting(override.firstResponseMinutes, settings.firstResponseMinutes),
+    resolutionMinutes: minutesSetting(override.resolutionMinutes, settings.resolutionMinutes),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant
+ * @param {number} time - The instant in milliseconds
+ * @param {string} timeZone - The IANA timezone
+ * @returns {number} - The offset in milliseconds
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time)).forEach((part) => {
+    parts[part.type] = Number(part.value);
+  });
+
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * The local date of an instant in a timezone
+ * @param {number} time - The instant in milliseconds
+ * @param {string} timeZone - The IANA timezone
+ * @returns {Object} - { year, month, day }
+ */
+function getLocalDate(time, timeZone) {
+  const local = new Date(time + getTimeZoneOffset(time, timeZone));
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate() };
+}
+
+/**
+ * The instant of a local wall time in a timezone
+ * @param {Object} date - { year, month, day }
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - The IANA timezone
+ * @returns {number} - The instant in milliseconds
+ */
+function getZonedTime({ year, month, day }, minutes, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getTimeZoneOffset(wallTime, timeZone);
+  // A second pass for days the offset changes (DST)
+  const corrected = getTimeZoneOffset(wallTime - offset, timeZone);
+  return wallTime - corrected;
+}
+
+/**
+ * The local date after a local date
+ * @param {Object} date - { year, month, day }
+ * @returns {Object} - { year, month, day }
+ */
+function nextLocalDate({ year, month, day }) {
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+/**
+ * The business time window of a local date
+ * @param {Object} date - { year, month, day }
+ * @param {Object} calendar - { timezone, businessHours, holidays } (see getSlaSettings)
+ * @returns {Array|null} - [open, close] in milliseconds, or null if the day is closed
+ */
+function getBusinessWindow(date, calendar) {
+  const key = `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  if (calendar.holidays.has(key)) {
+    return null;
+  }
+
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+  const hours = calendar.businessHours ? calendar.businessHours[weekday] : [0, 24 * 60];
+  if (!hours) {
+    return null;
+  }
+
+  return [getZonedTime(date, hours[0], calendar.timezone), getZonedTime(date, hours[1], calendar.timezone)];
+}
+
+/**
+ * Adds business minutes to an instant
+ * @param {Date} start - The instant to count from
+ * @param {number} minutes - The business minutes to add
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Date|null} - The instant the minutes are used up, or null if the calendar has no business time
+ */
+function addBusinessMinutes(start, minutes, calendar) {
+  let cursor = start.getTime();
+  let remaining = Math.max(0, minutes) * MINUTE_MS;
+  let date = getLocalDate(cursor, calendar.timezone);
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const window = getBusinessWindow(date, calendar);
+    if (window && Math.max(cursor, window[0]) < window[1]) {
+      cursor = Math.max(cursor, window[0]);
+      if (remaining <= window[1] - cursor) {
+        return new Date(cursor + remaining);
+      }
+      remaining -= window[1] - cursor;
+    }
+    date = nextLocalDate(date);
+  }
+
+  return null;
+}
+
+/**
+ * Counts the business minutes between two instants
+ * @param {Date} start - The first instant
+ * @param {Date} end - The second instant
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {number} - The business minutes, 0 if end is not after start
+ */
+function businessMinutesBetween(start, end, calendar) {
+  const from = start.getTime();
+  const to = end.getTime();
+  let total = 0;
+  let date = getLocalDate(from, calendar.timezone);
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS && getZonedTime(date, 0, calendar.timezone) < to; i++) {
+    const window = getBusinessWindow(date, calendar);
+    if (window) {
+      total += Math.max(0, Math.min(window[1], to) - Math.max(window[0], from));
+    }
+    date = nextLocalDate(date);
+  }
+
+  return Math.round(total / MINUTE_MS);
+}
+
+/**
+ * Whether a clock is counting down
+ * @param {Object} clock - The clock
+ * @returns {boolean} - True if it has a due time and is neither achieved nor paused
+ */
+function isClockRunning(clock) {
+  return Boolean(clock && clock.dueAt && !clock.achievedAt && clock.remainingMinutes == null);
+}
+
+/**
+ * Starts a clock
+ * @param {number} targetMinutes - The target in business minutes, 0 for no clock
+ * @param {Date} startedAt - When the clock starts
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Object|null} - The clock, or null without a target
+ */
+function startClock(targetMinutes, startedAt, calendar) {
+  if (!targetMinutes) {
+    return null;
+  }
+
+  return {
+    targetMinutes,
+    startedAt,
+    dueAt: addBusinessMinutes(startedAt, targetMinutes, calendar),
+    remainingMinutes: null,
+    achievedAt: null,
+    met: null,
+    businessMinutes: null,
+    warnedAt: null,
+    breachedAt: null,
+  };
+}
+
+/**
+ * Pauses a running clock, keeping the business minutes it has left
+ * @param {Object} clock - The clock
+ * @param {Date} at - When the clock pauses
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Object|null} - The clock
+ */
+function pauseClock(clock, at, calendar) {
+  if (!isClockRunning(clock)) {
+    return clock || null;
+  }
+  return { ...clock, dueAt: null, remainingMinutes: businessMinutesBetween(at, toDate(clock.dueAt), calendar) };
+}
+
+/**
+ * Resumes a paused clock with the business minutes it had left
+ * @param {Object} clock - The clock
+ * @param {Date} at - When the clock resumes
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Object|null} - The clock
+ */
+function resumeClock(clock, at, calendar) {
+  if (!clock || clock.achievedAt || clock.remainingMinutes == null) {
+    return clock || null;
+  }
+  return { ...clock, dueAt: addBusinessMinutes(at, clock.remainingMinutes, calendar), remainingMinutes: null };
+}
+
+/**
+ * Completes a clock and records whether its target was met
+ * @param {Object} clock - The clock
+ * @param {Date} at - When the target was achieved
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Object|null} - The clock
+ */
+function completeClock(clock, at, calendar) {
+  if (!clock || clock.achievedAt) {
+    return clock || null;
+  }
+
+  // A paused clock has what it had left when it paused, 0 if it was already overdue
+  const dueAt = toDate(clock.dueAt);
+  const paused = clock.remainingMinutes != null;
+  let remaining = 0;
+  if (paused) {
+    remaining = clock.remainingMinutes;
+  } else if (dueAt) {
+    remaining = at <= dueAt ? businessMinutesBetween(at, dueAt, calendar) : -businessMinutesBetween(dueAt, at, calendar);
+  }
+
+  return {
+    ...clock,
+    remainingMinutes: null,
+    achievedAt: at,
+    met: !clock.breachedAt && (paused ? remaining > 0 : Boolean(dueAt) && at <= dueAt),
+    businessMinutes: clock.targetMinutes - remaining,
+  };
+}
+
+/**
+ * The next time the schedule has to look at a ticket: the warning or the due time of its running clocks
+ * @param {Object} sla - The sla field of the ticket
+ * @returns {Date|null} - The time, or null if no clock is running
+ */
+function getSlaCheckAt(sla) {
+  const times = SLA_CLOCKS
+    .map((name) => sla && sla[name])
+    .filter((clock) => isClockRunning(clock) && !clock.breachedAt)
+    .map((clock) => {
+      const dueAt = toDate(clock.dueAt).getTime();
+      return clock.warnedAt || !sla.warnBeforeMinutes ? dueAt : dueAt - sla.warnBeforeMinutes * MINUTE_MS;
+    });
+
+  return times.length ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Builds the SLA fields of a new ticket
+ * A new ticket has no priority yet, so it starts on the knowledgebase targets; the targets of its priority
+ * apply once classification or an agent sets one (see applySlaPriority).
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Date} startedAt - When the clocks start
+ * @returns {Promise<Object>} - { sla, slaCheckAt } to store on the ticket, empty if the knowledgebase has no SLA
+ */
+async function getNewTicketSlaFields(uid, selectedCompany, startedAt) {
+  const settings = await getSlaSettings(uid, selectedCompany);
+  if (!settings.enabled) {
+    return {};
+  }
+
+  const targets = getSlaTargets(settings, null);
+  const sla = {
+    priority: null,
+    warnBeforeMinutes: settings.warnBeforeMinutes,
+    firstResponse: startClock(targets.firstResponseMinutes, startedAt, settings.calendar),
+    resolution: startClock(targets.resolutionMinutes, startedAt, settings.calendar),
+  };
+
+  if (!sla.firstResponse && !sla.resolution) {
+    return {};
+  }
+  return { sla, slaCheckAt: getSlaCheckAt(sla) };
+}
+
+/**
+ * Lists the clocks a change completed, for the metrics
+ * @param {Object} before - The sla field before the change
+ * @param {Object} after - The sla field after the change
+ * @returns {Array<Object>} - [{ clock, event: 'met'|'missed', businessMinutes }]
+ */
+function getCompletedClocks(before, after) {
+  return SLA_CLOCKS
+    .filter((name) => after[name] && after[name].achievedAt && !(before[name] && before[name].achievedAt))
+    .map((name) => ({ clock: name, event: after[name].met ? 'met' : 'missed', businessMinutes: after[name].businessMinutes }));
+}
+
+/**
+ * Pauses, resumes or completes the clocks of a ticket after a status change
+ * Pending customer and On hold pause both clocks, Solved and Closed complete the resolution clock (and pause
+ * the first response clock), Open resumes what is paused.
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {string} status - The new status
+ * @param {Object} settings - The SLA settings (see getSlaSettings)
+ * @param {Date} at - When the status changed
+ * @returns {Promise<Array<Object>>} - The clocks the change completed (see getCompletedClocks)
+ */
+async function applySlaStatusChange(ticketRef, status, settings, at) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    const ticket = ticketDoc.exists ? ticketDoc.data() : null;
+    // The status may have moved on again since the trigger fired
+    if (!ticket || !ticket.sla || (ticket.status || 'Open') !== status) {
+      return [];
+    }
+
+    let change;
+    if (SLA_PAUSED_STATUSES.includes(status)) {
+      change = { firstResponse: pauseClock, resolution: pauseClock };
+    } else if (SLA_STOPPED_STATUSES.includes(status)) {
+      change = { firstResponse: pauseClock, resolution: completeClock };
+    } else {
+      change = { firstResponse: resumeClock, resolution: resumeClock };
+    }
+
+    const sla = { ...ticket.sla };
+    SLA_CLOCKS.forEach((name) => {
+      sla[name] = change[name](sla[name], at, settings.calendar);
+    });
+
+    transaction.update(ticketRef, { sla, slaCheckAt: getSlaCheckAt(sla) });
+    return getCompletedClocks(ticket.sla, sla);
+  });
+}
+
+/**
+ * Completes the first response clock of a ticket
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {Object} settings - The SLA settings (see getSlaSettings)
+ * @param {Date} at - When the response was sent
+ * @returns {Promise<Array<Object>>} - The clocks completed (see getCompletedClocks)
+ */
+async function recordFirstResponse(ticketRef, settings, at) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    const ticket = ticketDoc.exists ? ticketDoc.data() : null;
+    if (!ticket || !ticket.sla || !ticket.sla.firstResponse || ticket.sla.firstResponse.achievedAt) {
+      return [];
+    }
+
+    const sla = { ...ticket.sla, firstResponse: completeClock(ticket.sla.firstResponse, at, settings.calendar) };
+    transaction.update(ticketRef, { sla, slaCheckAt: getSlaCheckAt(sla) });
+    return getCompletedClocks(ticket.sla, sla);
+  });
+}
+
+/**
+ * Moves a clock to a new target, keeping the business time already used
+ * @param {Object} clock - The clock
+ * @param {number} targetMinutes - The new target, 0 for no target
+ * @param {Date} at - When the target changes
+ * @param {Object} calendar - The calendar (see getSlaSettings)
+ * @returns {Object|null} - The clock, null if an unachieved clock has no target anymore
+ */
+function retargetClock(clock, targetMinutes, at, calendar) {
+  if (clock.achievedAt || clock.targetMinutes === targetMinutes) {
+    return clock;
+  }
+  if (!targetMinutes) {
+    return null;
+  }
+
+  const delta = targetMinutes - clock.targetMinutes;
+  if (clock.remainingMinutes != null) {
+    return { ...clock, targetMinutes, remainingMinutes: Math.max(0, clock.remainingMinutes + delta) };
+  }
+
+  const dueAt = toDate(clock.dueAt);
+  const remaining = (at <= dueAt ? businessMinutesBetween(at, dueAt, calendar) : -businessMinutesBetween(dueAt, at, calendar)) + delta;
+  // An earlier due time that already passed is due now
+  const newDueAt = remaining > 0 ? addBusinessMinutes(at, remaining, calendar) : at;
+
+  return {
+    ...clock,
+    targetMinutes,
+    dueAt: newDueAt,
+    warnedAt: newDueAt > dueAt ? null : clock.warnedAt,
+  };
+}
+
+/**
+ * Applies the targets of a new ticket priority to the clocks of a ticket
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {string} priority - The new priority
+ * @param {Object} settings - The SLA settings (see getSlaSettings)
+ * @param {Date} at - When the priority changed
+ * @returns {Promise<boolean>} - True if the clocks changed
+ */
+async function applySlaPriority(ticketRef, priority, settings, at) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    const ticket = ticketDoc.exists ? ticketDoc.data() : null;
+    if (!ticket || !ticket.sla || ticket.isSpam || (ticket.sla.priority || null) === (priority || null)) {
+      return false;
+    }
+
+    const targets = getSlaTargets(settings, priority);
+    const sla = { ...ticket.sla, priority: priority || null };
+    const startedAt = SLA_CLOCKS.map((name) => sla[name] && toDate(sla[name].startedAt)).find(Boolean) || at;
+
+    SLA_CLOCKS.forEach((name) => {
+      const targetMinutes = targets[`${name}Minutes`];
+      if (sla[name]) {
+        sla[name] = retargetClock(sla[name], targetMinutes, at, settings.calendar);
+        return;
+      }
+
+      // A clock the old priority had no target for counts from when the ticket came in
+      const status = ticket.status || 'Open';
+      const done = SLA_STOPPED_STATUSES.includes(status) && name === 'resolution';
+      const clock = done ? null : startClock(targetMinutes, startedAt, settings.calendar);
+      sla[name] = clock && status !== 'Open' ? pauseClock(clock, at, settings.calendar) : clock;
+    });
+
+    transaction.update(ticketRef, { sla, slaCheckAt: getSlaCheckAt(sla) });
+    return true;
+  });
+}
+
+/**
+ * Flags the clocks of a ticket that are about to breach or breached
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {Date} now - The current time
+ * @returns {Promise<Object>} - { ticket, events } where events are [{ clock, event: 'warning'|'breach', dueAt }]
+ */
+async function checkTicketSla(ticketRef, now) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    const ticket = ticketDoc.exists ? ticketDoc.data() : null;
+    if (!ticket) {
+      return { ticket: null, events: [] };
+    }
+
+    // Spam found after the ticket was created is not tracked
+    if (!ticket.sla || ticket.isSpam) {
+      transaction.update(ticketRef, { slaCheckAt: null });
+      return { ticket, events: [] };
+    }
+
+    const sla = { ...ticket.sla };
+    const events = [];
+    SLA_CLOCKS.forEach((name) => {
+      const clock = sla[name];
+      if (!isClockRunning(clock) || clock.breachedAt) {
+        return;
+      }
+
+      const dueAt = toDate(clock.dueAt);
+      if (now >= dueAt) {
+        sla[name] = { ...clock, breachedAt: now, warnedAt: clock.warnedAt || now };
+        events.push({ clock: name, event: 'breach', dueAt });
+      } else if (!clock.warnedAt && sla.warnBeforeMinutes && now >= new Date(dueAt.getTime() - sla.warnBeforeMinutes * MINUTE_MS)) {
+        sla[name] = { ...clock, warnedAt: now };
+        events.push({ clock: name, event: 'warning', dueAt });
+      }
+    });
+
+    transaction.update(ticketRef, { sla, slaCheckAt: getSlaCheckAt(sla) });
+    return { ticket, events };
+  });
+}
+
+/**
+ * Adds SLA events to the knowledgebase metrics, next to the page view counters
+ * Totals are kept in metrics/sla and per day in metrics/sla/byDates/{yyyy-mm-dd}, as counters named after the clock
+ * and the event, e.g. firstResponseMet, resolutionBreach; completed clocks also add their business minutes.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Array<Object>} events - [{ clock, event, businessMinutes }]
+ * @returns {Promise<void>}
+ */
+async function recordSlaMetrics(uid, selectedCompany, events) {
+  if (!events || events.length === 0) {
+    return;
+  }
+
+  const counters = {};
+  events.forEach(({ clock, event, businessMinutes }) => {
+    const name = `${clock}${event.charAt(0).toUpperCase()}${event.slice(1)}`;
+    counters[name] = (counters[name] || 0) + 1;
+    if (businessMinutes != null) {
+      counters[`${clock}BusinessMinutes`] = (counters[`${clock}BusinessMinutes`] || 0) + businessMinutes;
+    }
+  });
+
+  const increments = {};
+  Object.keys(counters).forEach((name) => {
+    increments[name] = FieldValue.increment(counters[name]);
+  });
+
+  try {
+    const currentDate = new Date().toISOString().split('T')[0]; // Get the current date in 'yyyy-mm-dd' format
+    const metricsRef = db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/metrics`).doc('sla');
+
+    const batch = db.batch();
+    batch.set(metricsRef, increments, { merge: true });
+    batch.set(metricsRef.collection('byDates').doc(currentDate), { ...increments, date: currentDate }, { merge: true });
+    await batch.commit();
+  } catch (error) {
+    console.error('Error updating SLA metrics:', error);
+  }
+}
+
+module.exports = {
+  SLA_CLOCKS,
+  SLA_PRIORITIES,
+  toDate,
+  getSlaSettings,
+  getSlaTargets,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  getSlaCheckAt,
+  getNewTicketSlaFields,
+  applySlaStatusChange,
+  applySlaPriority,
+  recordFirstResponse,
+  checkTicketSla,
+  recordSlaMetrics
+};
@@ -0,0 +1,176 @@
+/**
+ * Spam scoring helper functions for inbound tickets
+ * Scores are on the same scale as SpamAssassin, so a relay-provided score can be added as is
+ */
+
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { extractAddress } = require('./requestValidation');
+const { getHeader } = require('./emailHelpers');
+
+const DEFAULT_SPAM_THRESHOLD = 5;
+
+// Score added for each matching rule
+const SPAM_RULE_WEIGHTS = {
+  blocklisted: 100,
+  spamFolder: 5,
+  relaySpamFlag: 3,
+  highLinkDensity: 2,
+  allCapsSubject: 2,
+  bulkPrecedence: 1,
+  listUnsubscribe: 1,
+  bulkMailer: 1,
+};
+
+const BULK_MAILER_REGEX = /mailchimp|sendgrid|mailgun|constant ?contact|campaign ?monitor|sendinblue|brevo|klaviyo|phplist/i;
+
+/**
+ * Gets the spam filter settings of a knowledgebase
+ * Stored as spamFilter: { allowlist, blocklist, threshold, useRelayScore } on the knowledgebase document.
+ * The lists hold sender addresses ("jane@acme.com") or domains ("acme.com").
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied
+ */
+async function getSpamFilterSettings(uid, selectedCompany = 'default') {
+  let spamFilter = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    spamFilter = (doc.exists && doc.data().spamFilter) || {};
+  } catch (error) {
+    console.error('Error getting spam filter settings:', error);
+  }
+
+  const toList = (list) => (Array.isArray(list) ? list.map((entry) => String(entry).trim().toLowerCase()).filter(Boolean) : []);
+  const threshold = Number(spamFilter.threshold);
+
+  return {
+    allowlist: toList(spamFilter.allowlist),
+    blocklist: toList(spamFilter.blocklist),
+    threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_SPAM_THRESHOLD,
+    useRelayScore: spamFilter.useRelayScore !== false,
+  };
+}
+
+/**
+ * Whether a sender matches an allowlist/blocklist entry (exact address or domain, including subdomains)
+ * @param {string} address - The lowercase sender address
+ * @param {Array<string>} list - The lowercase list entries
+ * @returns {boolean} - True if the sender is on the list
+ */
+function senderMatchesList(address, list) {
+  const domain = address.split('@')[1] || '';
+
+  return list.some((entry) => {
+    if (entry.includes('@')) {
+      return entry === address;
+    }
+    const entryDomain = entry.replace(/^@/, '');
+    return domain === entryDomain || domain.endsWith('.' + entryDomain);
+  });
+}
+
+/**
+ * Scores an inbound email for spam
+ * @param {Object} email - The inbound email
+ * @param {string} email.from - The sender's email address
+ * @param {string} email.subject - The email subject
+ * @param {string} email.body - The plain text body
+ * @param {string} email.html - The HTML body
+ * @param {Object} email.headers - The email headers (lowercase keys)
+ * @param {boolean} email.isSpam - Whether the relay found the email in a spam folder
+ * @param {number|null} email.relaySpamScore - The score computed by the relay, if any
+ * @param {Object} settings - The settings from getSpamFilterSettings
+ * @returns {Object} - { spamScore, spamReasons, isSpam }
+ */
+function scoreInboundEmail({ from, subject, body, html, headers, isSpam, relaySpamScore }, settings) {
+  const address = extractAddress(from || '').toLowerCase();
+
+  if (senderMatchesList(address, settings.allowlist)) {
+    return { spamScore: 0, spamReasons: ['allowlisted'], isSpam: false };
+  }
+
+  const reasons = [];
+  let score = 0;
+  const addRule = (reason) => {
+    reasons.push(reason);
+    score += SPAM_RULE_WEIGHTS[reason];
+  };
+
+  if (senderMatchesList(address, settings.blocklist)) {
+    addRule('blocklisted');
+  }
+
+  if (isSpam) {
+    addRule('spamFolder');
+  }
+
+  if (/^yes/i.test(getHeader(headers, 'x-spam-flag'))) {
+    addRule('relaySpamFlag');
+  }
+
+  // Link density: many links relative to the amount of text
+  const text = body && body !== 'N/A' ? body : '';
+  const markup = html && html !== 'N/A' ? html : '';
+  const linkCount = Math.max((text.match(/https?:\/\//gi) || []).length, (markup.match(/<a\s[^>]*href=/gi) || []).length);
+  const wordCount = (text || markup.replace(/<[^>]*>/g, ' ')).split(/\s+/).filter(Boolean).length;
+  if (linkCount >= 5 && linkCount / Math.max(wordCount, 1) > 0.05) {
+    addRule('highLinkDensity');
+  }
+
+  // Subjects written in capitals
+  const letters = (subject || '').replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 8 && letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.8) {
+    addRule('allCapsSubject');
+  }
+
+  // Bulk mail headers
+  if (/^(bulk|list|junk)/i.test(getHeader(headers, 'precedence'))) {
+    addRule('bulkPrecedence');
+  }
+  if (getHeader(headers, 'list-unsubscribe')) {
+    addRule('listUnsubscribe');
+  }
+  if (BULK_MAILER_REGEX.test(getHeader(headers, 'x-mailer')) || getHeader(headers, 'x-campaign') || getHeader(headers, 'x-mailgun-tag')) {
+    addRule('bulkMailer');
+  }
+
+  if (settings.useRelayScore && Number.isFinite(relaySpamScore)) {
+    reasons.push(`relayScore:${relaySpamScore}`);
+    score += relaySpamScore;
+  }
+
+  const spamScore = Math.round(score * 100) / 100;
+  return { spamScore, spamReasons: reasons, isSpam: spamScore >= settings.threshold };
+}
+
+/**
+ * Adds a sender to the knowledgebase allowlist, used when an agent marks a ticket as not spam
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {string} from - The sender's email address
+ * @returns {Promise<void>}
+ */
+async function addSenderToAllowlist(uid, selectedCompany, from) {
+  const address = extractAddress(from || '').toLowerCase();
+  if (!address.includes('@')) {
+    return;
+  }
+
+  await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).set({
+    spamFilter: {
+      allowlist: FieldValue.arrayUnion(address),
+      blocklist: FieldValue.arrayRemove(address),
+    }
+  }, { merge: true });
+}
+
+module.exports = {
+  DEFAULT_SPAM_THRESHOLD,
+  getSpamFilterSettings,
+  scoreInboundEmail,
+  addSenderToAllowlist,
+};
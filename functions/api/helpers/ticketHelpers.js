@@ -2,40 +2,257 @@
  * Ticket helper functions for managing tickets and messages
  */
 
+const crypto = require('crypto');
 const { getFirestore } = require('firebase-admin/firestore');
 
 const db = getFirestore();
 
+const { MAX_CONTEXT_CHARS_PER_CONVERSATION, formatAttachmentContext } = require('./attachmentTextHelpers');
+const { reopenTicketOnCustomerReply } = require('./ticketStatusHelpers');
+const { extractAddress } = require('./requestValidation');
+const { getContactId } = require('./contactHelpers');
+
+// Matches a ticket token such as "[#123]" in a subject line
+const SUBJECT_TICKET_TOKEN_REGEX = /\[#\s*([A-Za-z0-9-]+)\s*\]/;
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Normalizes a Message-ID so that "<id@host>" and "id@host" are treated the same
+ * @param {string} messageId - The raw Message-ID header value
+ * @returns {string|null} - The normalized Message-ID or null for empty/'N/A' values
+ */
+function normalizeMessageId(messageId) {
+  if (messageId == null) {
+    return null;
+  }
+
+  const normalized = String(messageId).trim().replace(/^<+/, '').replace(/>+$/, '').trim();
+  if (normalized === '' || normalized === 'N/A') {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Splits a References header into its Message-IDs, oldest first (header order)
+ * @param {string} references - The raw References header value
+ * @returns {Array<string>} - The normalized Message-IDs
+ */
+function parseReferences(references) {
+  if (!references || references === 'N/A') {
+    return [];
+  }
+
+  const value = Array.isArray(references) ? references.join(' ') : String(references);
+  const bracketed = value.match(/<[^<>]+>/g);
+  const ids = bracketed || value.split(/[\s,]+/);
+
+  return ids.map(normalizeMessageId).filter(Boolean);
+}
+
+/**
+ * Gets the message-id index document for a Message-ID
+ * Message-IDs may contain '/', so the document id is a hash of the normalized id
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} messageId - The normalized Message-ID
+ * @returns {FirebaseFirestore.DocumentReference} - The index document reference
+ */
+function getMessageIndexRef(ticketsCollection, messageId) {
+  const key = crypto.createHash('sha1').update(messageId).digest('hex');
+  return ticketsCollection.parent.collection('messageIndex').doc(key);
+}
+
+/**
+ * Records which ticket a Message-ID belongs to (messageId -> ticketId)
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} messageId - The Message-ID of the stored message
+ * @param {string} ticketId - The ticket the message was stored on
+ * @param {string} messageDocId - The id of the message document (optional)
+ * @returns {Promise<void>}
+ */
+async function indexMessageId(ticketsCollection, messageId, ticketId, messageDocId = null) {
+  const normalized = normalizeMessageId(messageId);
+  if (!normalized || !ticketId) {
+    return;
+  }
+
+  try {
+    await getMessageIndexRef(ticketsCollection, normalized).set({
+      messageId: normalized,
+      ticketId: ticketId,
+      messageDocId: messageDocId,
+      indexedAt: new Date()
+    }, { merge: true });
+  } catch (error) {
+    // The index is an optimization, a failed write must not lose the message
+    console.error('Error indexing message id:', error);
+  }
+}
+
+/**
+ * Adds the messages of a knowledgebase stored before the message-id index existed to the index,
+ * along with the ticket confirmations (confirmationMessageId). Message-IDs already in the index are left alone.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @param {Object} options - { dryRun } to only count the Message-IDs that would be indexed
+ * @returns {Promise<Object>} - { scanned, indexed }
+ */
+async function backfillMessageIndex(uid, selectedCompany = 'default', options = {}) {
+  const ticketsCollection = db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/tickets`);
+  const ticketsSnapshot = await ticketsCollection.get();
+
+  // Message-ID -> { ticketId, messageDocId }, the first message seen with an id wins
+  const entries = new Map();
+  const addEntry = (messageId, ticketId, messageDocId) => {
+    const normalized = normalizeMessageId(messageId);
+    if (normalized && !entries.has(normalized)) {
+      entries.set(normalized, { ticketId, messageDocId });
+    }
+  };
+
+  let scanned = 0;
+  for (const ticketDoc of ticketsSnapshot.docs) {
+    const messagesSnapshot = await ticketDoc.ref.collection('messages').get();
+    for (const messageDoc of messagesSnapshot.docs) {
+      scanned++;
+      addEntry(messageDoc.data().messageId, ticketDoc.id, messageDoc.id);
+    }
+    addEntry(ticketDoc.data().confirmationMessageId, ticketDoc.id, null);
+  }
+
+  const messageIds = Array.from(entries.keys());
+  let indexed = 0;
+
+  for (let i = 0; i < messageIds.length; i += BATCH_SIZE) {
+    const chunk = messageIds.slice(i, i + BATCH_SIZE);
+    const indexDocs = await db.getAll(...chunk.map((messageId) => getMessageIndexRef(ticketsCollection, messageId)));
+    const missing = chunk.filter((messageId, offset) => !indexDocs[offset].exists);
+    indexed += missing.length;
+
+    if (options.dryRun || missing.length === 0) {
+      continue;
+    }
+
+    const batch = db.batch();
+    missing.forEach((messageId) => {
+      const { ticketId, messageDocId } = entries.get(messageId);
+      batch.set(getMessageIndexRef(ticketsCollection, messageId), { messageId, ticketId, messageDocId, indexedAt: new Date() });
+    });
+    await batch.commit();
+    console.log(`Indexed Message-IDs ${i + 1} to ${Math.min(i + BATCH_SIZE, messageIds.length)} of ${messageIds.length}`);
+  }
+
+  return { scanned, indexed };
+}
+
+/**
+ * Whether an email points at an existing ticket through In-Reply-To, References or a subject ticket token
+ * @param {string} inReplyTo - The In-Reply-To header
+ * @param {string} references - The References header
+ * @param {string} subject - The email subject
+ * @returns {boolean} - True if findTicketForReply has something to look up
+ */
+function hasReplyReference(inReplyTo, references, subject) {
+  return Boolean(normalizeMessageId(inReplyTo)) || parseReferences(references).length > 0 || SUBJECT_TICKET_TOKEN_REGEX.test(subject || '');
+}
+
+/**
+ * Checks whether an address is the customer of a ticket
+ * @param {Object} ticket - The ticket document data
+ * @param {string} from - The sender's email address
+ * @returns {boolean} - True if the address is the ticket's sender or belongs to its contact
+ */
+function isTicketSender(ticket, from) {
+  const address = extractAddress(from || '').toLowerCase();
+  if (!address) {
+    return false;
+  }
+  return address === extractAddress(ticket.from || '').toLowerCase() || (Boolean(ticket.contactId) && ticket.contactId === getContactId(address));
+}
+
+/**
+ * Finds the ticket a reply belongs to from its threading headers
+ * Looks at In-Reply-To first, then each References entry from newest to oldest,
+ * and finally at a ticket token such as "[#123]" in the subject.
+ * Anyone can type a ticket token, so it only matches a ticket of the same sender.
+ * Messages stored before the index existed are found once scripts/backfillMessageIndex.js has run.
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} inReplyTo - The In-Reply-To header
+ * @param {string} references - The References header
+ * @param {string} subject - The email subject
+ * @param {string} from - The sender's email address
+ * @returns {Promise<Object|null>} - { ticketId, matchedBy } or null if no ticket matches
+ */
+async function findTicketForReply(ticketsCollection, inReplyTo, references, subject, from) {
+  const replyToId = normalizeMessageId(inReplyTo);
+  const candidates = [];
+  for (const id of [replyToId, ...parseReferences(references).reverse()]) {
+    if (id && !candidates.includes(id)) {
+      candidates.push(id);
+    }
+  }
+  const matchedBy = (id) => (id === replyToId ? 'inReplyTo' : 'references');
+
+  if (candidates.length > 0) {
+    // 1. Message-id index, all candidates in a single read
+    const indexDocs = await db.getAll(...candidates.map((id) => getMessageIndexRef(ticketsCollection, id)));
+    for (let i = 0; i < candidates.length; i++) {
+      if (indexDocs[i].exists && indexDocs[i].data().ticketId) {
+        return { ticketId: indexDocs[i].data().ticketId, matchedBy: matchedBy(candidates[i]) };
+      }
+    }
+  }
+
+  // 2. Ticket token in the subject, either the plain number or the prefixed display number
+  const tokenMatch = (subject || '').match(SUBJECT_TICKET_TOKEN_REGEX);
+  if (tokenMatch) {
+    const token = tokenMatch[1];
+    const isNumeric = /^\d+$/.test(token);
+    const ticketSnapshot = await ticketsCollection
+      .where(isNumeric ? 'ticketNumber' : 'ticketDisplayNumber', '==', isNumeric ? parseInt(token, 10) : token)
+      .limit(1)
+      .get();
+
+    if (!ticketSnapshot.empty) {
+      const ticketDoc = ticketSnapshot.docs[0];
+      if (isTicketSender(ticketDoc.data(), from)) {
+        return { ticketId: ticketDoc.id, matchedBy: 'subjectToken' };
+      }
+      console.log(`Subject token of ticket ${ticketDoc.id} used by another sender, ignoring it`);
+    }
+  }
+
+  return null;
+}
+
 /**
- * Adds a message to an existing ticket based on the inReplyTo message ID
+ * Adds a message to an existing ticket based on its threading headers
+ * (In-Reply-To, References and a subject ticket token, see findTicketForReply).
+ * A customer reply reopens a ticket that was Pending customer or Solved.
  * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
  * @param {string} inReplyTo - The message ID to reply to
  * @param {Object} messageData - The message data to add
  * @param {string} body - The message body
  * @param {Date} date - The message date
+ * @param {Function} onStored - Called with the ids of what was written as soon as it is (optional, see makeContact2)
  * @returns {Promise<Object>} - Status object with success/failure information
  */
-async function addMessageToInReplyToTicket(ticketsCollection, inReplyTo, messageData, body, date) {
+async function addMessageToInReplyToTicket(ticketsCollection, inReplyTo, messageData, body, date, onStored = async () => {}) {
   /*This function searches for where the current email belongs to and adds a message to that ticket*/
-  // Get all tickets
-  const ticketsSnapshot = await ticketsCollection.get();
-
-  // Iterate through each ticket
-  for (const ticketDoc of ticketsSnapshot.docs) {
-    const ticketId = ticketDoc.id;
-    const messagesRef = ticketsCollection.doc(ticketId).collection('messages');
+  const match = await findTicketForReply(ticketsCollection, inReplyTo, messageData.references, messageData.subject, messageData.from);
 
-    // Query messages where messageId matches inReplyTo
-    const messagesSnapshot = await messagesRef.where('messageId', '==', inReplyTo).get();
+  if (match) {
+    const ticketId = match.ticketId;
+    const messageRef = await ticketsCollection.doc(ticketId).collection('messages').add(messageData);
+    await onStored({ ticketId, messageDocId: messageRef.id });
+    console.log(`Message added to ticket: ${ticketId} (matched by ${match.matchedBy})`);
+    await indexMessageId(ticketsCollection, messageData.messageId, ticketId, messageRef.id);
+    await ticketsCollection.doc(ticketId).set({ lastMessage: body, lastMessageDate: date, read: false }, { merge: true });
+    await reopenTicketOnCustomerReply(ticketsCollection.doc(ticketId), messageData);
 
-    if (!messagesSnapshot.empty) {
-      // Found a matching message, add the new message to this subcollection
-      await messagesRef.add(messageData);
-      console.log(`Message added to ticket: ${ticketId}`);
-      await ticketsCollection.doc(ticketId).set({ lastMessage: body, lastMessageDate: date, read: false }, { merge: true });
-
-      return { status: 1, message: `Message added to ticket: ${ticketId}` }; // Exit after adding the message to the first match found
-    }
+    return { status: 1, message: `Message added to ticket: ${ticketId}`, ticketId: ticketId, messageDocId: messageRef.id };
   }
 
   console.log('No matching message found with the given inReplyTo value.');
@@ -44,6 +261,7 @@ async function addMessageToInReplyToTicket(ticketsCollection, inReplyTo, message
 
 /**
  * Gets conversation history for a ticket
+ * The text extracted from attachments is appended to their message, truncated to a per-conversation budget
  * @param {string} ticketId - The ticket ID
  * @param {string} uid - The user UID
  * @param {string} selectedCompany - The selected company (default: 'default')
@@ -76,11 +294,22 @@ async function getConversationHistory(ticketId, uid, selectedCompany = 'default'
 
       return {
         role: role,
-        content: data.body || data.html || ''
+        content: data.body || data.html || '',
+        attachments: data.attachments
       };
     });
 
-    return messages;
+    // Text extracted from attachments, newest messages first until the budget runs out
+    let attachmentBudget = MAX_CONTEXT_CHARS_PER_CONVERSATION;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const { text, used } = formatAttachmentContext(messages[i].attachments, attachmentBudget);
+      attachmentBudget -= used;
+      if (text) {
+        messages[i].content = messages[i].content ? `${messages[i].content}\n\n${text}` : text;
+      }
+    }
+
+    return messages.map(({ role, content }) => ({ role, content }));
   } catch (error) {
     console.error('Error getting conversation history:', error);
     return [];
@@ -88,6 +317,12 @@ async function getConversationHistory(ticketId, uid, selectedCompany = 'default'
 }
 
 module.exports = {
+  normalizeMessageId,
+  parseReferences,
+  indexMessageId,
+  backfillMessageIndex,
+  hasReplyReference,
+  findTicketForReply,
   addMessageToInReplyToTicket,
   getConversationHistory
 };
@@ -0,0 +1,142 @@
+/**
+ * Ticket number helper functions
+ * Ticket numbers come from a counter document per knowledgebase that is incremented in a transaction
+ */
+
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const DEFAULT_TICKET_NUMBER_START = 1;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Gets the ticket numbering settings of a knowledgebase
+ * Stored as ticketNumbering: { prefix, start } on the knowledgebase document, e.g. { prefix: 'ACME-', start: 1000 }
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - { prefix, start }
+ */
+async function getTicketNumberingConfig(uid, selectedCompany = 'default') {
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    const config = (doc.exists && doc.data().ticketNumbering) || {};
+    const start = parseInt(config.start, 10);
+
+    return {
+      prefix: typeof config.prefix === 'string' ? config.prefix : '',
+      start: Number.isInteger(start) && start >= 0 ? start : DEFAULT_TICKET_NUMBER_START
+    };
+  } catch (error) {
+    console.error('Error getting ticket numbering config:', error);
+    return { prefix: '', start: DEFAULT_TICKET_NUMBER_START };
+  }
+}
+
+/**
+ * Formats a ticket number for display, e.g. ("ACME-", 1000) -> "ACME-1000"
+ * @param {string} prefix - The configured prefix
+ * @param {number} ticketNumber - The ticket number
+ * @returns {string} - The display ticket number
+ */
+function formatTicketNumber(prefix, ticketNumber) {
+  return `${prefix || ''}${ticketNumber}`;
+}
+
+/**
+ * Gets the ticket counter document of a tickets collection
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @returns {FirebaseFirestore.DocumentReference} - The counter document reference
+ */
+function getTicketCounterRef(ticketsCollection) {
+  return ticketsCollection.parent.collection('counters').doc('tickets');
+}
+
+/**
+ * Allocates the next ticket number in a transaction, so concurrent emails never share a number
+ * The first allocation seeds the counter above the highest existing ticketNumber
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - { ticketNumber, ticketDisplayNumber }
+ */
+async function allocateTicketNumber(ticketsCollection, uid, selectedCompany = 'default') {
+  const { prefix, start } = await getTicketNumberingConfig(uid, selectedCompany);
+  const counterRef = getTicketCounterRef(ticketsCollection);
+
+  const ticketNumber = await db.runTransaction(async (transaction) => {
+    const counterDoc = await transaction.get(counterRef);
+    let next;
+
+    if (counterDoc.exists && Number.isInteger(counterDoc.data().next)) {
+      next = counterDoc.data().next;
+    } else {
+      const lastTicketSnapshot = await transaction.get(ticketsCollection.orderBy('ticketNumber', 'desc').limit(1));
+      const lastNumber = lastTicketSnapshot.empty ? 0 : (Number(lastTicketSnapshot.docs[0].data().ticketNumber) || 0);
+      next = Math.max(start, lastNumber + 1);
+    }
+
+    transaction.set(counterRef, { next: next + 1, updatedAt: new Date() }, { merge: true });
+    return next;
+  });
+
+  return { ticketNumber, ticketDisplayNumber: formatTicketNumber(prefix, ticketNumber) };
+}
+
+/**
+ * Renumbers all existing tickets of a knowledgebase from the configured start number,
+ * keeping their current order (by ticketNumber, then by date), and resets the counter.
+ * This is a one-off backfill, run it while no inbound email is being processed.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - { renumbered, next }
+ */
+async function renumberTickets(uid, selectedCompany = 'default') {
+  const { prefix, start } = await getTicketNumberingConfig(uid, selectedCompany);
+  const ticketsCollection = db.collection(`Users/${uid}/knowledgebases/${selectedCompany}/Helpdesk/default/tickets`);
+  const ticketsSnapshot = await ticketsCollection.get();
+
+  const toTime = (value) => {
+    if (!value) return 0;
+    return value.toDate ? value.toDate().getTime() : new Date(value).getTime() || 0;
+  };
+
+  const tickets = ticketsSnapshot.docs.slice().sort((a, b) => {
+    const numberA = Number(a.data().ticketNumber);
+    const numberB = Number(b.data().ticketNumber);
+    const hasA = Number.isFinite(numberA);
+    const hasB = Number.isFinite(numberB);
+
+    // Tickets without a number go last
+    if (hasA && hasB && numberA !== numberB) return numberA - numberB;
+    if (hasA !== hasB) return hasA ? -1 : 1;
+    return toTime(a.data().date) - toTime(b.data().date);
+  });
+
+  for (let i = 0; i < tickets.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    tickets.slice(i, i + BATCH_SIZE).forEach((ticketDoc, offset) => {
+      const ticketNumber = start + i + offset;
+      batch.update(ticketDoc.ref, {
+        ticketNumber: ticketNumber,
+        ticketDisplayNumber: formatTicketNumber(prefix, ticketNumber)
+      });
+    });
+    await batch.commit();
+    console.log(`Renumbered tickets ${i + 1} to ${Math.min(i + BATCH_SIZE, tickets.length)} of ${tickets.length}`);
+  }
+
+  const next = start + tickets.length;
+  await getTicketCounterRef(ticketsCollection).set({ next: next, updatedAt: new Date() }, { merge: true });
+
+  return { renumbered: tickets.length, next };
+}
+
+module.exports = {
+  getTicketNumberingConfig,
+  formatTicketNumber,
+  allocateTicketNumber,
+  renumberTickets
+};
@@ -0,0 +1,188 @@
+/**
+ * Ticket status helper functions
+ * Tickets move through Open, Pending customer, On hold, Solved and Closed. The enforceTicketStatus trigger
+ * checks every change against TICKET_STATUS_TRANSITIONS, reverts invalid ones and writes each transition to
+ * the ticket's statusHistory subcollection.
+ *
+ * Code that changes a status writes a statusChange marker ({ id, by, reason }) with it, so the history
+ * records who made the change; a change without a new marker comes from an agent in the dashboard.
+ */
+
+const crypto = require('crypto');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const TICKET_STATUSES = ['Open', 'Pending customer', 'On hold', 'Solved', 'Closed'];
+
+// Allowed next statuses per status, Closed is final
+const TICKET_STATUS_TRANSITIONS = {
+  'Open': ['Pending customer', 'On hold', 'Solved', 'Closed'],
+  'Pending customer': ['Open', 'On hold', 'Solved', 'Closed'],
+  'On hold': ['Open', 'Pending customer', 'Solved', 'Closed'],
+  'Solved': ['Open', 'Closed'],
+  'Closed': []
+};
+
+// Statuses a customer reply moves back to Open
+const REOPEN_ON_CUSTOMER_REPLY_STATUSES = ['Pending customer', 'Solved'];
+
+// Statuses that are closed automatically after a while, by their knowledgebase setting
+const AUTO_CLOSE_SETTINGS = {
+  'Pending customer': 'autoClosePendingDays',
+  'Solved': 'autoCloseSolvedDays'
+};
+
+const DEFAULT_LIFECYCLE_SETTINGS = {
+  autoClosePendingDays: 14,
+  autoCloseSolvedDays: 7
+};
+
+/**
+ * Status of a ticket, tickets from before the lifecycle have none and count as Open
+ * @param {Object} ticketData - The ticket document data
+ * @returns {string} - The status
+ */
+function getTicketStatus(ticketData) {
+  return (ticketData && ticketData.status) || 'Open';
+}
+
+/**
+ * Whether a ticket may move from one status to another
+ * @param {string} from - The current status
+ * @param {string} to - The new status
+ * @returns {boolean} - True if the transition is allowed
+ */
+function isValidStatusTransition(from, to) {
+  return TICKET_STATUSES.includes(to) && (TICKET_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Gets the lifecycle settings of a knowledgebase
+ * Stored as ticketLifecycle: { autoClosePendingDays, autoCloseSolvedDays } on the knowledgebase document,
+ * 0 turns auto-close off for that status.
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company (default: 'default')
+ * @returns {Promise<Object>} - The settings with defaults applied
+ */
+async function getLifecycleSettings(uid, selectedCompany = 'default') {
+  let ticketLifecycle = {};
+
+  try {
+    const doc = await db.doc(`Users/${uid}/knowledgebases/${selectedCompany}`).get();
+    ticketLifecycle = (doc.exists && doc.data().ticketLifecycle) || {};
+  } catch (error) {
+    console.error('Error getting ticket lifecycle settings:', error);
+  }
+
+  const days = (value, fallback) => (value != null && value !== '' && Number(value) >= 0 ? Number(value) : fallback);
+
+  return {
+    autoClosePendingDays: days(ticketLifecycle.autoClosePendingDays, DEFAULT_LIFECYCLE_SETTINGS.autoClosePendingDays),
+    autoCloseSolvedDays: days(ticketLifecycle.autoCloseSolvedDays, DEFAULT_LIFECYCLE_SETTINGS.autoCloseSolvedDays),
+  };
+}
+
+/**
+ * When a ticket that just moved to a status should be closed automatically
+ * @param {string} status - The new status
+ * @param {Object} settings - The lifecycle settings (see getLifecycleSettings)
+ * @param {Date} changedAt - When the status changed
+ * @returns {Date|null} - The auto-close time, or null if the status is not closed automatically
+ */
+function getAutoCloseAt(status, settings, changedAt) {
+  const days = AUTO_CLOSE_SETTINGS[status] ? settings[AUTO_CLOSE_SETTINGS[status]] : 0;
+  return days > 0 ? new Date(changedAt.getTime() + days * 24 * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Builds a statusChange marker for a status update
+ * @param {string} by - Who changes the status: 'customer', 'system' or 'agent'
+ * @param {string} reason - Why, e.g. 'customerReply' or 'autoClose'
+ * @returns {Object} - { id, by, reason }
+ */
+function buildStatusChange(by, reason) {
+  return { id: crypto.randomUUID(), by, reason };
+}
+
+/**
+ * Moves a ticket to a new status if it is currently in one of the given statuses
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {string} to - The new status
+ * @param {Object} options - The change
+ * @param {Array<string>} options.fromStatuses - Only change tickets in these statuses (optional, default: any valid transition)
+ * @param {string} options.by - Who changes the status
+ * @param {string} options.reason - Why the status changes
+ * @param {Function} options.check - Extra condition on the ticket data, checked in the transaction (optional)
+ * @returns {Promise<Object>} - { changed, from, to }
+ */
+async function transitionTicketStatus(ticketRef, to, { fromStatuses = null, by, reason, check = null }) {
+  return await db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    if (!ticketDoc.exists) {
+      return { changed: false, from: null, to };
+    }
+
+    const from = getTicketStatus(ticketDoc.data());
+    if ((fromStatuses && !fromStatuses.includes(from)) || !isValidStatusTransition(from, to) || (check && !check(ticketDoc.data()))) {
+      return { changed: false, from, to };
+    }
+
+    transaction.update(ticketRef, { status: to, statusChange: buildStatusChange(by, reason) });
+    return { changed: true, from, to };
+  });
+}
+
+/**
+ * Reopens a ticket the customer replied to while it was waiting on them or solved
+ * Automated replies (out of office, ...) and spam leave the status alone.
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {Object} messageData - The customer's message
+ * @returns {Promise<Object>} - { changed, from, to }
+ */
+async function reopenTicketOnCustomerReply(ticketRef, messageData) {
+  if (messageData.isAutomated || messageData.isSpam) {
+    return { changed: false, from: null, to: 'Open' };
+  }
+
+  const result = await transitionTicketStatus(ticketRef, 'Open', {
+    fromStatuses: REOPEN_ON_CUSTOMER_REPLY_STATUSES,
+    by: 'customer',
+    reason: 'customerReply'
+  });
+
+  if (result.changed) {
+    console.log(`Ticket ${ticketRef.id} reopened by a customer reply (was ${result.from})`);
+  }
+  return result;
+}
+
+/**
+ * Adds an entry to the status history of a ticket
+ * @param {FirebaseFirestore.DocumentReference} ticketRef - The ticket document reference
+ * @param {Object} entry - { from, to, by, reason, rejected }
+ * @returns {Promise<void>}
+ */
+async function recordStatusHistory(ticketRef, entry) {
+  await ticketRef.collection('statusHistory').add({
+    from: entry.from,
+    to: entry.to,
+    by: entry.by || 'agent',
+    reason: entry.reason || null,
+    rejected: entry.rejected === true,
+    at: FieldValue.serverTimestamp(),
+  });
+}
+
+module.exports = {
+  TICKET_STATUSES,
+  TICKET_STATUS_TRANSITIONS,
+  getTicketStatus,
+  isValidStatusTransition,
+  getLifecycleSettings,
+  getAutoCloseAt,
+  buildStatusChange,
+  transitionTicketStatus,
+  reopenTicketOnCustomerReply,
+  recordStatusHistory
+};
@@ -0,0 +1,46 @@
+/**
+ * Index Message IDs
+ * Firestore trigger that records every new message in the message-id index (messageId -> ticketId)
+ * Inbound messages are already indexed by makeContact, this covers messages written elsewhere,
+ * such as the outbound and AI emails stored by the inbox send API, so replies to them can be threaded
+ */
+
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { indexMessageId } = require('./helpers/ticketHelpers');
+
+/**
+ * Firestore trigger that listens for new messages in tickets
+ */
+exports.indexMessageIds = onDocumentCreated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}/messages/{messagesId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping indexMessageIds');
+      return;
+    }
+
+    const snapshot = event.data;
+    if (!snapshot) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId, messagesId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const messageData = snapshot.data();
+
+    if (!messageData || !messageData.messageId) {
+      console.log('Message has no messageId, nothing to index');
+      return;
+    }
+
+    const ticketsCollection = db.collection(`Users/${uid}/knowledgebases/${companyId}/Helpdesk/default/tickets`);
+    await indexMessageId(ticketsCollection, messageData.messageId, ticketId, messagesId);
+  }
+);
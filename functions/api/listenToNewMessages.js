@@ -5,252 +5,23 @@
 
 const { onDocumentCreated } = require('firebase-functions/v2/firestore');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
-const admin = require('firebase-admin');
 const axios = require('axios');
 
 const db = getFirestore();
 
 // Import constants and helpers
-const { BASE_URL, ENDPOINTS } = require('./constants');
+const { BASE_URL } = require('./constants');
 const { getCompanyName, getUserData, removeAfterAt } = require('./helpers/userHelpers');
 const { getConversationHistory } = require('./helpers/ticketHelpers');
 const { runActionTriggers } = require('./helpers/actionTriggerHelper');
-
-/**
- * Calls the employee respond API to get AI response
- * @param {string} uid - User UID
- * @param {string} companyId - Company ID
- * @param {Array} messages - Array of messages with role and content
- * @param {Object} context - Optional context object with ticketId, sessionId, etc.
- * @returns {Promise<Object>} - Response from the API
- */
-async function getAIResponse(uid, companyId, messages, context = {}) {
-  try {
-    const url = `${BASE_URL}${ENDPOINTS.EMPLOYEE_RESPOND}`;
-    
-    const requestBody = {
-      uid,
-      companyId,
-      employee: 'charlie',
-      messages,
-      temperature: 0.7,
-    };
-
-    // Add context if provided (includes ticketId, sessionId, etc.)
-    if (context && Object.keys(context).length > 0) {
-      requestBody.context = context;
-    }
-    
-    const response = await axios.post(url, requestBody, {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      timeout: 60000, // 60 second timeout
-    });
-
-    if (response.data && response.data.success && response.data.data) {
-      return response.data.data;
-    } else {
-      throw new Error('Invalid response from employee API');
-    }
-  } catch (error) {
-    console.error('Error calling employee respond API:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
-    }
-    throw error;
-  }
-}
-
-/**
- * Sends push notification to user's devices via FCM
- * @param {string} uid - User UID
- * @param {string} title - Notification title
- * @param {string} body - Notification body
- * @param {Object} data - Additional data payload
- * @returns {Promise<Object>} - Result object with success status and counts
- */
-async function sendNotificationToUser(uid, title, body, data = {}) {
-  try {
-    // Get all tokens for the user
-    const tokensSnapshot = await db
-      .collection('Users')
-      .doc(uid)
-      .collection('tokens')
-      .get();
-
-    if (tokensSnapshot.empty) {
-      console.log(`No FCM tokens found for user: ${uid}`);
-      return { success: false, message: 'No tokens found' };
-    }
-
-    // Extract tokens
-    const registrationTokens = [];
-    tokensSnapshot.forEach(doc => {
-      const tokenData = doc.data();
-      if (tokenData.fcmToken) {
-        registrationTokens.push(tokenData.fcmToken);
-      }
-    });
-
-    if (registrationTokens.length === 0) {
-      console.log(`No valid FCM tokens found for user: ${uid}`);
-      return { success: false, message: 'No valid tokens found' };
-    }
-
-    // For safety, limit to 500 tokens per batch (FCM limit)
-    if (registrationTokens.length > 500) {
-      registrationTokens.length = 500;
-    }
-
-    console.log(`Attempting to send notification to ${registrationTokens.length} devices for user ${uid}`);
-
-    // Create a safe copy of the data object to avoid reserved FCM keywords
-    const safeData = { ...data };
-
-    // Rename any reserved FCM keywords
-    const reservedKeys = ['from', 'notification', 'android', 'webpush', 'apns', 'fcm_options'];
-    for (const key of reservedKeys) {
-      if (key in safeData) {
-        safeData[`custom_${key}`] = safeData[key];
-        delete safeData[key];
-      }
-    }
-
-    try {
-      // Create the message exactly as in the Firebase documentation
-      const message = {
-        notification: {
-          title: title,
-          body: body
-        },
-        data: {
-          ...safeData,
-          title: title,
-          body: body,
-          click_action: 'FLUTTER_NOTIFICATION_CLICK'
-        },
-        tokens: registrationTokens
-      };
-
-      // Log the message structure for debugging (excluding tokens for security)
-      console.log('FCM message structure:', {
-        notification: message.notification,
-        data: message.data,
-        tokensCount: registrationTokens.length
-      });
-
-      // Send the multicast message as shown in the docs
-      const response = await admin.messaging().sendMulticast(message);
-
-      console.log(`Successfully sent ${response.successCount} messages out of ${registrationTokens.length}`);
-
-      if (response.failureCount > 0) {
-        const failedTokens = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            failedTokens.push({
-              token: registrationTokens[idx].substring(0, 10) + '...',
-              error: resp.error ? resp.error.message : 'Unknown error'
-            });
-          }
-        });
-        console.log('Failed tokens:', JSON.stringify(failedTokens));
-      }
-
-      return {
-        success: true,
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-        responses: response.responses
-      };
-    } catch (messagingError) {
-      console.error('Error sending FCM multicast:', messagingError);
-
-      // Try sending messages one by one
-      console.log('Falling back to individual message sending...');
-      let successCount = 0;
-
-      for (const token of registrationTokens) {
-        try {
-          const individualMessage = {
-            notification: {
-              title: title,
-              body: body
-            },
-            data: {
-              ...safeData,
-              title: title,
-              body: body,
-              click_action: 'FLUTTER_NOTIFICATION_CLICK'
-            },
-            token: token // For individual messages, use 'token' instead of 'tokens'
-          };
-
-          await admin.messaging().send(individualMessage);
-          successCount++;
-        } catch (individualError) {
-          console.log(`Failed to send to token: ${token.substring(0, 10)}...`, individualError.message);
-        }
-      }
-
-      console.log(`Individual sending results: ${successCount} successes out of ${registrationTokens.length}`);
-
-      if (successCount > 0) {
-        return {
-          success: true,
-          successCount: successCount,
-          failureCount: registrationTokens.length - successCount,
-          responses: []
-        };
-      } else {
-        return {
-          success: false,
-          error: 'All individual message sends failed',
-          originalError: messagingError.message
-        };
-      }
-    }
-  } catch (error) {
-    console.error('Error in notification process:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-}
-
-/**
- * Sends an email using the inbox emails send API
- * @param {Object} emailData - Email data to send
- * @returns {Promise<Object>} - Response from the API
- */
-async function sendEmail(emailData) {
-  try {
-    const url = `${BASE_URL}${ENDPOINTS.INBOX_EMAILS_SEND}`;
-    
-    const response = await axios.post(url, emailData, {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      timeout: 30000, // 30 second timeout
-    });
-
-    if (response.data && response.data.status === 1) {
-      return response.data;
-    } else {
-      throw new Error(response.data?.message || 'Failed to send email');
-    }
-  } catch (error) {
-    console.error('Error calling inbox emails send API:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
-    }
-    throw error;
-  }
-}
+const { checkAutoReply } = require('./helpers/autoReplyHelpers');
+const { enqueueEmail } = require('./helpers/outboxHelpers');
+const { getSenderAddress } = require('./helpers/senderDomainHelpers');
+const { sendNotificationToUser } = require('./helpers/notificationHelpers');
+const { getAIResponse } = require('./helpers/employeeHelpers');
+const { getNotificationUid } = require('./helpers/routingHelpers');
+const { getContactContext } = require('./helpers/contactHelpers');
+const { escapeHtml } = require('./helpers/emailTemplates');
 
 /**
  * Firestore trigger that listens for new messages in tickets
@@ -295,7 +66,7 @@ exports.listenToNewMessages = onDocumentCreated(
         return;
       }
 
-      // --- Push notification to the owner for new inbound (Receiver) messages
+      // --- Push notification to the assignee (or the owner if unassigned) for new inbound (Receiver) messages
       if (ticketData && messageData) {
         try {
           if (messageData.type && messageData.type.includes('Receiver')) {
@@ -310,12 +81,14 @@ exports.listenToNewMessages = onDocumentCreated(
               messageId: messagesId,
               sender_email: messageData.from || '',
               subject: ticketData.subject || '',
+              ownerUid: uid,
               timestamp: Date.now().toString(),
             };
 
-            const notificationResult = await sendNotificationToUser(uid, notificationTitle, notificationBody, notificationData);
+            const notifiedUid = getNotificationUid(uid, ticketData);
+            const notificationResult = await sendNotificationToUser(notifiedUid, notificationTitle, notificationBody, notificationData);
             if (notificationResult.success) {
-              console.log(`Successfully sent notifications to ${notificationResult.successCount} devices for user ${uid}`);
+              console.log(`Successfully sent notifications to ${notificationResult.successCount} devices for user ${notifiedUid}`);
             } else {
               console.log(`Failed to send notifications: ${notificationResult.error || 'Unknown error'}`);
             }
@@ -328,6 +101,12 @@ exports.listenToNewMessages = onDocumentCreated(
         }
       }
 
+      // Spam never reaches the AI or the action triggers
+      if (ticketData.isSpam || messageData.isSpam) {
+        console.log('Ticket or message flagged as spam - skipping AI and actions', { spamScore: messageData.spamScore, spamReasons: messageData.spamReasons });
+        return;
+      }
+
       // Feature flags: org-level and ticket-level
       const aiMessagesOn = knowledgebaseData.aiMessagesOn || false;
       const aiSuggestionsOn = knowledgebaseData.aiSuggestionsOn || false;
@@ -447,15 +226,17 @@ exports.listenToNewMessages = onDocumentCreated(
 
       console.log(`Processing ${conversationHistory.length} messages for legacy AI response`);
 
-      // Get customer info from ticket data
+      // Get customer info from the contact, falling back to the ticket's sender
       const customerEmail = ticketData.from || '';
-      const customerName = removeAfterAt(customerEmail); // Extract name from email if available
+      const contactContext = await getContactContext(uid, companyId, ticketData.contactId, ticketId);
+      const customerName = (contactContext && contactContext.customer.name) || removeAfterAt(customerEmail);
       
-      // Build context with ticket_id and customer info
+      // Build context with ticket_id, customer info and the customer's recent tickets
       const context = {
         ticketId: ticketId,
         customerEmail: customerEmail,
         customerName: customerName,
+        ...(contactContext ? { customer: contactContext.customer, recentTickets: contactContext.recentTickets } : {}),
       };
 
       // Get AI response from the employee respond API
@@ -480,31 +261,54 @@ exports.listenToNewMessages = onDocumentCreated(
         // Auto Response is on - send the email
         console.log('Auto Response is on - sending email');
 
+        const autoReply = await checkAutoReply({ uid, selectedCompany: companyId, ticketRef, messageData, type: 'aiReply' });
+        if (!autoReply.allowed) {
+          // Keep the answer for the agent instead of emailing it
+          await ticketRef.update({
+            lastAISuggestion: aiResponse,
+            lastAISuggestionTimestamp: FieldValue.serverTimestamp(),
+          });
+          console.log('AI email suppressed, stored as suggestion:', autoReply.reason);
+          return;
+        }
+
         const subdomain = knowledgebaseData.subdomain || 'aiknowledgedesk';
-        const fromEmail = `${subdomain}@ourkd.help`;
+        // The knowledgebase's own address once its domain is verified (DKIM signed by emailService), <subdomain>@ourkd.help otherwise
+        const sender = await getSenderAddress(uid, companyId, subdomain);
+        const subject = /^re:/i.test(ticketData.subject || '') ? ticketData.subject : `Re: ${ticketData.subject || ''}`;
+        const references = [messageData.references, messageData.messageId].filter((value) => value && value !== 'N/A').join(' ');
 
-        try {
-          const emailResult = await sendEmail({
-            uid,
-            selectedCompany: companyId,
-            ticketId,
+        // Queued, the outbox retries it if the transport fails and stores it on the ticket once sent (see outboxHelpers)
+        const emailResult = await enqueueEmail({
+          uid,
+          selectedCompany: companyId,
+          ticketId,
+          type: 'aiReply',
+          channel: 'mail',
+          mail: {
+            from: sender.from,
+            ...(sender.replyTo ? { replyTo: sender.replyTo } : {}),
             to: ticketData.from,
-            subject: ticketData.subject,
-            message: aiResponse,
-            replyToId: messageData.messageId || '',
-            references: messageData.references || '',
-            fileUrls: [],
-          });
+            subject: subject,
+            text: aiResponse,
+            ...(messageData.messageId && messageData.messageId !== 'N/A' ? { inReplyTo: messageData.messageId } : {}),
+            ...(references ? { references } : {}),
+          },
+          ticketMessage: {
+            from: sender.from,
+            to: ticketData.from,
+            subject: subject,
+            body: aiResponse,
+            html: escapeHtml(aiResponse).replace(/\n/g, '<br>'),
+            uid: uid,
+            type: 'AI',
+          },
+        });
 
-          if (emailResult && emailResult.messageId) {
-            console.log('AI email sent successfully:', emailResult.messageId);
-            // Note: The email API already adds the message to Firestore and updates the ticket
-            console.log('AI response stored in conversation history');
-          } else {
-            console.log("Unfortunately, the AI email wasn't sent.");
-          }
-        } catch (error) {
-          console.error('Error sending AI email:', error);
+        if (emailResult.status === 1) {
+          console.log('AI email queued:', emailResult.emailId);
+        } else {
+          console.log("Unfortunately, the AI email wasn't queued.", emailResult.message);
         }
       } else if (aiSuggestionsOn) {
         // Only suggestions are on - store as suggestion
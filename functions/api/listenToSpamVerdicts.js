@@ -0,0 +1,45 @@
+/**
+ * Listen to Spam Verdicts
+ * Firestore trigger that learns from agents: when a ticket flagged as spam is marked
+ * "not spam" (isSpam set to false), its sender is added to the knowledgebase allowlist
+ */
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+
+const { addSenderToAllowlist } = require('./helpers/spamHelpers');
+
+/**
+ * Firestore trigger that listens for ticket updates
+ */
+exports.listenToSpamVerdicts = onDocumentUpdated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping listenToSpamVerdicts');
+      return;
+    }
+
+    if (!event.data) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const before = event.data.before.data() || {};
+    const after = event.data.after.data() || {};
+
+    if (before.isSpam !== true || after.isSpam !== false || !after.from) {
+      return;
+    }
+
+    try {
+      await addSenderToAllowlist(uid, companyId, after.from);
+      console.log(`Ticket ${ticketId} marked as not spam, allowlisted sender: ${after.from}`);
+    } catch (error) {
+      console.error('Error updating spam allowlist:', error);
+    }
+  }
+);
@@ -9,11 +9,27 @@ const { getFirestore } = require('firebase-admin/firestore');
 const db = getFirestore();
 
 // Import helper functions
-const { extractTopLevelMessage, removeEmailQuotes, offloadInlineImages } = require('./helpers/emailHelpers');
+const { extractTopLevelMessage, removeEmailQuotes } = require('./helpers/emailHelpers');
 const { getUidWithTo, getCompanyName, getSubdomain } = require('./helpers/userHelpers');
-const { addMessageToInReplyToTicket } = require('./helpers/ticketHelpers');
-const { getNewTicketConfirmationHTML } = require('./helpers/emailTemplates');
-const { sendNewTicketConfirmation } = require('./helpers/emailService');
+const { addMessageToInReplyToTicket, indexMessageId, findTicketForReply, hasReplyReference } = require('./helpers/ticketHelpers');
+const { getNewTicketConfirmationEmail, htmlToPlainText } = require('./helpers/emailTemplates');
+const { queueNewTicketConfirmation } = require('./helpers/outboxHelpers');
+const { getSenderAddress } = require('./helpers/senderDomainHelpers');
+const { allocateTicketNumber } = require('./helpers/ticketNumberHelpers');
+const { getOrphanReplyPolicy, attachToRecentTicket, parkUnmatchedReply } = require('./helpers/orphanReplyHelpers');
+const { parseRawEmail } = require('./helpers/mimeHelpers');
+const { isNotAvailable, orNotAvailable, validateMakeContactRequest } = require('./helpers/requestValidation');
+const { getSpamFilterSettings, scoreInboundEmail } = require('./helpers/spamHelpers');
+const { detectBounce, recordBounce } = require('./helpers/bounceHelpers');
+const { detectAutomatedEmail, checkAutoReply } = require('./helpers/autoReplyHelpers');
+const { authorizeMakeContactRequest } = require('./helpers/requestAuthHelpers');
+const { getInboundDedupeKey, claimInboundEmail, recordInboundWrite, completeInboundEmail, releaseInboundEmail, getDuplicateResult } = require('./helpers/dedupeHelpers');
+const { getHtmlSanitizerSettings, buildCidMap, sanitizeEmailHtml, hasRemovals } = require('./helpers/htmlSanitizer');
+const { storeMessageAttachments } = require('./helpers/attachmentService');
+const { getLocalizationSettings, resolveCustomerLanguage } = require('./helpers/localeHelpers');
+const { getNewTicketSlaFields } = require('./helpers/slaHelpers');
+const { routeTicket } = require('./helpers/routingHelpers');
+const { parseSender, upsertContact, recordContactTicket } = require('./helpers/contactHelpers');
 
 /**
  * Main function to process contact emails and create/update tickets
@@ -27,15 +43,29 @@ const { sendNewTicketConfirmation } = require('./helpers/emailService');
  * @param {string} references - The references header
  * @param {string} uid - The user UID (optional, will be looked up if not provided)
  * @param {string} html - The HTML content
- * @param {Array} downloadURLs - Array of attachment download URLs
+ * @param {Array} downloadURLs - The attachments: download URLs, { url, fileName, mimeType, contentId } objects
+ * or parsed MIME attachments with a content buffer; all are stored through the attachment service
  * @param {string} selectedCompany - The selected company (default: 'default')
  * @param {boolean} isSpam - Whether the email is from spam folder (default: false)
- * @returns {Promise<Object>} - Status object with success/failure information
+ * @param {Object} options - Additional inbound data (optional)
+ * @param {Object} options.headers - The original email headers, lowercase keys
+ * @param {number} options.relaySpamScore - The spam score computed by the relay
+ * @param {string} options.deliveryReport - The delivery status parts of a bounce (see parseRawEmail)
+ * @param {string} options.fromName - The decoded sender display name of a raw email, for the contact (see contactHelpers)
+ * @returns {Promise<Object>} - Status object with success/failure information,
+ * replays of an already processed email return the original ids with duplicate: true
  */
-async function makeContact2(from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany = 'default', isSpam = false) {
+async function makeContact2(from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany = 'default', isSpam = false, options = {}) {
+
+  // Missing values are normalized to the "N/A" sentinel once, here
+  body = orNotAvailable(body);
+  html = orNotAvailable(html);
+  messageId = orNotAvailable(messageId);
+  inReplyTo = orNotAvailable(inReplyTo);
+  references = orNotAvailable(references);
 
   //lets get the uid
-  if(uid == "" || uid == null || uid == 'N/A'){
+  if (isNotAvailable(uid)) {
       uid = await getUidWithTo(to, selectedCompany);
       console.log('Directed User uid:', uid);
   }
@@ -45,22 +75,71 @@ async function makeContact2(from, to, subject, date, body, messageId, inReplyTo,
     return { "status": 0, "message": "Uid not found" };
   }
 
-  if (body != 'N/A' && body != '') {
-    body = await extractTopLevelMessage(body);
+  //set the contact
+  const ticketsCollection = db.collection('Users').doc(uid).collection('knowledgebases').doc(selectedCompany).collection('Helpdesk').doc('default').collection('tickets');
+  //await docRef.set({email: from});
+
+  // Relays retry webhooks, only the first delivery of an email is processed
+  const dedupeKey = getInboundDedupeKey({ from, date, subject, body, messageId });
+  const claim = await claimInboundEmail(ticketsCollection, dedupeKey);
+  if (!claim.claimed) {
+    console.log('Duplicate email, skipping:', dedupeKey);
+    return getDuplicateResult(claim.data);
   }
 
-  console.log('----new body ' + body);
-  if (html == "N/A") {
-    html = body;
+  // What was written is recorded on the claim right away: once the email is stored, a failure later on
+  // (confirmation, indexing, ...) completes the claim instead of releasing it, so the retry is a duplicate
+  const stored = {};
+  const onStored = async (ids) => {
+    Object.assign(stored, ids);
+    await recordInboundWrite(claim.ref, ids);
+  };
+
+  let result;
+  try {
+    result = await processContactEmail(ticketsCollection, from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany, isSpam, { ...options, onStored });
+  } catch (error) {
+    if (Object.keys(stored).length > 0) {
+      await completeInboundEmail(claim.ref, stored);
+    } else {
+      await releaseInboundEmail(claim.ref);
+    }
+    throw error;
+  }
+
+  if (result.ticketId || result.unmatchedId || result.bounceId) {
+    await completeInboundEmail(claim.ref, result);
   } else {
-    html = await removeEmailQuotes(html);
+    await releaseInboundEmail(claim.ref);
   }
 
-  const { html: sanitizedHtml, attachments: inlineAttachments } = await offloadInlineImages(html, uid);
-  html = sanitizedHtml;
+  return result;
 
-  const normalizedDownloadURLs = Array.isArray(downloadURLs) ? downloadURLs : [];
-  const mergedAttachments = [...normalizedDownloadURLs, ...inlineAttachments];
+}
+
+/**
+ * Stores a claimed inbound email on a new or existing ticket
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {string} from - The sender's email address
+ * @param {string} to - The recipient's email address
+ * @param {string} subject - The email subject
+ * @param {Date} date - The email date
+ * @param {string} body - The email body
+ * @param {string} messageId - The message ID
+ * @param {string} inReplyTo - The in-reply-to header
+ * @param {string} references - The references header
+ * @param {string} uid - The user UID
+ * @param {string} html - The HTML content
+ * @param {Array} downloadURLs - The attachments (see makeContact2)
+ * @param {string} selectedCompany - The selected company
+ * @param {boolean} isSpam - Whether the email is from spam folder
+ * @param {Object} options - Additional inbound data (headers, relaySpamScore, deliveryReport, fromName) and
+ * onStored, called with the ids of what was written as soon as it is
+ * @returns {Promise<Object>} - Status object with the ticket/message ids that were written
+ */
+async function processContactEmail(ticketsCollection, from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany, isSpam, options = {}) {
+  const headers = options.headers || {};
+  const onStored = options.onStored || (async () => {});
 
   console.log("date before");
   console.log(date);
@@ -74,85 +153,306 @@ async function makeContact2(from, to, subject, date, body, messageId, inReplyTo,
   console.log("Date after ");
   console.log(date);
 
-  const messageData = { from: from, to: to, subject: subject, date: date, body: body, messageId: messageId, inReplyTo: inReplyTo, references: references, html: html, uid: uid, type: "humanReceiver", attachments: mergedAttachments, isSpam: isSpam };
+  // Bounces of our own emails are linked to the original ticket instead of opening a new one
+  const bounce = detectBounce({ from, subject, headers, body, deliveryReport: options.deliveryReport });
+  if (bounce) {
+    console.log('Delivery status notification detected:', bounce);
+    const sanitizedBounce = await sanitizeInboundHtml(html, [], uid, selectedCompany);
+    const bounceMessageData = { from: from, to: to, subject: subject, date: date, body: body, messageId: messageId, inReplyTo: inReplyTo, references: references, html: sanitizedBounce.html, uid: uid, htmlSanitization: sanitizedBounce.htmlSanitization };
+    const match = await findTicketForReply(ticketsCollection, bounce.originalMessageId || inReplyTo, [inReplyTo, references].filter((value) => !isNotAvailable(value)).join(' '), subject, from);
+    return await recordBounce(ticketsCollection, uid, selectedCompany, bounce, bounceMessageData, match ? match.ticketId : null, onStored);
+  }
 
-  //set the contact
-  const ticketsCollection = db.collection('Users').doc(uid).collection('knowledgebases').doc(selectedCompany).collection('Helpdesk').doc('default').collection('tickets');
-  //await docRef.set({email: from});
+  // Score the email before quotes are stripped, so the heuristics see what the sender sent
+  const spamSettings = await getSpamFilterSettings(uid, selectedCompany);
+  const spamVerdict = scoreInboundEmail({ from, subject, body, html, headers, isSpam, relaySpamScore: options.relaySpamScore }, spamSettings);
+  console.log('Spam verdict:', spamVerdict);
+
+  // Auto-responders, mailing lists and daemons get no automatic replies (mail loop protection)
+  const automated = detectAutomatedEmail({ from, headers });
+  if (automated.isAutomated) {
+    console.log('Automated email detected:', automated.reasons);
+  }
+
+  if (!isNotAvailable(body)) {
+    body = await extractTopLevelMessage(body);
+  }
 
-  //lets create a new ticket if inReplyTo == N/A
-  if (inReplyTo == 'N/A') {
+  console.log('----new body ' + body);
+  if (isNotAvailable(html)) {
+    html = body;
+  } else {
+    html = await removeEmailQuotes(html);
+  }
+
+  // Size limits, type policy, dedupe and malware scan for files and inline images alike
+  const storedAttachments = await storeMessageAttachments({ html, attachments: downloadURLs, uid, selectedCompany });
+  html = storedAttachments.html;
+
+  const sanitized = await sanitizeInboundHtml(html, storedAttachments.attachments, uid, selectedCompany);
+  html = sanitized.html;
+
+  // The language the customer is answered in, detected from the message or the knowledgebase default
+  const localization = await getLocalizationSettings(uid, selectedCompany);
+  const language = resolveCustomerLanguage({ subject, body: isNotAvailable(body) ? htmlToPlainText(html) : body, headers }, localization);
+
+  // The sender's contact record, spam does not get one
+  const sender = parseSender(from, options.fromName);
+  const contactId = spamVerdict.isSpam ? null : await upsertContact(uid, selectedCompany, sender);
+
+  const messageData = { from: from, to: to, subject: subject, date: date, body: body, messageId: messageId, inReplyTo: inReplyTo, references: references, html: html, uid: uid, type: "humanReceiver", attachments: storedAttachments.attachments, rejectedAttachments: storedAttachments.rejectedAttachments, isSpam: spamVerdict.isSpam, spamScore: spamVerdict.spamScore, spamReasons: spamVerdict.spamReasons, isAutomated: automated.isAutomated, automatedReasons: automated.reasons, htmlSanitization: sanitized.htmlSanitization, language: language, contactId: contactId, fromName: sender.name };
+
+  //lets create a new ticket if nothing points at an existing one (In-Reply-To, References or a [#123] subject token)
+  if (!hasReplyReference(inReplyTo, references, subject)) {
     console.log("First message - Means New Ticket");
-    //add ticket document
+    return await createNewTicket(ticketsCollection, messageData, uid, selectedCompany, {}, onStored);
+  }
 
-    // Get the current count of documents in the 'tickets' collection
-    const ticketsSnapshot = await ticketsCollection.get();
-    const ticketNumber = ticketsSnapshot.size + 1;
+  //this email must belong to a ticket so lets look for it!
+  const replyResult = await addMessageToInReplyToTicket(ticketsCollection, inReplyTo, messageData, body, date, onStored);
+  if (replyResult.status == 1) {
+    return replyResult;
+  }
 
-    // Add the new ticket with the ticket number (no more thread creation)
-    const newTicketRef = await ticketsCollection.add({
-      from: from,
-      to: to,
-      date: date,
-      subject: subject,
-      lastMessage: body,
-      lastMessageDate: date,
-      status: "Open",
-      read: false,
-      ticketNumber: ticketNumber, // Set the ticket number here
-      isSpam: isSpam, // Flag if this ticket is from spam folder
-    });
+  return await handleOrphanReply(ticketsCollection, messageData, uid, selectedCompany, onStored);
 
-    console.log('Ticket Created');
+}
 
-    // Get the ID of the newly created document
-    const newTicketId = newTicketRef.id;
+/**
+ * Sanitizes the HTML of an inbound email before it is stored (see htmlSanitizer)
+ * @param {string} html - The HTML content
+ * @param {Array} attachments - The stored attachments, used to resolve cid: links
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @returns {Promise<Object>} - { html, htmlSanitization } where htmlSanitization is what was removed, or null if nothing was
+ */
+async function sanitizeInboundHtml(html, attachments, uid, selectedCompany) {
+  if (isNotAvailable(html)) {
+    return { html, htmlSanitization: null };
+  }
 
-    console.log(`New Ticket ID: ${newTicketId}`);
+  const settings = await getHtmlSanitizerSettings(uid, selectedCompany);
+  const { html: sanitizedHtml, removed } = sanitizeEmailHtml(html, { ...settings, cidMap: buildCidMap(attachments) });
 
-    //add the message to the ticket
-    await ticketsCollection.doc(newTicketId).collection('messages').add(messageData);
+  if (hasRemovals(removed)) {
+    console.log('Sanitized inbound HTML:', JSON.stringify(removed));
+  }
+  return { html: sanitizedHtml, htmlSanitization: hasRemovals(removed) ? removed : null };
+}
 
-    console.log("Message Added");
+/**
+ * Creates a new ticket for a message and sends the ticket confirmation back to the sender
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Object} messageData - The first message of the ticket
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Object} extraTicketFields - Additional fields to store on the ticket (optional)
+ * @param {Function} onStored - Called with the ids of what was written as soon as it is (optional, see makeContact2)
+ * @returns {Promise<Object>} - Status object from queueing the confirmation, with the new ticket/message ids
+ */
+async function createNewTicket(ticketsCollection, messageData, uid, selectedCompany, extraTicketFields = {}, onStored = async () => {}) {
+  const { from, to, subject, date, body, messageId, inReplyTo, references, html, isSpam } = messageData;
+
+  //add ticket document
+
+  // Allocate the ticket number from the knowledgebase counter
+  const { ticketNumber, ticketDisplayNumber } = await allocateTicketNumber(ticketsCollection, uid, selectedCompany);
+
+  // SLA clocks start when the ticket is received, spam is not tracked
+  const slaFields = isSpam ? {} : await getNewTicketSlaFields(uid, selectedCompany, new Date());
+
+  // Assignee from the knowledgebase routing rules, the new message notification then goes to them
+  const assignmentFields = isSpam ? {} : await routeTicket(uid, selectedCompany, ticketsCollection, { from, subject, category: null }, 'created');
+
+  // Add the new ticket with the ticket number (no more thread creation)
+  const newTicketRef = await ticketsCollection.add({
+    from: from,
+    to: to,
+    date: date,
+    subject: subject,
+    lastMessage: body,
+    lastMessageDate: date,
+    status: "Open",
+    read: false,
+    ticketNumber: ticketNumber, // Set the ticket number here
+    ticketDisplayNumber: ticketDisplayNumber, // Ticket number with the knowledgebase prefix, e.g. ACME-1000
+    isSpam: isSpam, // Flag if this ticket is spam (spam folder or scored above the threshold)
+    spamScore: messageData.spamScore,
+    spamReasons: messageData.spamReasons,
+    language: messageData.language || null, // Language the customer is answered in
+    ...slaFields, // First response / resolution targets (see slaHelpers)
+    ...assignmentFields, // assignee / assignment (see routingHelpers)
+    contactId: messageData.contactId || null, // The sender's contact (see contactHelpers)
+    ...extraTicketFields,
+  });
+
+  console.log('Ticket Created');
+
+  // Get the ID of the newly created document
+  const newTicketId = newTicketRef.id;
+
+  console.log(`New Ticket ID: ${newTicketId}`);
+  await onStored({ ticketId: newTicketId });
+
+  await recordContactTicket(uid, selectedCompany, messageData.contactId);
+
+  //add the message to the ticket
+  const newMessageData = messageData.orphanResolution
+    ? { ...messageData, orphanResolution: { ...messageData.orphanResolution, ticketId: newTicketId } }
+    : messageData;
+  const newMessageRef = await ticketsCollection.doc(newTicketId).collection('messages').add(newMessageData);
+  await onStored({ messageDocId: newMessageRef.id });
+  await indexMessageId(ticketsCollection, messageId, newTicketId, newMessageRef.id);
+
+  console.log("Message Added");
+
+  // No confirmation for spam, it would only confirm the address to the spammer
+  if (isSpam) {
+    console.log('Ticket flagged as spam, skipping confirmation');
+    return { status: 1, message: 'Ticket created, flagged as spam', ticketId: newTicketId, messageDocId: newMessageRef.id };
+  }
 
-    // send back ticket confirmation here!
+  const autoReply = await checkAutoReply({ uid, selectedCompany, ticketRef: newTicketRef, messageData, type: 'confirmation' });
+  if (!autoReply.allowed) {
+    return { status: 1, message: `Ticket created, confirmation suppressed: ${autoReply.reason}`, ticketId: newTicketId, messageDocId: newMessageRef.id };
+  }
 
-    //lets get company name and subdomain first
-    const companyname = await getCompanyName(uid, selectedCompany);
-    const subdomain = await getSubdomain(uid, selectedCompany);
+  // send back ticket confirmation here!
+
+  //lets get company name and subdomain first
+  const companyname = await getCompanyName(uid, selectedCompany);
+  const subdomain = await getSubdomain(uid, selectedCompany);
+
+  const confirmation = await getNewTicketConfirmationEmail(uid, selectedCompany, {
+    from,
+    fromName: messageData.fromName,
+    subject,
+    date,
+    ticketNumber: ticketDisplayNumber,
+    companyName: companyname,
+    subdomain,
+    language: messageData.language
+  });
+
+  // The knowledgebase's own address once its domain is verified, <subdomain>@ourkd.help otherwise
+  const sender = await getSenderAddress(uid, selectedCompany, subdomain);
+
+  // Queued, the outbox retries it if the transport fails (see outboxHelpers)
+  const confirmationResult = await queueNewTicketConfirmation(from, confirmation.subject, confirmation.text, confirmation.html, sender.from, messageId, references, { uid, selectedCompany, ticketId: newTicketId }, sender.replyTo);
+
+  // Index the confirmation so that replies and bounces to it find this ticket
+  if (confirmationResult.messageId) {
+    await indexMessageId(ticketsCollection, confirmationResult.messageId, newTicketId);
+    await newTicketRef.set({ confirmationMessageId: confirmationResult.messageId }, { merge: true });
+  }
+  return { ...confirmationResult, ticketId: newTicketId, messageDocId: newMessageRef.id };
+}
 
-    const theHtml = await getNewTicketConfirmationHTML(from, to, subject, date, body, messageId, inReplyTo, references, uid, html, ticketNumber, companyname, subdomain);
+/**
+ * Handles a reply whose In-Reply-To does not match any ticket, according to the
+ * knowledgebase orphanReplyPolicy (see orphanReplyHelpers). The decision is recorded
+ * on the stored message as orphanResolution.
+ * @param {FirebaseFirestore.CollectionReference} ticketsCollection - The tickets collection reference
+ * @param {Object} messageData - The message data of the reply
+ * @param {string} uid - The user UID
+ * @param {string} selectedCompany - The selected company
+ * @param {Function} onStored - Called with the ids of what was written as soon as it is (optional, see makeContact2)
+ * @returns {Promise<Object>} - Status object with success/failure information
+ */
+async function handleOrphanReply(ticketsCollection, messageData, uid, selectedCompany, onStored = async () => {}) {
+  const policy = await getOrphanReplyPolicy(uid, selectedCompany);
+  console.log('Orphan reply, applying policy:', policy.mode);
 
-    return await sendNewTicketConfirmation(from, "Ticket Received", "We received your ticket. Please expect a response in the next 24 hours.", theHtml, subdomain + "@ourkd.help", messageId, references);
+  if (policy.mode == 'unmatched') {
+    return await parkUnmatchedReply(ticketsCollection, messageData);
+  }
 
-  } else {
-    //this email must belong to a ticket so lets look for it!
-    return await addMessageToInReplyToTicket(ticketsCollection, inReplyTo, messageData, body, date);
+  if (policy.mode == 'recentTicket') {
+    const attachResult = await attachToRecentTicket(ticketsCollection, messageData, policy.recentTicketDays, onStored);
+    if (attachResult) {
+      return attachResult;
+    }
+    console.log('No recent open ticket for sender, opening a new ticket instead');
   }
 
+  const orphanMessageData = {
+    ...messageData,
+    orphanResolution: {
+      policy: policy.mode,
+      action: 'newTicket',
+      parentMessageId: messageData.inReplyTo,
+      resolvedAt: new Date()
+    }
+  };
+
+  return await createNewTicket(ticketsCollection, orphanMessageData, uid, selectedCompany, { orphanParentMessageId: messageData.inReplyTo }, onStored);
+}
+
+/**
+ * Returns the raw email source of the request if it was sent in raw MIME mode
+ * Raw mode is either a message/rfc822 body or a JSON body with a `raw` field
+ * (optionally base64 encoded with `rawEncoding: 'base64'`)
+ * @param {Object} req - The HTTP request
+ * @returns {string|Buffer|null} - The raw email source or null for pre-parsed JSON requests
+ */
+function getRawEmail(req) {
+  if (req.is('message/rfc822') && req.rawBody) {
+    return req.rawBody;
+  }
+
+  if (req.body && typeof req.body.raw === 'string' && req.body.raw !== '') {
+    return req.body.rawEncoding === 'base64' ? Buffer.from(req.body.raw, 'base64') : req.body.raw;
+  }
+
+  return null;
 }
 
 /**
  * HTTP endpoint for makeContact
  * Handles incoming POST requests to create or update tickets from emails
+ * Accepts either a pre-parsed JSON body or a raw RFC 5322 email (see getRawEmail)
+ * Requests may be HMAC signed, only signed requests can choose the tenant (see requestAuthHelpers)
+ * Invalid requests get a 400 with a list of { field, code, message } errors
  */
 exports.makeContact = onRequest({ cors: true, invoker: 'public' }, async (req, res) => {
   try {
-    const { from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany = 'default', isSpam = false } = req.body;
+    let fields = req.body || {};
+    let rawAttachments = [];
+    let rawFromName = null;
+    const raw = getRawEmail(req);
+
+    // Options that are not part of a raw email come from the query string or the JSON wrapper
+    const options = raw
+      ? { ...req.query, ...(typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {}) }
+      : fields;
+
+    const auth = authorizeMakeContactRequest(req, { uid: options.uid, selectedCompany: options.selectedCompany });
+    if (!auth.allowed) {
+      console.log('[MAKE CONTACT] Rejected request:', { code: auth.error.code, ip: req.ip, userAgent: req.get('user-agent') || '' });
+      res.status(auth.error.status).send({ status: 0, error: auth.error.code, message: auth.error.message });
+      return;
+    }
 
-    var actualDate = date;
-    if (date == "current") {
-      actualDate = new Date();
-    } else {
-      try {
-        actualDate = new Date(date);
-      } catch (error) {
-        console.log(error);
-        actualDate = new Date();
-      }
+    if (raw) {
+      const { attachments, ...parsed } = await parseRawEmail(raw);
+      rawAttachments = attachments;
+      rawFromName = parsed.fromName;
+      fields = { ...parsed, uid: options.uid, selectedCompany: options.selectedCompany, isSpam: options.isSpam };
+    }
+
+    const validation = validateMakeContactRequest(fields);
+    if (!validation.valid) {
+      console.log('[MAKE CONTACT] Invalid request:', JSON.stringify(validation.errors));
+      res.status(400).send({ status: 0, error: 'validation_failed', message: 'Invalid request', errors: validation.errors });
+      return;
     }
 
-    const result = await makeContact2(from, to, subject, actualDate, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany, isSpam);
+    const { from, to, subject, date, body, messageId, inReplyTo, references, uid, html, selectedCompany, isSpam, headers, spamScore, deliveryReport } = validation.value;
+
+    // Raw emails hand their parsed attachments to makeContact2, which stores them with the inline images
+    const downloadURLs = raw ? rawAttachments : validation.value.downloadURLs;
+
+    const result = await makeContact2(from, to, subject, date, body, messageId, inReplyTo, references, uid, html, downloadURLs, selectedCompany, isSpam, { headers, relaySpamScore: spamScore, deliveryReport, fromName: rawFromName });
     res.status(200).send(result);
   } catch (error) {
     console.error('makeContact error:', error);
@@ -0,0 +1,96 @@
+/**
+ * Merge Unmatched Replies
+ * Firestore trigger that moves a parked orphan reply onto a ticket once an agent picks one
+ * The agent UI merges a reply by setting mergeIntoTicketId on the unmatched document
+ */
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { indexMessageId } = require('./helpers/ticketHelpers');
+const { reopenTicketOnCustomerReply } = require('./helpers/ticketStatusHelpers');
+
+/**
+ * Firestore trigger that listens for updates to unmatched replies
+ */
+exports.mergeUnmatchedReplies = onDocumentUpdated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/unmatched/{unmatchedId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping mergeUnmatchedReplies');
+      return;
+    }
+
+    if (!event.data) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, unmatchedId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const before = event.data.before.data() || {};
+    const after = event.data.after.data() || {};
+
+    if (!after.mergeIntoTicketId || after.mergeIntoTicketId === before.mergeIntoTicketId || after.status !== 'pending') {
+      return;
+    }
+
+    const ticketId = after.mergeIntoTicketId;
+    const ticketsCollection = db.collection(`Users/${uid}/knowledgebases/${companyId}/Helpdesk/default/tickets`);
+    const ticketRef = ticketsCollection.doc(ticketId);
+    const unmatchedRef = event.data.after.ref;
+
+    try {
+      // Triggers can be delivered more than once: the reply is marked merged in the same transaction that
+      // moves it, and a reply that is no longer pending is left alone
+      const merged = await db.runTransaction(async (transaction) => {
+        const unmatchedDoc = await transaction.get(unmatchedRef);
+        const unmatched = unmatchedDoc.exists ? unmatchedDoc.data() : {};
+        if (unmatched.status !== 'pending' || unmatched.mergeIntoTicketId !== ticketId) {
+          return { skipped: true };
+        }
+
+        const ticketDoc = await transaction.get(ticketRef);
+        if (!ticketDoc.exists) {
+          transaction.update(unmatchedRef, { status: 'error', error: 'Ticket not found' });
+          return { error: 'Ticket not found' };
+        }
+
+        const { mergeIntoTicketId, status, ...messageData } = unmatched;
+        messageData.orphanResolution = {
+          ...(messageData.orphanResolution || {}),
+          action: 'merged',
+          ticketId: ticketId,
+          unmatchedId: unmatchedId,
+          mergedAt: new Date()
+        };
+
+        const messageRef = ticketRef.collection('messages').doc();
+        transaction.set(messageRef, messageData);
+        transaction.set(ticketRef, { lastMessage: messageData.body, lastMessageDate: messageData.date, read: false }, { merge: true });
+        transaction.update(unmatchedRef, { status: 'merged', mergedAt: new Date(), mergedMessageId: messageRef.id });
+        return { messageData, messageDocId: messageRef.id };
+      });
+
+      if (merged.skipped) {
+        console.log(`Unmatched reply ${unmatchedId} is no longer pending, skipping merge`);
+        return;
+      }
+      if (merged.error) {
+        console.log(`Cannot merge unmatched reply ${unmatchedId}: ticket ${ticketId} not found`);
+        return;
+      }
+
+      await indexMessageId(ticketsCollection, merged.messageData.messageId, ticketId, merged.messageDocId);
+      // Like any customer reply, it reopens a ticket that was waiting on the customer or solved
+      await reopenTicketOnCustomerReply(ticketRef, merged.messageData);
+      console.log(`Unmatched reply ${unmatchedId} merged into ticket ${ticketId}`);
+    } catch (error) {
+      console.error('Error merging unmatched reply:', error);
+    }
+  }
+);
@@ -0,0 +1,50 @@
+/**
+ * Retry Queued Emails
+ * Scheduled function that retries the outbox entries whose backoff ran out, and entries whose
+ * attempt never finished (see outboxHelpers)
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { getFirestore } = require('firebase-admin/firestore');
+
+const db = getFirestore();
+
+const { SMTP_PASSWORD } = require('./helpers/emailService');
+const { deliverQueuedEmail } = require('./helpers/outboxHelpers');
+
+// Entries handled per run, the rest waits for the next run
+const MAX_ENTRIES_PER_RUN = 100;
+
+/**
+ * Scheduled function that runs every minute
+ */
+exports.retryQueuedEmails = onSchedule({ schedule: 'every 1 minutes', secrets: [SMTP_PASSWORD] }, async () => {
+  const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+  if (FUNCTIONS_MODE === 'test') {
+    console.log('FUNCTIONS_MODE is test, skipping retryQueuedEmails');
+    return;
+  }
+
+  // Sent and dead entries have no nextAttemptAt, so only pending ones match
+  // (collection group index on nextAttemptAt in firestore.indexes.json)
+  const snapshot = await db.collectionGroup('outbox')
+    .where('nextAttemptAt', '<=', new Date())
+    .orderBy('nextAttemptAt')
+    .limit(MAX_ENTRIES_PER_RUN)
+    .get();
+
+  if (snapshot.empty) {
+    return;
+  }
+
+  console.log(`Retrying ${snapshot.size} queued emails`);
+
+  for (const emailDoc of snapshot.docs) {
+    try {
+      await deliverQueuedEmail(emailDoc.ref);
+    } catch (error) {
+      console.error(`Error retrying queued email ${emailDoc.id}:`, error);
+    }
+  }
+});
@@ -0,0 +1,42 @@
+/**
+ * Send Queued Email
+ * Firestore trigger that makes the first delivery attempt for every email added to a knowledgebase outbox
+ * Failed attempts are retried by retryQueuedEmails (see outboxHelpers)
+ */
+
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+
+const { SMTP_PASSWORD } = require('./helpers/emailService');
+const { deliverQueuedEmail } = require('./helpers/outboxHelpers');
+
+/**
+ * Firestore trigger that listens for new outbox entries
+ */
+exports.sendQueuedEmail = onDocumentCreated(
+  {
+    document: 'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/outbox/{emailId}',
+    secrets: [SMTP_PASSWORD],
+  },
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping sendQueuedEmail');
+      return;
+    }
+
+    const snapshot = event.data;
+    if (!snapshot) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    try {
+      const result = await deliverQueuedEmail(snapshot.ref);
+      console.log(`Queued email ${event.params.emailId}: ${result.message}`);
+    } catch (error) {
+      // The entry stays due, retryQueuedEmails picks it up
+      console.error('Error in sendQueuedEmail:', error);
+    }
+  }
+);
@@ -0,0 +1,58 @@
+/**
+ * Set Outbound Mail Credential API endpoint
+ * Stores the SMTP password or API key of a knowledgebase's own mail provider (outboundMail on the knowledgebase
+ * document) in Secret Manager, where emailService reads it. The credential is never written to Firestore.
+ * Requires a Firebase ID token of the user that owns the knowledgebase
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+
+const { setOutboundMailCredential } = require('./helpers/emailService');
+const { verifyFirebaseIdToken } = require('./helpers/requestAuthHelpers');
+
+/**
+ * HTTP endpoint for setOutboundMailCredential
+ * Parameters (JSON body): uid, selectedCompany (default: 'default'), credential
+ * Responds with { status: 1, message }
+ */
+exports.setOutboundMailCredential = onRequest({ cors: true, invoker: 'public' }, async (req, res) => {
+  try {
+    if (req.method !== 'POST') {
+      res.status(405).send({ status: 0, error: 'method_not_allowed', message: 'Use POST, credentials are not accepted in the query string' });
+      return;
+    }
+
+    const params = req.body && typeof req.body === 'object' ? req.body : {};
+    const { uid, credential } = params;
+    const selectedCompany = params.selectedCompany || 'default';
+
+    const decodedToken = await verifyFirebaseIdToken(req);
+    if (!decodedToken) {
+      res.status(401).send({ status: 0, error: 'unauthenticated', message: 'A valid Firebase ID token is required' });
+      return;
+    }
+
+    if ([uid, selectedCompany].some((id) => typeof id !== 'string' || id === '' || id.includes('/'))) {
+      res.status(400).send({ status: 0, error: 'invalid_request', message: 'uid is required' });
+      return;
+    }
+
+    // Knowledgebases live under the owner's user document
+    if (decodedToken.uid !== uid) {
+      console.log('[SET OUTBOUND MAIL CREDENTIAL] Forbidden:', { caller: decodedToken.uid, uid });
+      res.status(403).send({ status: 0, error: 'forbidden', message: 'You do not have access to this knowledgebase' });
+      return;
+    }
+
+    const result = await setOutboundMailCredential(uid, selectedCompany, credential);
+
+    res.status(result.status === 1 ? 200 : 400).send(result);
+  } catch (error) {
+    console.error('setOutboundMailCredential error:', error);
+    res.status(500).send({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = {
+  setOutboundMailCredential: exports.setOutboundMailCredential
+};
@@ -0,0 +1,60 @@
+/**
+ * Setup Sender Domain API endpoint
+ * Sets the custom sender address of a knowledgebase and returns the DNS records its domain has to publish
+ * (ownership TXT, DKIM key, recommended SPF). Mail keeps going out as <subdomain>@ourkd.help until
+ * verifySenderDomain finds the records.
+ * Requires a Firebase ID token of the user that owns the knowledgebase
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+
+const { setupSenderDomain } = require('./helpers/senderDomainHelpers');
+const { verifyFirebaseIdToken } = require('./helpers/requestAuthHelpers');
+
+/**
+ * HTTP endpoint for setupSenderDomain
+ * Parameters (JSON body): uid, selectedCompany (default: 'default'), address, and optionally name,
+ * receivesReplies and rotateKey
+ * Responds with { status: 1, domain, senderStatus, records: [{ purpose, type, name, value, required }] }
+ */
+exports.setupSenderDomain = onRequest({ cors: true, invoker: 'public' }, async (req, res) => {
+  try {
+    const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+    const { uid, address, name } = params;
+    const selectedCompany = params.selectedCompany || 'default';
+
+    const decodedToken = await verifyFirebaseIdToken(req);
+    if (!decodedToken) {
+      res.status(401).send({ status: 0, error: 'unauthenticated', message: 'A valid Firebase ID token is required' });
+      return;
+    }
+
+    if ([uid, selectedCompany].some((id) => typeof id !== 'string' || id === '' || id.includes('/'))) {
+      res.status(400).send({ status: 0, error: 'invalid_request', message: 'uid is required' });
+      return;
+    }
+
+    // Knowledgebases live under the owner's user document
+    if (decodedToken.uid !== uid) {
+      console.log('[SETUP SENDER DOMAIN] Forbidden:', { caller: decodedToken.uid, uid });
+      res.status(403).send({ status: 0, error: 'forbidden', message: 'You do not have access to this knowledgebase' });
+      return;
+    }
+
+    const result = await setupSenderDomain(uid, selectedCompany, {
+      address,
+      name,
+      receivesReplies: params.receivesReplies === true || params.receivesReplies === 'true',
+      rotateKey: params.rotateKey === true || params.rotateKey === 'true',
+    });
+
+    res.status(result.status === 1 ? 200 : 400).send(result);
+  } catch (error) {
+    console.error('setupSenderDomain error:', error);
+    res.status(500).send({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = {
+  setupSenderDomain: exports.setupSenderDomain
+};
@@ -0,0 +1,58 @@
+/**
+ * Sync Ticket Classification
+ * Firestore trigger that keeps a ticket in line with its classified fields: a new priority (from the classifier or
+ * an agent) moves the SLA targets, and fields an agent changed are listed in classification.overriddenFields
+ */
+
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+
+const { CLASSIFIED_FIELDS, getOverriddenFields } = require('./helpers/classificationHelpers');
+const { getSlaSettings, applySlaPriority } = require('./helpers/slaHelpers');
+
+/**
+ * Firestore trigger that listens for ticket updates
+ */
+exports.syncTicketClassification = onDocumentUpdated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping syncTicketClassification');
+      return;
+    }
+
+    if (!event.data) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const before = event.data.before.data() || {};
+    const after = event.data.after.data() || {};
+    const ticketRef = event.data.after.ref;
+
+    const changed = CLASSIFIED_FIELDS.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    if (changed.length === 0) {
+      return;
+    }
+
+    try {
+      if (changed.includes('priority') && after.sla) {
+        const retargeted = await applySlaPriority(ticketRef, after.priority || null, await getSlaSettings(uid, companyId), new Date());
+        if (retargeted) {
+          console.log(`Ticket ${ticketId}: SLA targets moved to priority ${after.priority || 'none'}`);
+        }
+      }
+
+      const overriddenFields = getOverriddenFields(after);
+      if (overriddenFields && JSON.stringify(overriddenFields) !== JSON.stringify(after.classification.overriddenFields || [])) {
+        await ticketRef.update({ 'classification.overriddenFields': overriddenFields });
+        console.log(`Ticket ${ticketId}: classification overridden for ${overriddenFields.join(', ') || 'no fields'}`);
+      }
+    } catch (error) {
+      console.error('Error syncing ticket classification:', error);
+    }
+  }
+);
@@ -0,0 +1,54 @@
+/**
+ * Track SLA First Response
+ * Firestore trigger that stops the first response clock of a ticket (see slaHelpers) when the first reply to the
+ * customer is added to it, from an agent or the AI
+ */
+
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+
+const { getSlaSettings, recordFirstResponse, recordSlaMetrics } = require('./helpers/slaHelpers');
+
+// Messages on a ticket that are not replies to the customer
+const NON_RESPONSE_TYPES = ['deliveryStatus', 'note'];
+
+/**
+ * Firestore trigger that listens for new messages in tickets
+ */
+exports.trackSlaFirstResponse = onDocumentCreated(
+  'Users/{uid}/knowledgebases/{selectedCompany}/Helpdesk/default/tickets/{ticketId}/messages/{messagesId}',
+  async (event) => {
+    const FUNCTIONS_MODE = process.env.FUNCTIONS_MODE || 'test';
+
+    if (FUNCTIONS_MODE === 'test') {
+      console.log('FUNCTIONS_MODE is test, skipping trackSlaFirstResponse');
+      return;
+    }
+
+    const snapshot = event.data;
+    if (!snapshot) {
+      console.log('No data associated with the event');
+      return;
+    }
+
+    const { uid, ticketId } = event.params;
+    const companyId = event.params.selectedCompany || 'default';
+    const messageType = snapshot.data().type || '';
+
+    if (messageType.includes('Receiver') || NON_RESPONSE_TYPES.includes(messageType)) {
+      return;
+    }
+
+    try {
+      const ticketRef = snapshot.ref.parent.parent;
+      const settings = await getSlaSettings(uid, companyId);
+      const completed = await recordFirstResponse(ticketRef, settings, new Date());
+
+      if (completed.length > 0) {
+        await recordSlaMetrics(uid, companyId, completed);
+        console.log(`Ticket ${ticketId}: first response ${completed[0].event} after ${completed[0].businessMinutes} business minutes`);
+      }
+    } catch (error) {
+      console.error('Error tracking SLA first response:', error);
+    }
+  }
+);
@@ -0,0 +1,52 @@
+/**
+ * Verify Sender Domain API endpoint
+ * Looks up the DNS records of a custom sender domain; once the ownership and DKIM records are found,
+ * the knowledgebase sends from its custom address, DKIM signed
+ * Requires a Firebase ID token of the user that owns the knowledgebase
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+
+const { checkSenderDomain } = require('./helpers/senderDomainHelpers');
+const { verifyFirebaseIdToken } = require('./helpers/requestAuthHelpers');
+
+/**
+ * HTTP endpoint for verifySenderDomain
+ * Parameters (query string or JSON body): uid, selectedCompany (default: 'default'), domain
+ * Responds with { status: 1, domain, senderStatus: 'verified'|'failed', checks: { verification, dkim, spf }, records }
+ */
+exports.verifySenderDomain = onRequest({ cors: true, invoker: 'public' }, async (req, res) => {
+  try {
+    const params = { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+    const { uid, domain } = params;
+    const selectedCompany = params.selectedCompany || 'default';
+
+    const decodedToken = await verifyFirebaseIdToken(req);
+    if (!decodedToken) {
+      res.status(401).send({ status: 0, error: 'unauthenticated', message: 'A valid Firebase ID token is required' });
+      return;
+    }
+
+    if ([uid, selectedCompany, domain].some((id) => typeof id !== 'string' || id === '' || id.includes('/'))) {
+      res.status(400).send({ status: 0, error: 'invalid_request', message: 'uid and domain are required' });
+      return;
+    }
+
+    // Knowledgebases live under the owner's user document
+    if (decodedToken.uid !== uid) {
+      console.log('[VERIFY SENDER DOMAIN] Forbidden:', { caller: decodedToken.uid, uid });
+      res.status(403).send({ status: 0, error: 'forbidden', message: 'You do not have access to this knowledgebase' });
+      return;
+    }
+
+    const result = await checkSenderDomain(uid, selectedCompany, domain);
+    res.status(result.status === 1 ? 200 : result.error === 'dns_unavailable' ? 503 : 404).send(result);
+  } catch (error) {
+    console.error('verifySenderDomain error:', error);
+    res.status(500).send({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = {
+  verifySenderDomain: exports.verifySenderDomain
+};
@@ -56,3 +56,48 @@ exports.incrementSessionDateCount = incrementSessionDateCountApi.incrementSessio
 
 const incrementPageViewDateCountApi = require('./api/incrementPageViewDateCount');
 exports.incrementPageViewDateCount = incrementPageViewDateCountApi.incrementPageViewDateCount;
+
+const indexMessageIdsApi = require('./api/indexMessageIds');
+exports.indexMessageIds = indexMessageIdsApi.indexMessageIds;
+
+const mergeUnmatchedRepliesApi = require('./api/mergeUnmatchedReplies');
+exports.mergeUnmatchedReplies = mergeUnmatchedRepliesApi.mergeUnmatchedReplies;
+
+const listenToSpamVerdictsApi = require('./api/listenToSpamVerdicts');
+exports.listenToSpamVerdicts = listenToSpamVerdictsApi.listenToSpamVerdicts;
+
+const getAttachmentUrlsApi = require('./api/getAttachmentUrls');
+exports.getAttachmentUrls = getAttachmentUrlsApi.getAttachmentUrls;
+
+const sendQueuedEmailApi = require('./api/sendQueuedEmail');
+exports.sendQueuedEmail = sendQueuedEmailApi.sendQueuedEmail;
+
+const retryQueuedEmailsApi = require('./api/retryQueuedEmails');
+exports.retryQueuedEmails = retryQueuedEmailsApi.retryQueuedEmails;
+
+const setupSenderDomainApi = require('./api/setupSenderDomain');
+exports.setupSenderDomain = setupSenderDomainApi.setupSenderDomain;
+
+const verifySenderDomainApi = require('./api/verifySenderDomain');
+exports.verifySenderDomain = verifySenderDomainApi.verifySenderDomain;
+
+const setOutboundMailCredentialApi = require('./api/setOutboundMailCredential');
+exports.setOutboundMailCredential = setOutboundMailCredentialApi.setOutboundMailCredential;
+
+const enforceTicketStatusApi = require('./api/enforceTicketStatus');
+exports.enforceTicketStatus = enforceTicketStatusApi.enforceTicketStatus;
+
+const autoCloseTicketsApi = require('./api/autoCloseTickets');
+exports.autoCloseTickets = autoCloseTicketsApi.autoCloseTickets;
+
+const checkSlaBreachesApi = require('./api/checkSlaBreaches');
+exports.checkSlaBreaches = checkSlaBreachesApi.checkSlaBreaches;
+
+const trackSlaFirstResponseApi = require('./api/trackSlaFirstResponse');
+exports.trackSlaFirstResponse = trackSlaFirstResponseApi.trackSlaFirstResponse;
+
+const classifyNewTicketApi = require('./api/classifyNewTicket');
+exports.classifyNewTicket = classifyNewTicketApi.classifyNewTicket;
+
+const syncTicketClassificationApi = require('./api/syncTicketClassification');
+exports.syncTicketClassification = syncTicketClassificationApi.syncTicketClassification;
@@ -0,0 +1,35 @@
+/**
+ * Backfill Message Index
+ * One-off script that adds the messages of a knowledgebase stored before the message-id index
+ * existed to the index, so replies to them are threaded (see findTicketForReply).
+ *
+ * Usage: node scripts/backfillMessageIndex.js <uid> [selectedCompany] [--dry-run]
+ * Uses the default application credentials (GOOGLE_APPLICATION_CREDENTIALS).
+ */
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const { backfillMessageIndex } = require('../api/helpers/ticketHelpers');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [uid, selectedCompany = 'default'] = args.filter((arg) => arg !== '--dry-run');
+
+  if (!uid) {
+    console.error('Usage: node scripts/backfillMessageIndex.js <uid> [selectedCompany] [--dry-run]');
+    process.exit(1);
+  }
+
+  const result = await backfillMessageIndex(uid, selectedCompany, { dryRun });
+  console.log(`${dryRun ? 'Would index' : 'Indexed'} ${result.indexed} Message-IDs from ${result.scanned} messages`);
+}
+
+main().catch((error) => {
+  console.error('Error backfilling the message index:', error);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+/**
+ * Backfill Ticket Numbers
+ * One-off script that renumbers the existing tickets of a knowledgebase from its configured
+ * ticketNumbering start (keeping their current order) and seeds the ticket counter.
+ *
+ * Usage: node scripts/backfillTicketNumbers.js <uid> [selectedCompany]
+ * Uses the default application credentials (GOOGLE_APPLICATION_CREDENTIALS).
+ */
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const { renumberTickets } = require('../api/helpers/ticketNumberHelpers');
+
+async function main() {
+  const [uid, selectedCompany = 'default'] = process.argv.slice(2);
+
+  if (!uid) {
+    console.error('Usage: node scripts/backfillTicketNumbers.js <uid> [selectedCompany]');
+    process.exit(1);
+  }
+
+  const result = await renumberTickets(uid, selectedCompany);
+  console.log(`Renumbered ${result.renumbered} tickets, next ticket number is ${result.next}`);
+}
+
+main().catch((error) => {
+  console.error('Error backfilling ticket numbers:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * Migrate Attachment URLs
+ * One-off script that moves the files of a user off the permanent (2099) signed attachment URLs:
+ * files are copied from the legacy storage folders to private-attachments, the messages of all
+ * knowledgebases are rewritten to the new paths (attachments keep only their storagePath and storage
+ * URLs in the HTML become data-storage-path attributes, signed on demand by getAttachmentUrls), then
+ * the originals are deleted so the URLs that were handed out return 404.
+ * Run it after deploying the functions, which no longer write to the legacy folders.
+ *
+ * Usage: node scripts/migrateAttachmentUrls.js <uid> [--dry-run]
+ * Uses the default application credentials (GOOGLE_APPLICATION_CREDENTIALS).
+ */
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const { migrateAttachmentUrls } = require('../api/helpers/attachmentUrlHelpers');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [uid] = args.filter((arg) => arg !== '--dry-run');
+
+  if (!uid) {
+    console.error('Usage: node scripts/migrateAttachmentUrls.js <uid> [--dry-run]');
+    process.exit(1);
+  }
+
+  const result = await migrateAttachmentUrls(uid, { dryRun });
+  console.log(`${dryRun ? 'Would move' : 'Moved'} ${result.moved} files and ${dryRun ? 'rewrite' : 'rewrote'} ${result.rewritten} of ${result.scanned} messages`);
+}
+
+main().catch((error) => {
+  console.error('Error migrating attachment URLs:', error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Bounce detection tests
+ * Checks which inbound emails detectBounce treats as delivery reports and what it reads from them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeApp } = require('firebase-admin/app');
+
+// The bounce helpers get Firestore at load, for recordBounce
+initializeApp({ projectId: 'demo-evidah' });
+
+const { detectBounce } = require('../api/helpers/bounceHelpers');
+
+const DELIVERY_REPORT = [
+  'Reporting-MTA: dns; mx.example.net',
+  '',
+  'Final-Recipient: rfc822; Jane@Customer.example',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+  '',
+  'Message-ID: <ticket-42@mail.evidah.com>'
+].join('\n');
+
+test('reads a multipart/report delivery status notification', () => {
+  const bounce = detectBounce({
+    from: 'Mail Delivery System <MAILER-DAEMON@mx.example.net>',
+    subject: 'Undelivered Mail Returned to Sender',
+    headers: { 'content-type': 'multipart/report; report-type=delivery-status; boundary="b1"' },
+    body: 'This is the mail system at host mx.example.net.',
+    deliveryReport: DELIVERY_REPORT
+  });
+
+  assert.deepEqual(bounce, {
+    bounceType: 'hardBounce',
+    recipients: ['jane@customer.example'],
+    statusCode: '5.1.1',
+    diagnostic: 'smtp; 550 5.1.1 User unknown',
+    originalMessageId: '<ticket-42@mail.evidah.com>'
+  });
+});
+
+test('treats 4.x.x statuses and delayed actions as soft bounces', () => {
+  const transient = detectBounce({
+    from: 'postmaster@mx.example.net',
+    subject: 'Delivery Status Notification (Delay)',
+    headers: {},
+    body: 'Final-Recipient: rfc822; jane@customer.example\nAction: delayed\nStatus: 4.2.2'
+  });
+  const delayed = detectBounce({
+    from: 'postmaster@mx.example.net',
+    subject: 'Delivery Status Notification (Delay)',
+    headers: {},
+    body: 'Final-Recipient: rfc822; jane@customer.example\nAction: delayed'
+  });
+
+  assert.equal(transient.bounceType, 'softBounce');
+  assert.equal(transient.statusCode, '4.2.2');
+  assert.equal(delayed.bounceType, 'softBounce');
+  assert.equal(delayed.statusCode, null);
+});
+
+test('takes the recipients from X-Failed-Recipients when present', () => {
+  const bounce = detectBounce({
+    from: 'mailer-daemon@googlemail.com',
+    subject: 'Delivery Status Notification (Failure)',
+    headers: { 'x-failed-recipients': 'Jane@Customer.example, john@customer.example, jane@customer.example' },
+    body: 'Final-Recipient: rfc822; other@customer.example\nThe response was: 550 5.7.1 rejected'
+  });
+
+  assert.deepEqual(bounce.recipients, ['jane@customer.example', 'john@customer.example']);
+  assert.equal(bounce.statusCode, '5.7.1');
+  assert.equal(bounce.bounceType, 'hardBounce');
+});
+
+test('ignores bounce-like subjects from people', () => {
+  const bounce = detectBounce({
+    from: 'Jane <jane@customer.example>',
+    subject: 'Re: my order was returned mail?',
+    headers: {},
+    body: 'Final-Recipient: rfc822; jane@customer.example'
+  });
+
+  assert.equal(bounce, null);
+});
+
+test('ignores other mail from daemon addresses', () => {
+  const bounce = detectBounce({
+    from: 'postmaster@customer.example',
+    subject: 'Your mailbox is almost full',
+    headers: {},
+    body: 'N/A'
+  });
+
+  assert.equal(bounce, null);
+});
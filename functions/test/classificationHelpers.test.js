@@ -0,0 +1,57 @@
+/**
+ * Classification parser tests
+ * Checks that parseClassification reads the AI employee's answer and drops what is not a known value.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeApp } = require('firebase-admin/app');
+
+// The classification helpers get Firestore at load, for the settings and storeClassification
+initializeApp({ projectId: 'demo-evidah' });
+
+const { parseClassification } = require('../api/helpers/classificationHelpers');
+
+const CATEGORIES = ['billing', 'technical', 'account', 'feature_request', 'bug', 'general'];
+
+test('reads a JSON answer wrapped in text or a code fence', () => {
+  const content = 'Here is the classification:\n```json\n{"priority": "High", "category": "Billing", "tags": ["Refund Request", "invoice"], "sentiment": "Negative", "language": "fr-FR"}\n```';
+
+  assert.deepEqual(parseClassification(content, CATEGORIES), {
+    priority: 'high',
+    category: 'billing',
+    tags: ['refund_request', 'invoice'],
+    sentiment: 'negative',
+    language: 'fr'
+  });
+});
+
+test('drops unknown priorities, categories, sentiments and languages', () => {
+  const content = '{"priority": "critical", "category": "shipping", "sentiment": "furious", "language": "klingon"}';
+
+  assert.deepEqual(parseClassification(content, CATEGORIES), {
+    priority: null,
+    category: null,
+    tags: [],
+    sentiment: null,
+    language: null
+  });
+});
+
+test('accepts the knowledgebase categories after normalizing them', () => {
+  const result = parseClassification('{"category": "Order Status"}', ['order_status', 'returns']);
+
+  assert.equal(result.category, 'order_status');
+});
+
+test('removes duplicate and empty tags and keeps at most five', () => {
+  const content = '{"tags": ["Login", "login", " ", "!!", "a", "b", "c", "d", "e"]}';
+
+  assert.deepEqual(parseClassification(content, CATEGORIES).tags, ['login', 'a', 'b', 'c', 'd']);
+});
+
+test('returns null when there is no JSON object to read', () => {
+  assert.equal(parseClassification('I could not classify this ticket.', CATEGORIES), null);
+  assert.equal(parseClassification('{"priority": high}', CATEGORIES), null);
+  assert.equal(parseClassification(null, CATEGORIES), null);
+});
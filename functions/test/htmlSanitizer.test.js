@@ -0,0 +1,119 @@
+/**
+ * HTML sanitizer tests
+ * Checks that what can run code or load content is taken out of inbound email HTML, that it is reported,
+ * and that inline images and remote images are handled per the knowledgebase settings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeApp } = require('firebase-admin/app');
+
+// The sanitizer module gets Firestore at load, for getHtmlSanitizerSettings
+initializeApp({ projectId: 'demo-evidah' });
+
+const { buildCidMap, sanitizeEmailHtml, hasRemovals } = require('../api/helpers/htmlSanitizer');
+
+test('removes script and iframe elements with their content', () => {
+  const { html, removed } = sanitizeEmailHtml('<p>Hi</p><script>alert(1)</script><iframe src="https://evil.example"><p>x</p></iframe>');
+
+  assert.equal(html, '<p>Hi</p>');
+  assert.deepEqual(removed.tags, { script: 1, iframe: 1 });
+  assert.equal(hasRemovals(removed), true);
+});
+
+test('removes on* event handler attributes', () => {
+  const { html, removed } = sanitizeEmailHtml('<p onclick="steal()">Hi</p><img src="https://cdn.example.com/logo.png" alt="Logo" onerror="steal()">');
+
+  assert.doesNotMatch(html, /onclick|onerror|steal/);
+  assert.match(html, /<img src="https:\/\/cdn\.example\.com\/logo\.png" alt="Logo" \/>/);
+  assert.deepEqual(removed.attributes, { onclick: 1, onerror: 1 });
+});
+
+test('removes javascript: hrefs, including ones split by whitespace', () => {
+  for (const href of ['javascript:alert(1)', 'java\tscript:alert(1)', ' JavaScript:alert(1)', 'java\nscript:alert(1)']) {
+    const { html, removed } = sanitizeEmailHtml(`<a href="${href}">Click</a>`);
+
+    assert.equal(html, '<a>Click</a>', href);
+    assert.equal(removed.unsafeUrls, 1, href);
+  }
+});
+
+test('keeps safe links and opens them in a new tab', () => {
+  const { html, removed } = sanitizeEmailHtml('<a href="https://example.com/help">Help</a> <a href="mailto:help@example.com">Mail</a>');
+
+  assert.equal(html, '<a href="https://example.com/help" target="_blank" rel="noopener noreferrer">Help</a> <a href="mailto:help@example.com" target="_blank" rel="noopener noreferrer">Mail</a>');
+  assert.equal(hasRemovals(removed), false);
+});
+
+test('removes url() and expression() from inline styles and keeps the rest', () => {
+  const { html, removed } = sanitizeEmailHtml('<div style="color: red; background-color: url(https://t.example/p.gif); width: expression(alert(1)); font-weight: bold">Hi</div>');
+
+  assert.equal(html, '<div style="color: red; font-weight: bold">Hi</div>');
+  assert.deepEqual(removed.styles, { 'background-color': 1, width: 1 });
+});
+
+test('removes style properties outside the allowlist and fixed positioning', () => {
+  const { html, removed } = sanitizeEmailHtml('<div style="position: fixed; top: 0; display: fixed; color: blue">Hi</div>');
+
+  assert.equal(html, '<div style="color: blue">Hi</div>');
+  assert.deepEqual(removed.styles, { position: 1, top: 1, display: 1 });
+});
+
+test('points cid: images at their stored attachment', () => {
+  const cidMap = buildCidMap([
+    { contentId: '<Logo@Example>', storagePath: 'attachments/uid/logo.png' },
+    { contentId: null, storagePath: 'attachments/uid/report.pdf' }
+  ]);
+  const { html, removed } = sanitizeEmailHtml('<img src="cid:logo@example" alt="Logo"><img src="cid:missing@example">', { cidMap });
+
+  assert.deepEqual(cidMap, { 'logo@example': 'attachments/uid/logo.png' });
+  assert.equal(html, '<img alt="Logo" data-storage-path="attachments/uid/logo.png" />');
+  assert.deepEqual(removed.unresolvedCids, ['missing@example']);
+});
+
+test('removes tracking pixels by attribute or inline style size', () => {
+  const { html, removed } = sanitizeEmailHtml(
+    '<p>Hi</p><img src="https://t.example/open.gif" width="1" height="1"><img src="https://t.example/open2.gif" style="width: 0px; height: 0px">'
+  );
+
+  assert.equal(html, '<p>Hi</p>');
+  assert.equal(removed.trackingPixels, 2);
+});
+
+test('removes non-http image sources', () => {
+  const { html, removed } = sanitizeEmailHtml('<img src="javascript:alert(1)"><img src="data:image/png;base64,AAAA" alt="Inline">');
+
+  assert.equal(html, '<img alt="Inline" />');
+  assert.equal(removed.unsafeUrls, 2);
+});
+
+test('keeps remote images in allow mode', () => {
+  const { html, removed } = sanitizeEmailHtml('<img src="https://cdn.example.com/a.png">', { remoteImages: 'allow' });
+
+  assert.equal(html, '<img src="https://cdn.example.com/a.png" />');
+  assert.equal(hasRemovals(removed), false);
+});
+
+test('rewrites remote images through the proxy in proxy mode', () => {
+  const { html, removed } = sanitizeEmailHtml('<img src="https://cdn.example.com/a.png?x=1&y=2">', {
+    remoteImages: 'proxy',
+    imageProxyUrl: 'https://images.example.org/proxy?url={url}'
+  });
+
+  assert.equal(html, '<img src="https://images.example.org/proxy?url=https%3A%2F%2Fcdn.example.com%2Fa.png%3Fx%3D1%26y%3D2" />');
+  assert.equal(removed.proxiedImages, 1);
+});
+
+test('blocks remote images in block mode, and in proxy mode without a proxy URL', () => {
+  for (const options of [{ remoteImages: 'block' }, { remoteImages: 'proxy' }]) {
+    const { html, removed } = sanitizeEmailHtml('<img src="https://cdn.example.com/a.png"><img src="https://cdn.example.com/b.png" alt="Chart">', options);
+
+    assert.equal(html, '<img alt="Chart" />', options.remoteImages);
+    assert.equal(removed.remoteImages, 2, options.remoteImages);
+  }
+});
+
+test('returns non-string input as is', () => {
+  assert.equal(sanitizeEmailHtml(null).html, null);
+  assert.equal(hasRemovals(sanitizeEmailHtml('').removed), false);
+});
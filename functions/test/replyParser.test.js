@@ -0,0 +1,196 @@
+/**
+ * Reply parser tests
+ * Runs the parser over the emails in fixtures/replies, real messages as the clients send them, and checks
+ * that the reply, the signature and the quoted section are split where a person reading them would split them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+
+const { parseReply, parseHtmlReply, registerQuoteDetector } = require('../api/helpers/replyParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replies');
+
+/**
+ * Parses a fixture email
+ * @param {string} name - The fixture file name
+ * @returns {Promise<Object>} - The mailparser result, with text and html
+ */
+async function loadFixture(name) {
+  return await simpleParser(fs.readFileSync(path.join(FIXTURES_DIR, name)));
+}
+
+// text: the expected parseReply result, quoted is checked by its first line
+// html: the expected parseHtmlReply marker, the end of the visible part and the start of the quoted part
+const FIXTURES = [
+  {
+    fixture: 'gmail-en.eml',
+    text: {
+      reply: 'Hi,\n\nThanks, the new invoice is correct now.\n\nOn Monday I tried to download it from the portal and got an error, but\ntoday it worked.\n\nJane',
+      signature: '',
+      quoted: 'On Mon, Oct 5, 2026 at 9:02 AM Acme Support <support@acme.ourkd.help>',
+      quoteDetector: 'attribution',
+    },
+    html: { quoteMarker: 'gmail', visibleEnd: '<div>Jane</div></div><br>', quotedStart: '<div class="gmail_quote gmail_quote_container">' },
+  },
+  {
+    fixture: 'gmail-fr.eml',
+    text: {
+      reply: 'Merci beaucoup, j\'ai bien reçu le remboursement.\n\nBonne journée,\nPierre',
+      signature: '',
+      quoted: 'Le ven. 9 oct. 2026 à 10:15, Acme Support <support@acme.ourkd.help> a',
+      quoteDetector: 'attribution',
+    },
+    html: { quoteMarker: 'gmail', visibleEnd: '<div>Pierre</div></div><br>', quotedStart: '<div class="gmail_quote">' },
+  },
+  {
+    fixture: 'gmail-pt.eml',
+    text: {
+      reply: 'Olá,\n\nA encomenda ainda não chegou. Podem verificar com a transportadora?\n\nObrigado,\nJoão',
+      signature: '',
+      quoted: 'Em qua., 14 de out. de 2026 às 09:30, Acme Support <',
+      quoteDetector: 'attribution',
+    },
+  },
+  {
+    fixture: 'iphone-en.eml',
+    text: {
+      reply: 'Still getting the same message when I click it.',
+      signature: 'Sent from my iPhone',
+      signatureDetector: 'mobile',
+      quoted: '> On 6 Oct 2026, at 17:55, Acme Support <support@acme.ourkd.help> wrote:',
+      quoteDetector: 'trailingQuote',
+    },
+  },
+  {
+    fixture: 'iphone-es.eml',
+    text: {
+      reply: 'Perfecto, muchas gracias.',
+      signature: 'Enviado desde mi iPhone',
+      signatureDetector: 'mobile',
+      quoted: '> El 15 oct 2026, a las 11:02, Acme Support <support@acme.ourkd.help> escribió:',
+      quoteDetector: 'trailingQuote',
+    },
+  },
+  {
+    fixture: 'outlook-en.eml',
+    text: {
+      reply: 'Hello,\n\nCould you raise our limit to 600 requests per minute?\nWe expect more traffic from Monday.\n\nKind regards,\nSarah Miller\nIntegration Lead | Contoso Ltd.',
+      signature: '',
+      quoted: '________________________________',
+      quoteDetector: 'outlookHeader',
+    },
+    html: { quoteMarker: 'outlookAppend', visibleEnd: 'Integration Lead | Contoso Ltd.</div>', quotedStart: '<div id="appendonsend">' },
+  },
+  {
+    fixture: 'outlook-fr.eml',
+    text: {
+      reply: 'Bonjour,\n\nLa commande est toujours bloquée, pouvez-vous vérifier à nouveau ?\n\nCordialement,\nHélène',
+      signature: '',
+      quoted: 'De : Acme Support <support@acme.ourkd.help>',
+      quoteDetector: 'outlookHeader',
+    },
+  },
+  {
+    fixture: 'outlook-de.eml',
+    text: {
+      reply: 'Guten Tag,\n\ndie Rechnung für September fehlt immer noch im Kundenportal.',
+      signature: 'Von meinem iPhone gesendet',
+      signatureDetector: 'mobile',
+      quoted: 'Von: Acme Support <support@acme.ourkd.help>',
+      quoteDetector: 'outlookHeader',
+    },
+  },
+  {
+    fixture: 'thunderbird-de.eml',
+    text: {
+      reply: 'Hallo,\n\ndas Passwort-Zurücksetzen hat funktioniert, vielen Dank!\n\nViele Grüße\nKlaus Müller',
+      signature: '--\nMüller GmbH\nHauptstraße 12, 80331 München\nTel. +49 89 1234567',
+      signatureDetector: 'delimiter',
+      quoted: 'Am 11.10.2026 um 16:20 schrieb Acme Support:',
+      quoteDetector: 'attribution',
+    },
+  },
+  {
+    fixture: 'yahoo-en.eml',
+    text: {
+      reply: 'Please cancel the renewal, I will not need the plan next year.\n\nMark',
+      signature: '',
+      quoted: 'On Thursday, October 15, 2026 at 06:10:44 PM GMT+1, Acme Support <support@acme.ourkd.help> wrote:',
+      quoteDetector: 'attribution',
+    },
+    html: { quoteMarker: 'yahoo', visibleEnd: '<div dir="ltr" data-setdir="false">Mark</div></div>', quotedStart: '<div id="ydp5a4b3c2dyahoo_quoted_1234567890"' },
+  },
+  {
+    // Inline answers between quotes are the reply, not a quoted section
+    fixture: 'inline-answers-en.eml',
+    text: {
+      reply: '> Which browser are you using?\n\nFirefox 131 on Ubuntu.\n\n> Does the problem happen in a private window too?\n\nYes, same error.',
+      signature: '--\nPriya Patel\npatel-design.com',
+      signatureDetector: 'delimiter',
+      quoted: '',
+      quoteDetector: null,
+    },
+  },
+  {
+    // A forward has nothing above the quote, the whole message is kept
+    fixture: 'forward-en.eml',
+    text: {
+      reply: '---------- Forwarded message ---------\nFrom: Payments <no-reply@payments.example.com>\nDate: Sun, Oct 18, 2026 at 7:30 PM\nSubject: Payment failed\nTo: <chris.wong@gmail.com>\n\nYour payment of 49.00 EUR to Acme could not be processed.',
+      signature: '',
+      quoted: '',
+      quoteDetector: null,
+    },
+  },
+];
+
+test('every fixture email is covered', () => {
+  const covered = FIXTURES.map(({ fixture }) => fixture).sort();
+  assert.deepEqual(fs.readdirSync(FIXTURES_DIR).filter((name) => name.endsWith('.eml')).sort(), covered);
+});
+
+for (const { fixture, text, html } of FIXTURES) {
+  test(`parseReply splits ${fixture}`, async () => {
+    const email = await loadFixture(fixture);
+    const result = parseReply(email.text);
+
+    assert.equal(result.reply, text.reply);
+    assert.equal(result.signature, text.signature);
+    assert.equal(result.signatureDetector, text.signatureDetector || null);
+    assert.equal(result.quoted.split('\n')[0], text.quoted);
+    assert.equal(result.quoteDetector, text.quoteDetector);
+  });
+
+  if (html) {
+    test(`parseHtmlReply splits ${fixture}`, async () => {
+      const email = await loadFixture(fixture);
+      const result = parseHtmlReply(email.html);
+
+      assert.equal(result.quoteMarker, html.quoteMarker);
+      assert.ok(result.html.endsWith(html.visibleEnd), `visible part ends with: ${result.html.slice(-80)}`);
+      assert.ok(result.quotedHtml.startsWith(html.quotedStart), `quoted part starts with: ${result.quotedHtml.slice(0, 80)}`);
+    });
+  }
+}
+
+test('parseReply only uses the attribution patterns of the given locales', async () => {
+  const email = await loadFixture('gmail-fr.eml');
+
+  assert.equal(parseReply(email.text, { locales: ['en'] }).quoteDetector, 'trailingQuote');
+  assert.equal(parseReply(email.text, { locales: ['fr'] }).quoteDetector, 'attribution');
+});
+
+test('parseReply returns empty parts for an empty body', () => {
+  assert.deepEqual(parseReply(''), { reply: '', signature: '', quoted: '', quoteDetector: null, signatureDetector: null });
+});
+
+test('registered quote detectors are used', () => {
+  registerQuoteDetector({ name: 'test', match: (lines, index) => lines[index] === '#### reply above this line ####' });
+
+  const result = parseReply('Works for me.\n\n#### reply above this line ####\nTicket #12 was updated');
+  assert.equal(result.reply, 'Works for me.');
+  assert.equal(result.quoteDetector, 'test');
+});
@@ -0,0 +1,42 @@
+/**
+ * Routing rule tests
+ * Checks which tickets matchesRoutingRule matches for each rule type. Rule values are lowercase here,
+ * as getRoutingSettings stores them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeApp } = require('firebase-admin/app');
+
+// The routing helpers get Firestore at load, for the settings and the team members
+initializeApp({ projectId: 'demo-evidah' });
+
+const { matchesRoutingRule } = require('../api/helpers/routingHelpers');
+
+test('matches the sender domain and its subdomains', () => {
+  const rule = { type: 'senderDomain', values: ['acme.com'] };
+
+  assert.equal(matchesRoutingRule(rule, { from: 'Jane <Jane@ACME.com>' }), true);
+  assert.equal(matchesRoutingRule(rule, { from: 'john@eu.acme.com' }), true);
+  assert.equal(matchesRoutingRule(rule, { from: 'john@notacme.com' }), false);
+  assert.equal(matchesRoutingRule(rule, { from: 'john@acme.com.evil.example' }), false);
+  assert.equal(matchesRoutingRule(rule, { from: 'no address' }), false);
+  assert.equal(matchesRoutingRule(rule, { from: undefined }), false);
+});
+
+test('matches subject keywords case-insensitively', () => {
+  const rule = { type: 'subjectKeyword', values: ['refund', 'invoice'] };
+
+  assert.equal(matchesRoutingRule(rule, { subject: 'Re: REFUND for order 42' }), true);
+  assert.equal(matchesRoutingRule(rule, { subject: 'Missing Invoice' }), true);
+  assert.equal(matchesRoutingRule(rule, { subject: 'Password reset' }), false);
+  assert.equal(matchesRoutingRule(rule, { subject: null }), false);
+});
+
+test('matches the ticket category', () => {
+  const rule = { type: 'category', values: ['billing', 'account'] };
+
+  assert.equal(matchesRoutingRule(rule, { category: 'Billing' }), true);
+  assert.equal(matchesRoutingRule(rule, { category: 'technical' }), false);
+  assert.equal(matchesRoutingRule(rule, { category: null }), false);
+});